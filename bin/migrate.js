@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+/**
+ * Migration CLI
+ *
+ *   migrate status
+ *   migrate up [--to <version>] [--dry-run] [--no-sync-indexes] [--drop-indexes]
+ *   migrate down [--steps <n> | --to <version>] [--dry-run]
+ *   migrate indexes [--dry-run] [--drop-indexes]
+ *   migrate create <name>
+ *
+ * Options: --dir <path> (default MIGRATIONS_DIR or ./migrations),
+ * --uri <mongodb uri> (default MONGODB_URI), --models <path> to require
+ * model definitions before reconciling indexes. Indexes missing from the
+ * schemas are only reported unless --drop-indexes is given.
+ */
+const path = require('path');
+const Database = require('../utils/database');
+const { createMigrationRunner } = require('../utils/migrationRunner');
+const logger = require('../logger/logger');
+
+/**
+ * Parse `command [positional] --flag value --switch` arguments
+ * @param {Array} argv - Arguments after the script name
+ */
+const parseArgs = (argv) => {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      args._.push(arg);
+    } else if (arg.startsWith('--no-')) {
+      args[arg.slice(5)] = false;
+    } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+      args[arg.slice(2)] = argv[++i];
+    } else {
+      args[arg.slice(2)] = true;
+    }
+  }
+  return args;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const [command, name] = args._;
+  const runner = createMigrationRunner({
+    ...(args.dir && { directory: path.resolve(args.dir) })
+  });
+
+  if (command === 'create') {
+    console.log(runner.create(name));
+    return;
+  }
+
+  if (!['status', 'up', 'down', 'indexes'].includes(command)) {
+    throw new Error(`Unknown command: ${command || '(none)'}. Use status, up, down, indexes or create.`);
+  }
+
+  if (args.models) {
+    require(path.resolve(args.models));
+  }
+
+  await Database.connect(args.uri, { retries: 0 });
+  try {
+    const dryRun = args['dry-run'] === true;
+    let result;
+
+    if (command === 'status') {
+      const { applied, pending, changed } = await runner.status();
+      result = {
+        applied: applied.map(({ version, name: migrationName, appliedAt }) => ({ version, name: migrationName, appliedAt })),
+        pending: pending.map(({ version, name: migrationName }) => ({ version, name: migrationName })),
+        changed: changed.map(({ version, name: migrationName }) => ({ version, name: migrationName }))
+      };
+    } else if (command === 'up') {
+      result = await runner.up({
+        to: args.to || null,
+        dryRun,
+        syncIndexes: args['sync-indexes'] !== false,
+        dropIndexes: args['drop-indexes'] === true
+      });
+    } else if (command === 'down') {
+      result = await runner.down({ steps: Number(args.steps) || 1, to: args.to || null, dryRun });
+    } else {
+      result = await runner.reconcileIndexes({ dryRun, drop: args['drop-indexes'] === true });
+    }
+
+    console.log(JSON.stringify(result, null, 2));
+  } finally {
+    await Database.disconnect();
+  }
+};
+
+main().catch((error) => {
+  logger.error('Migration command failed:', error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,57 @@
+// Roles accepted by userSchemas.register
+const ROLES = {
+  USER: 'user',
+  ADMIN: 'admin',
+  MENTOR: 'mentor',
+  EMPLOYER: 'employer'
+};
+
+/**
+ * Role -> permission map.
+ *
+ * Permissions are `resource:action` strings. `*` matches any segment, so
+ * `jobs:*` grants every action on jobs and `*` grants everything. A trailing
+ * `:own` segment grants the action only on resources owned by the caller
+ * (see requirePermission's `getOwnerId` and `scopeToOwner` options).
+ */
+const ROLE_PERMISSIONS = {
+  [ROLES.ADMIN]: ['*'],
+  [ROLES.EMPLOYER]: [
+    'profile:read',
+    'profile:update:own',
+    'jobs:read',
+    'jobs:create',
+    'jobs:update:own',
+    'jobs:delete:own',
+    'applications:read:own',
+    'applications:update:own',
+    'payments:create',
+    'payments:read:own'
+  ],
+  [ROLES.MENTOR]: [
+    'profile:read',
+    'profile:update:own',
+    'jobs:read',
+    'mentors:read',
+    'mentors:update:own',
+    'sessions:read:own',
+    'sessions:update:own',
+    'payments:read:own'
+  ],
+  [ROLES.USER]: [
+    'profile:read',
+    'profile:update:own',
+    'jobs:read',
+    'applications:create',
+    'applications:read:own',
+    'applications:update:own',
+    'mentors:read',
+    'sessions:create',
+    'sessions:read:own',
+    'payments:create',
+    'payments:read:own',
+    'recommendations:read'
+  ]
+};
+
+module.exports = { ROLES, ROLE_PERMISSIONS };
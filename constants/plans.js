@@ -0,0 +1,44 @@
+const { ROLES } = require('./permissions');
+
+// Subscription plans a user can be on
+const PLANS = {
+  FREE: 'free',
+  PREMIUM: 'premium',
+  EMPLOYER: 'employer'
+};
+
+/**
+ * Plan -> feature -> limits.
+ *
+ * `max` is the number of requests per rate limit window; `daily` and
+ * `monthly` are quotas counted per calendar day and month (UTC). A `null`
+ * quota is unlimited.
+ */
+const PLAN_LIMITS = {
+  [PLANS.FREE]: {
+    search: { max: 50, daily: 200, monthly: 3000 },
+    recommendation: { max: 20, daily: 50, monthly: 500 },
+    'job-posting': { max: 2, daily: 2, monthly: 5 }
+  },
+  [PLANS.PREMIUM]: {
+    search: { max: 200, daily: 2000, monthly: 30000 },
+    recommendation: { max: 100, daily: 500, monthly: 10000 },
+    'job-posting': { max: 5, daily: 5, monthly: 20 }
+  },
+  [PLANS.EMPLOYER]: {
+    search: { max: 300, daily: 5000, monthly: null },
+    recommendation: { max: 100, daily: 1000, monthly: null },
+    'job-posting': { max: 20, daily: 100, monthly: 1000 }
+  }
+};
+
+// Plan assumed for users without a `plan` claim
+const DEFAULT_ROLE_PLANS = {
+  [ROLES.EMPLOYER]: PLANS.EMPLOYER
+};
+
+module.exports = {
+  PLANS,
+  PLAN_LIMITS,
+  DEFAULT_ROLE_PLANS
+};
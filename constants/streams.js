@@ -0,0 +1,8 @@
+// Redis Streams the outbox relay publishes to and stream consumers read:
+// each event type goes to `events:<type>`
+const STREAM_PREFIX = 'events:';
+
+// Events that could not be published or handled
+const DEAD_LETTER_STREAM = `${STREAM_PREFIX}dead-letter`;
+
+module.exports = { STREAM_PREFIX, DEAD_LETTER_STREAM };
@@ -1,14 +1,33 @@
 // Database utilities
 const Database = require('./utils/database');
+const { MigrationRunner, createMigrationRunner } = require('./utils/migrationRunner');
 
 // Logger
 const logger = require('./logger/logger');
+const { createLogger } = require('./logger/factory');
+const { createRedactor } = require('./logger/redact');
 
 // Constants
 const { STATUS_CODES, MESSAGES } = require('./constants/statusCodes');
+const { ROLES, ROLE_PERMISSIONS } = require('./constants/permissions');
+const { PLANS, PLAN_LIMITS } = require('./constants/plans');
+const { STREAM_PREFIX, DEAD_LETTER_STREAM } = require('./constants/streams');
 
 // Middlewares
 const { auth, optionalAuth } = require('./middlewares/auth');
+const {
+  authorize,
+  requirePermission,
+  hasPermission,
+  resolvePermissionScope
+} = require('./middlewares/authorize');
+const { createJwksRouter } = require('./middlewares/jwks');
+const { serviceAuth } = require('./middlewares/serviceAuth');
+const { cacheResponse, invalidateCache } = require('./middlewares/cacheResponse');
+const { createRateLimitAdminRouter } = require('./middlewares/rateLimitAdmin');
+const { requestContext } = require('./middlewares/requestContext');
+const { tenantDatabase } = require('./middlewares/tenantDatabase');
+const { accessLog } = require('./middlewares/accessLog');
 
 // Validation utilities
 const {
@@ -37,21 +56,71 @@ const rateLimiter = require('./utils/rateLimiter');
 // Caching utilities
 const cacheManager = require('./utils/cache');
 
+// Token utilities
+const tokenService = require('./utils/tokenService');
+const keyStore = require('./utils/keyStore');
+
+// Request context utilities
+const {
+  runWithContext,
+  getContext,
+  getCurrentUserId,
+  getRequestId
+} = require('./utils/requestContext');
+
+// Mongoose plugins
+const {
+  softDeletePlugin,
+  auditPlugin,
+  optimisticLockingPlugin,
+  sessionContextPlugin
+} = require('./utils/plugins');
+
+// Service-to-service utilities
+const serviceCredentials = require('./utils/serviceCredentials');
+const { ServiceClient, createServiceClient } = require('./utils/serviceClient');
+
+// Messaging utilities
+const { addOutboxEvent, OutboxRelay, createOutboxRelay } = require('./utils/outbox');
+const { StreamConsumer, createStreamConsumer } = require('./utils/streamConsumer');
+
 // Export all utilities
 module.exports = {
   // Database
   Database,
+  MigrationRunner,
+  createMigrationRunner,
   
   // Logger
   logger,
+  createLogger,
+  createRedactor,
   
   // Constants
   STATUS_CODES,
   MESSAGES,
+  ROLES,
+  ROLE_PERMISSIONS,
+  PLANS,
+  PLAN_LIMITS,
+  STREAM_PREFIX,
+  DEAD_LETTER_STREAM,
   
   // Middlewares
   auth,
   optionalAuth,
+  authorize,
+  requirePermission,
+  hasPermission,
+  resolvePermissionScope,
+  createJwksRouter,
+  serviceAuth,
+  cacheResponse,
+  invalidateCache,
+  createRateLimitAdminRouter,
+  requestContext,
+  tenantDatabase,
+  accessLog,
   
   // Validation
   commonSchemas,
@@ -76,5 +145,33 @@ module.exports = {
   rateLimiter,
   
   // Caching
-  cacheManager
+  cacheManager,
+
+  // Tokens
+  tokenService,
+  keyStore,
+
+  // Request context
+  runWithContext,
+  getContext,
+  getCurrentUserId,
+  getRequestId,
+
+  // Mongoose plugins
+  softDeletePlugin,
+  auditPlugin,
+  optimisticLockingPlugin,
+  sessionContextPlugin,
+
+  // Service-to-service
+  serviceCredentials,
+  ServiceClient,
+  createServiceClient,
+
+  // Messaging
+  addOutboxEvent,
+  OutboxRelay,
+  createOutboxRelay,
+  StreamConsumer,
+  createStreamConsumer
 };
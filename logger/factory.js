@@ -0,0 +1,196 @@
+const path = require('path');
+const winston = require('winston');
+const { getRequestId, getCurrentUserId } = require('../utils/requestContext');
+const { redactFormat } = require('./redact');
+
+const { levels: LEVELS } = winston.config.npm;
+
+/**
+ * Parse `LOG_MODULE_LEVELS`, e.g. "database=debug,rateLimiter=warn"
+ * @param {string} value - Environment value
+ * @returns {Object} Module name to level
+ */
+const parseModuleLevels = (value) => {
+  if (!value) {
+    return {};
+  }
+
+  return value.split(',').reduce((levels, entry) => {
+    const [name, level] = entry.split('=').map(part => part && part.trim());
+    if (name && level) {
+      levels[name] = level;
+    }
+    return levels;
+  }, {});
+};
+
+/**
+ * Throw unless the level is one of the npm levels
+ * @param {string} level - Log level
+ */
+const assertLevel = (level) => {
+  if (!Object.prototype.hasOwnProperty.call(LEVELS, level)) {
+    throw new Error(`Unknown log level "${level}"; expected one of ${Object.keys(LEVELS).join(', ')}`);
+  }
+};
+
+/**
+ * Add the request ID and user ID of the current request context (see the
+ * requestContext middleware) to entries that do not set them
+ */
+const requestContextFormat = winston.format((info) => {
+  const requestId = getRequestId();
+  if (requestId && info.requestId === undefined) {
+    info.requestId = requestId;
+  }
+  const userId = getCurrentUserId();
+  if (userId && info.userId === undefined) {
+    info.userId = String(userId);
+  }
+  return info;
+});
+
+/**
+ * Console output: JSON lines in production, colourised text otherwise
+ * @param {string} format - 'json' or 'pretty'
+ */
+const consoleTransport = (format) => new winston.transports.Console(format === 'json' ? {} : {
+  format: winston.format.combine(
+    winston.format.colorize(),
+    winston.format.simple()
+  )
+});
+
+/**
+ * Size-rotated JSON log files: `<service>-error.log` and `<service>.log`
+ * @param {string} service - Service name
+ * @param {Object} file - `{ dirname, maxsize, maxFiles }`
+ */
+const fileTransports = (service, file) => {
+  const {
+    dirname,
+    maxsize = 10 * 1024 * 1024,
+    maxFiles = 5
+  } = file;
+  const options = { dirname, maxsize, maxFiles, tailable: true };
+
+  return [
+    new winston.transports.File({ ...options, filename: `${service}-error.log`, level: 'error' }),
+    new winston.transports.File({ ...options, filename: `${service}.log` })
+  ];
+};
+
+/**
+ * Create a winston logger for a service.
+ *
+ * Defaults come from the environment: SERVICE_NAME, LOG_LEVEL, LOG_FORMAT
+ * ('json' or 'pretty'; JSON when NODE_ENV is production), LOG_MODULE_LEVELS
+ * and LOG_DIR. Logs go to stdout; files are only written when a directory is
+ * configured, and rotate by size. Entries logged during a request carry its
+ * `requestId` and `userId`. Passwords, tokens, card details, billing
+ * addresses and emails are redacted unless `redact` is false.
+ *
+ * Besides the usual winston API (including `child(meta)` for bound context),
+ * the logger has:
+ * - `forModule(name, meta)`: child logger tagged with `module`, filtered by
+ *   that module's level if one is set
+ * - `setLevel(level, moduleName)`: change the service or a module's level at runtime
+ * - `getLevel(moduleName)`: current level of the service or a module
+ *
+ * @param {Object} options - Logger options
+ * @param {string} options.service - Service name added to every entry
+ * @param {string} options.level - Log level
+ * @param {Object} options.moduleLevels - Module name to level
+ * @param {string} options.format - 'json' or 'pretty' console output
+ * @param {Object|string} options.file - Log directory, or `{ dirname, maxsize, maxFiles }`
+ * @param {Array} options.transports - Transports replacing the defaults
+ * @param {Object} options.defaultMeta - Extra fields added to every entry
+ * @param {Object|boolean} options.redact - Redaction options (see createRedactor), or false
+ * @returns {Object} winston logger
+ */
+const createLogger = (options = {}) => {
+  const {
+    service = process.env.SERVICE_NAME || 'microservice',
+    level = process.env.LOG_LEVEL || 'info',
+    moduleLevels = parseModuleLevels(process.env.LOG_MODULE_LEVELS),
+    format = process.env.LOG_FORMAT || (process.env.NODE_ENV === 'production' ? 'json' : 'pretty'),
+    file = process.env.LOG_DIR || null,
+    transports = null,
+    defaultMeta = {},
+    redact = process.env.LOG_REDACT !== 'false'
+  } = options;
+
+  assertLevel(level);
+  Object.values(moduleLevels).forEach(assertLevel);
+
+  let baseLevel = level;
+  const modules = new Map(Object.entries(moduleLevels));
+
+  // Entries from a module with its own level are checked against it; the
+  // logger itself runs at the most verbose configured level so they get here
+  const filterByModule = winston.format((info) => {
+    const threshold = (info.module && modules.get(info.module)) || baseLevel;
+    return LEVELS[info.level] <= LEVELS[threshold] ? info : false;
+  });
+
+  const loggerTransports = transports || [
+    consoleTransport(format),
+    ...(file ? fileTransports(service, typeof file === 'string' ? { dirname: path.resolve(file) } : file) : [])
+  ];
+
+  const logger = winston.createLogger({
+    levels: LEVELS,
+    format: winston.format.combine(
+      filterByModule(),
+      requestContextFormat(),
+      winston.format.timestamp(),
+      winston.format.errors({ stack: true }),
+      ...(redact ? [redactFormat(redact === true ? {} : redact)] : []),
+      winston.format.json()
+    ),
+    defaultMeta: { service, ...defaultMeta },
+    transports: loggerTransports
+  });
+
+  const applyLevels = () => {
+    logger.level = [baseLevel, ...modules.values()]
+      .reduce((verbose, current) => (LEVELS[current] > LEVELS[verbose] ? current : verbose));
+  };
+  applyLevels();
+
+  /**
+   * Child logger for a module
+   * @param {string} name - Module name, e.g. 'database'
+   * @param {Object} meta - Extra bound fields
+   */
+  logger.forModule = (name, meta = {}) => logger.child({ ...meta, module: name });
+
+  /**
+   * Change the level of the service, or of one module
+   * @param {string} newLevel - Log level, or null to clear a module's level
+   * @param {string} moduleName - Module name
+   */
+  logger.setLevel = (newLevel, moduleName = null) => {
+    if (moduleName && newLevel === null) {
+      modules.delete(moduleName);
+    } else {
+      assertLevel(newLevel);
+      if (moduleName) {
+        modules.set(moduleName, newLevel);
+      } else {
+        baseLevel = newLevel;
+      }
+    }
+    applyLevels();
+  };
+
+  /**
+   * Current level of the service, or of one module
+   * @param {string} moduleName - Module name
+   */
+  logger.getLevel = (moduleName = null) => (moduleName && modules.get(moduleName)) || baseLevel;
+
+  return logger;
+};
+
+module.exports = { createLogger, parseModuleLevels, requestContextFormat };
@@ -0,0 +1,152 @@
+const winston = require('winston');
+
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 10;
+
+// Keys whose values are never logged, wherever they appear. Anchored where a
+// loose match would hit ordinary keys such as `compass`, `discard` or
+// `tokenType`.
+const DEFAULT_KEYS = [
+  /passw(or)?d/i,
+  /^pass$/i,
+  /secret/i,
+  /tokens?$/i,
+  /authorization/i,
+  /cookie/i,
+  /api[-_]?key/i,
+  /^(credit[-_]?)?card([-_]?(number|num|no))?$/i,
+  /^(cvv2?|cvc)$/i
+];
+
+// Paths whose values are never logged; a path also matches inside a larger
+// object, so 'billing.address' covers 'body.billing.address'
+const DEFAULT_PATHS = [
+  'billing.address'
+];
+
+// `name=value` query parameters inside strings such as logged URLs
+const QUERY_PARAM_PATTERN = /([?&])([^=&#\s]+)=([^&#\s]*)/g;
+
+const EMAIL_PATTERN = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+
+/**
+ * Split a comma separated environment value
+ * @param {string} value - Environment value
+ */
+const fromEnv = (value) => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : []);
+
+/**
+ * Turn a key name into an exact, case-insensitive pattern
+ * @param {string|RegExp} key - Key name or pattern
+ */
+const toPattern = (key) => (key instanceof RegExp ? key : new RegExp(`^${key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i'));
+
+const isPlainObject = (value) => {
+  if (value === null || typeof value !== 'object') {
+    return false;
+  }
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+};
+
+/**
+ * Build a function returning a redacted copy of a value.
+ *
+ * Values under matching keys or paths are replaced, as are query parameters
+ * with matching names inside strings (`/reset?token=...`). Emails in strings
+ * are masked to `j***@example.com`. Plain objects, arrays and errors are
+ * copied so the caller's data (e.g. `req.body`) is never modified; errors
+ * become plain objects with their name, message, stack and own properties.
+ *
+ * @param {Object} options - Redaction options
+ * @param {Array} options.keys - Extra key names or patterns to redact
+ * @param {Array} options.paths - Extra dot paths to redact
+ * @param {boolean} options.defaults - Include the default keys and paths
+ * @param {boolean} options.maskEmails - Mask email addresses in strings
+ * @param {string} options.replacement - Replacement for redacted values
+ * @returns {Function} (value) => redacted copy
+ */
+const createRedactor = (options = {}) => {
+  const {
+    keys = fromEnv(process.env.LOG_REDACT_KEYS),
+    paths = fromEnv(process.env.LOG_REDACT_PATHS),
+    defaults = true,
+    maskEmails = process.env.LOG_MASK_EMAILS !== 'false',
+    replacement = REDACTED
+  } = options;
+
+  const keyPatterns = [...(defaults ? DEFAULT_KEYS : []), ...keys].map(toPattern);
+  const isSensitiveKey = (key) => keyPatterns.some(pattern => pattern.test(key));
+  const pathSuffixes = [...(defaults ? DEFAULT_PATHS : []), ...paths].map(item => item.toLowerCase().split('.'));
+
+  const matchesPath = (trail) => pathSuffixes.some(suffix => suffix.length <= trail.length &&
+    suffix.every((segment, index) => segment === '*' ||
+      segment === trail[trail.length - suffix.length + index].toLowerCase()));
+
+  const redactValue = (value, trail, seen) => {
+    if (typeof value === 'string') {
+      const redacted = value.replace(QUERY_PARAM_PATTERN, (match, separator, name) => (
+        isSensitiveKey(name) ? `${separator}${name}=${replacement}` : match
+      ));
+      return maskEmails ? redacted.replace(EMAIL_PATTERN, '$1***@$2') : redacted;
+    }
+
+    const isArray = Array.isArray(value);
+    const isError = value instanceof Error;
+    if (!isArray && !isError && !isPlainObject(value)) {
+      return value;
+    }
+    if (seen.has(value) || trail.length >= MAX_DEPTH) {
+      return '[Truncated]';
+    }
+
+    // Error message and stack are non-enumerable own properties
+    const keys = isError ? [...new Set(['name', ...Object.getOwnPropertyNames(value)])] : Object.keys(value);
+
+    seen.add(value);
+    const copy = isArray
+      ? value.map((item, index) => redactValue(item, [...trail, String(index)], seen))
+      : keys.reduce((result, key) => {
+        result[key] = redactEntry(key, value[key], trail, seen);
+        return result;
+      }, {});
+    seen.delete(value);
+    return copy;
+  };
+
+  const redactEntry = (key, value, trail, seen) => {
+    const keyTrail = [...trail, key];
+    if (value !== undefined && value !== null &&
+      (isSensitiveKey(key) || matchesPath(keyTrail))) {
+      return replacement;
+    }
+    return redactValue(value, keyTrail, seen);
+  };
+
+  return (value) => redactValue(value, [], new WeakSet());
+};
+
+/**
+ * Winston format redacting log entries (see createRedactor). Top-level fields
+ * are replaced on the entry itself so winston's internal fields survive.
+ * @param {Object} options - See createRedactor
+ */
+const redactFormat = (options = {}) => {
+  const redact = createRedactor(options);
+
+  return winston.format((info) => {
+    const entry = redact({ ...info });
+    Object.keys(info).forEach(key => {
+      info[key] = entry[key];
+    });
+    return info;
+  })();
+};
+
+module.exports = {
+  createRedactor,
+  redactFormat,
+  DEFAULT_KEYS,
+  DEFAULT_PATHS,
+  REDACTED
+};
@@ -0,0 +1,97 @@
+const defaultLogger = require('../logger/logger');
+
+// Probe routes polled by load balancers and orchestrators
+const HEALTH_PATHS = ['/health', '/healthz', '/ready', '/readyz', '/live', '/livez'];
+
+/**
+ * Route pattern of a request, e.g. '/jobs/:id', or null if no route matched
+ * @param {Object} req - Express request object
+ */
+const routePattern = (req) => {
+  if (!req.route) {
+    return null;
+  }
+  const path = typeof req.route.path === 'string' ? req.route.path : String(req.route.path);
+  return `${req.baseUrl || ''}${path}` || '/';
+};
+
+/**
+ * Log every HTTP request through the shared logger once its response is sent.
+ *
+ * Entries carry the method, route pattern (not the raw URL, so ids and query
+ * strings do not spread across logs), status, latency, response size, user
+ * ID and request ID. 5xx responses log at error, slow requests at warn and
+ * the rest at info, under the 'http' module (see logger.setLevel). Mount
+ * after requestContext() and before routes.
+ *
+ * @param {Object} options - Options
+ * @param {Object} options.logger - Logger (defaults to the shared logger)
+ * @param {number} options.sampleRate - Share of 2xx responses logged, 0 to 1; other statuses are always logged
+ * @param {number} options.slowThresholdMs - Requests slower than this log at warn
+ * @param {Array} options.skipPaths - Paths never logged (defaults to health probes)
+ * @param {Function} options.skip - (req, res) => boolean, true to skip an entry
+ */
+const accessLog = (options = {}) => {
+  const {
+    logger = defaultLogger.forModule ? defaultLogger.forModule('http') : defaultLogger,
+    sampleRate = process.env.ACCESS_LOG_SAMPLE_RATE !== undefined ? Number(process.env.ACCESS_LOG_SAMPLE_RATE) : 1,
+    slowThresholdMs = parseInt(process.env.ACCESS_LOG_SLOW_MS, 10) || 1000,
+    skipPaths = HEALTH_PATHS,
+    skip = null
+  } = options;
+
+  const skipped = new Set(skipPaths);
+
+  return (req, res, next) => {
+    if (skipped.has(req.path)) {
+      return next();
+    }
+
+    const start = process.hrtime.bigint();
+    let logged = false;
+
+    const log = () => {
+      if (logged) {
+        return;
+      }
+      logged = true;
+
+      const durationMs = Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100;
+      const status = res.statusCode;
+      const slow = durationMs >= slowThresholdMs;
+      const aborted = !res.writableFinished;
+
+      if (status >= 200 && status < 300 && !slow && !aborted && sampleRate < 1 && Math.random() >= sampleRate) {
+        return;
+      }
+      if (skip && skip(req, res)) {
+        return;
+      }
+
+      const route = routePattern(req);
+      const contentLength = parseInt(res.getHeader('Content-Length'), 10);
+      const entry = {
+        method: req.method,
+        route,
+        ...(!route && { path: req.originalUrl.split('?')[0] }),
+        status,
+        durationMs,
+        responseSize: Number.isNaN(contentLength) ? null : contentLength,
+        userId: req.user?.id ? String(req.user.id) : null,
+        requestId: req.id || null,
+        ip: req.ip,
+        userAgent: req.get('User-Agent'),
+        ...(aborted && { aborted: true })
+      };
+
+      const level = status >= 500 ? 'error' : (slow || aborted ? 'warn' : 'info');
+      logger.log(level, `${req.method} ${route || entry.path} ${status} ${durationMs}ms`, entry);
+    };
+
+    res.on('finish', log);
+    res.on('close', log);
+    next();
+  };
+};
+
+module.exports = { accessLog, HEALTH_PATHS };
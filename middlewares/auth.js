@@ -1,36 +1,41 @@
-const jwt = require('jsonwebtoken');
 const logger = require('../logger/logger');
+const tokenService = require('../utils/tokenService');
+const ResponseHandler = require('../utils/response');
 
-const auth = (req, res, next) => {
+const auth = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
     if (!token) {
-      return res.status(401).json({ message: 'Access denied. No token provided.' });
+      return ResponseHandler.sendError(res, 401, 'Access denied. No token provided.', null, 'UNAUTHORIZED');
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = await tokenService.verifyAccessToken(token);
     req.user = decoded;
     next();
   } catch (error) {
+    // An unreachable token store is a server error, not a bad token
+    if (error.statusCode >= 500) {
+      return next(error);
+    }
     logger.error('Authentication error:', error);
-    res.status(401).json({ message: 'Invalid token.' });
+    ResponseHandler.sendError(res, 401, error.isOperational ? `${error.message}.` : 'Invalid token.', null, 'UNAUTHORIZED');
   }
 };
 
-const optionalAuth = (req, res, next) => {
+const optionalAuth = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
     if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const decoded = await tokenService.verifyAccessToken(token);
       req.user = decoded;
     }
     next();
-  } catch (error) {
+  } catch {
     // Continue without authentication
     next();
   }
 };
 
-module.exports = { auth, optionalAuth }; 
\ No newline at end of file
+module.exports = { auth, optionalAuth };
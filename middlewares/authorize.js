@@ -0,0 +1,192 @@
+const ErrorHandler = require('../utils/errorHandler');
+const logger = require('../logger/logger');
+const { ROLE_PERMISSIONS } = require('../constants/permissions');
+
+const OWN_SCOPE = 'own';
+
+/**
+ * Get the roles carried by the authenticated user
+ * @param {Object} user - Decoded token payload
+ */
+const getUserRoles = (user) => {
+  if (Array.isArray(user.roles)) {
+    return user.roles;
+  }
+  return user.role ? [user.role] : [];
+};
+
+/**
+ * Check whether a granted permission covers a required one
+ * @param {string} granted - Granted permission, may contain wildcards
+ * @param {string} required - Required permission
+ */
+const matchPermission = (granted, required) => {
+  const grantedParts = granted.split(':');
+  const requiredParts = required.split(':');
+
+  for (let i = 0; i < grantedParts.length; i++) {
+    if (grantedParts[i] === '*') {
+      // A trailing wildcard covers every remaining segment
+      if (i === grantedParts.length - 1) {
+        return true;
+      }
+      continue;
+    }
+    if (grantedParts[i] !== requiredParts[i]) {
+      return false;
+    }
+  }
+
+  return grantedParts.length === requiredParts.length;
+};
+
+/**
+ * Resolve the scope a user has for a permission
+ * @param {Object} user - Decoded token payload
+ * @param {string} permission - Required permission (`resource:action`)
+ * @param {Object} rolePermissions - Role -> permission map
+ * @returns {string|null} 'all', 'own' or null when not granted
+ */
+const resolvePermissionScope = (user, permission, rolePermissions = ROLE_PERMISSIONS) => {
+  if (!user) {
+    return null;
+  }
+
+  const granted = [
+    ...getUserRoles(user).flatMap(role => rolePermissions[role] || []),
+    ...(Array.isArray(user.permissions) ? user.permissions : [])
+  ];
+
+  let scope = null;
+  for (const entry of granted) {
+    const isOwnScoped = entry.endsWith(`:${OWN_SCOPE}`);
+    const pattern = isOwnScoped ? entry.slice(0, -(OWN_SCOPE.length + 1)) : entry;
+
+    if (matchPermission(pattern, permission)) {
+      if (!isOwnScoped) {
+        return 'all';
+      }
+      scope = OWN_SCOPE;
+    }
+  }
+
+  return scope;
+};
+
+/**
+ * Check if a user holds a permission
+ * @param {Object} user - Decoded token payload
+ * @param {string} permission - Required permission
+ * @param {Object} rolePermissions - Role -> permission map
+ */
+const hasPermission = (user, permission, rolePermissions = ROLE_PERMISSIONS) => {
+  return resolvePermissionScope(user, permission, rolePermissions) !== null;
+};
+
+/**
+ * Restrict a route to one or more roles. Must run after `auth`.
+ * @param {...string} roles - Allowed roles
+ */
+const authorize = (...roles) => {
+  const allowed = roles.flat();
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return next(ErrorHandler.createUnauthorizedError());
+    }
+
+    const userRoles = getUserRoles(req.user);
+    if (allowed.length > 0 && !userRoles.some(role => allowed.includes(role))) {
+      logger.warn('Role authorization failed', {
+        userId: req.user.id,
+        roles: userRoles,
+        required: allowed,
+        url: req.url
+      });
+      return next(ErrorHandler.createForbiddenError());
+    }
+
+    next();
+  };
+};
+
+/**
+ * Require a permission from the role -> permission map. Must run after `auth`.
+ *
+ * When the user only holds the `:own` variant of the permission, `getOwnerId`
+ * is called to load the owner of the target resource and the request is
+ * allowed only if it matches `req.user.id`. Routes without a single target
+ * resource (e.g. "list my jobs") pass `scopeToOwner: true` instead and must
+ * scope their query to the caller; `req.permissionScope` is then 'own'.
+ * With neither option, `:own` holders are refused, so a route cannot skip
+ * the ownership check by omission.
+ *
+ * @param {string} permission - Required permission (`resource:action`)
+ * @param {Object} options - Options
+ * @param {Function} options.getOwnerId - async (req) => owner id of the target resource
+ * @param {boolean} options.scopeToOwner - Let `:own` holders through; the handler limits the data to theirs
+ * @param {Object} options.rolePermissions - Role -> permission map override
+ */
+const requirePermission = (permission, options = {}) => {
+  const {
+    getOwnerId = null,
+    scopeToOwner = false,
+    rolePermissions = ROLE_PERMISSIONS
+  } = options;
+
+  return async (req, res, next) => {
+    if (!req.user) {
+      return next(ErrorHandler.createUnauthorizedError());
+    }
+
+    try {
+      const scope = resolvePermissionScope(req.user, permission, rolePermissions);
+
+      if (!scope) {
+        logger.warn('Permission check failed', {
+          userId: req.user.id,
+          roles: getUserRoles(req.user),
+          permission,
+          url: req.url
+        });
+        return next(ErrorHandler.createForbiddenError());
+      }
+
+      if (scope === OWN_SCOPE && getOwnerId) {
+        const ownerId = await getOwnerId(req);
+
+        if (ownerId === null || ownerId === undefined) {
+          return next(ErrorHandler.createNotFoundError());
+        }
+
+        if (String(ownerId) !== String(req.user.id)) {
+          logger.warn('Ownership check failed', {
+            userId: req.user.id,
+            permission,
+            url: req.url
+          });
+          return next(ErrorHandler.createForbiddenError('You do not own this resource'));
+        }
+      } else if (scope === OWN_SCOPE && !scopeToOwner) {
+        logger.warn('Ownership check not configured', {
+          userId: req.user.id,
+          permission,
+          url: req.url
+        });
+        return next(ErrorHandler.createForbiddenError('You do not own this resource'));
+      }
+
+      req.permissionScope = scope;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = {
+  authorize,
+  requirePermission,
+  hasPermission,
+  resolvePermissionScope
+};
@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const cacheManager = require('../utils/cache');
+const logger = require('../logger/logger');
+
+const KEY_PREFIX = 'response';
+
+// Headers replayed from a cached response
+const CACHED_HEADERS = ['content-type', 'content-language', 'etag', 'last-modified', 'link'];
+
+/**
+ * Build the cache key for a request
+ * @param {Object} req - Express request object
+ * @param {Array} varyBy - Request parts the cached response depends on
+ */
+const buildCacheKey = (req, varyBy) => {
+  const parts = [req.method, req.baseUrl + req.path];
+
+  for (const dimension of varyBy) {
+    if (typeof dimension === 'function') {
+      parts.push(String(dimension(req)));
+    } else if (dimension === 'user') {
+      parts.push(`user:${req.user?.id || 'anonymous'}`);
+    } else if (dimension === 'role') {
+      parts.push(`role:${req.user?.role || 'anonymous'}`);
+    } else if (dimension === 'query') {
+      const query = req.validatedQuery || req.query || {};
+      const sorted = Object.keys(query).sort().map(key => [key, query[key]]);
+      parts.push(`query:${JSON.stringify(sorted)}`);
+    } else if (dimension.startsWith('header:')) {
+      const header = dimension.slice('header:'.length);
+      parts.push(`${header}:${req.get(header) || ''}`);
+    }
+  }
+
+  const hash = crypto.createHash('sha1').update(parts.join('|')).digest('hex');
+  return `${KEY_PREFIX}:${req.baseUrl + req.path}:${hash}`;
+};
+
+/**
+ * Whether a response must not be stored: `Cache-Control: no-store` or
+ * `private`, or a `Set-Cookie` header
+ * @param {Object} res - Express response object
+ */
+const isUncacheable = (res) => {
+  return /\b(no-store|private)\b/i.test(res.get('Cache-Control') || '') || !!res.get('Set-Cookie');
+};
+
+/**
+ * Resolve route tags from static values or a function of the request
+ * @param {Array|Function} tags - Tags or (req) => tags
+ * @param {Object} req - Express request object
+ */
+const resolveTags = (tags, req) => {
+  const resolved = typeof tags === 'function' ? tags(req) : tags;
+  return (resolved || []).filter(Boolean);
+};
+
+/**
+ * Cache successful GET responses in cacheManager.
+ *
+ * Responses sent through `res.json`/`res.send` (and so ResponseHandler) with a
+ * 2xx status are stored with their status, selected headers and body, and
+ * replayed with `X-Cache: HIT`. Clients sending `Cache-Control: no-cache`
+ * bypass the cached copy and refresh it; `no-store` bypasses it without
+ * storing. Responses marked `no-store` or `private`, or setting a cookie, are
+ * never stored.
+ *
+ * Authenticated requests (`req.user` or an `Authorization` header) are cached
+ * per user unless `shareAcrossUsers` is set, and not at all when the user is
+ * unknown, e.g. when mounted before auth.
+ *
+ * @param {Object} options - Options
+ * @param {number} options.ttl - Time to live in seconds
+ * @param {Array} options.varyBy - 'user', 'role', 'query', 'header:<name>' or (req) => string
+ * @param {Array|Function} options.tags - Tags for invalidateCache(), or (req) => tags
+ * @param {boolean} options.shareAcrossUsers - Serve one cached copy to every authenticated user matching varyBy
+ */
+const cacheResponse = (options = {}) => {
+  const {
+    ttl = 60,
+    varyBy = ['query'],
+    tags = [],
+    shareAcrossUsers = false
+  } = options;
+
+  const perUserVaryBy = varyBy.includes('user') ? varyBy : [...varyBy, 'user'];
+
+  return async (req, res, next) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      return next();
+    }
+
+    const authenticated = !!(req.user || req.get('Authorization'));
+    if (authenticated && !shareAcrossUsers && !req.user?.id) {
+      res.set('X-Cache', 'BYPASS');
+      return next();
+    }
+
+    const key = buildCacheKey(req, authenticated && !shareAcrossUsers ? perUserVaryBy : varyBy);
+    const requestCacheControl = req.get('Cache-Control') || '';
+    const noStore = /no-store/.test(requestCacheControl);
+    const bypass = noStore || /no-cache/.test(requestCacheControl);
+
+    try {
+      if (!bypass) {
+        const cached = await cacheManager.get(key);
+        if (cached) {
+          res.set(cached.headers);
+          res.set('X-Cache', 'HIT');
+          const body = cached.encoding === 'base64' ? Buffer.from(cached.body, 'base64') : cached.body;
+          return res.status(cached.statusCode).send(body);
+        }
+      }
+    } catch (error) {
+      logger.error('Failed to read cached response:', error);
+    }
+
+    res.set('X-Cache', bypass ? 'BYPASS' : 'MISS');
+
+    if (noStore) {
+      return next();
+    }
+
+    const originalSend = res.send.bind(res);
+    res.send = (body) => {
+      res.send = originalSend;
+
+      if (res.statusCode >= 200 && res.statusCode < 300 && body !== undefined && !isUncacheable(res)) {
+        const headers = {};
+        for (const header of CACHED_HEADERS) {
+          const value = res.get(header);
+          if (value) {
+            headers[header] = value;
+          }
+        }
+
+        // Binary bodies do not survive a UTF-8 round trip
+        const entry = Buffer.isBuffer(body)
+          ? { statusCode: res.statusCode, headers, body: body.toString('base64'), encoding: 'base64' }
+          : { statusCode: res.statusCode, headers, body };
+
+        cacheManager.set(key, entry, ttl, { tags: resolveTags(tags, req) }).catch(error => {
+          logger.error('Failed to cache response:', error);
+        });
+      }
+
+      return originalSend(body);
+    };
+
+    next();
+  };
+};
+
+/**
+ * Invalidate cached responses after a successful write.
+ * Runs the invalidation once the response has finished with a 2xx status.
+ * @param {Array|Function} tags - Tags to invalidate, or (req) => tags
+ */
+const invalidateCache = (tags) => {
+  return (req, res, next) => {
+    res.on('finish', () => {
+      if (res.statusCode < 200 || res.statusCode >= 300) {
+        return;
+      }
+
+      const resolved = resolveTags(tags, req);
+      if (resolved.length === 0) {
+        return;
+      }
+
+      cacheManager.invalidateTags(resolved).catch(error => {
+        logger.error('Failed to invalidate cached responses:', error);
+      });
+    });
+
+    next();
+  };
+};
+
+module.exports = { cacheResponse, invalidateCache, buildCacheKey };
@@ -0,0 +1,26 @@
+const express = require('express');
+const keyStore = require('../utils/keyStore');
+
+/**
+ * Create a router publishing the public signing keys as a JWKS document
+ * @param {Object} options - Router options
+ * @param {string} options.path - Mount path of the document
+ * @param {number} options.maxAge - Cache-Control max-age in seconds
+ */
+const createJwksRouter = (options = {}) => {
+  const {
+    path = '/.well-known/jwks.json',
+    maxAge = 5 * 60 // 5 minutes
+  } = options;
+
+  const router = express.Router();
+
+  router.get(path, (req, res) => {
+    res.set('Cache-Control', `public, max-age=${maxAge}`);
+    res.json(keyStore.getJWKS());
+  });
+
+  return router;
+};
+
+module.exports = { createJwksRouter };
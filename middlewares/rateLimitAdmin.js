@@ -0,0 +1,84 @@
+const express = require('express');
+const Joi = require('joi');
+const rateLimiter = require('../utils/rateLimiter');
+const ResponseHandler = require('../utils/response');
+const ErrorHandler = require('../utils/errorHandler');
+const { validate } = require('../utils/validation');
+
+const overrideSchema = Joi.object({
+  ttl: Joi.number().integer().min(0).default(60 * 60),
+  reason: Joi.string().max(500).allow(null, '')
+});
+
+/**
+ * Create a router for inspecting and managing rate limits.
+ *
+ * The router does no authentication of its own; mount it behind `auth` and
+ * `authorize('admin')`:
+ *
+ *   app.use('/admin/rate-limits', auth, authorize(ROLES.ADMIN), createRateLimitAdminRouter());
+ *
+ * Routes (`:name` may be `*` for overrides that apply to every limiter):
+ * - GET    /limiters                          list limiters
+ * - GET    /limiters/:name/keys/:key          usage, reset time and blocked state of a key
+ * - DELETE /limiters/:name/keys/:key          reset a key's usage
+ * - PUT    /limiters/:name/keys/:key/allow    allowlist a key `{ ttl, reason }`
+ * - PUT    /limiters/:name/keys/:key/ban      ban a key `{ ttl, reason }`
+ * - DELETE /limiters/:name/keys/:key/override remove an allowlist entry or ban
+ */
+const createRateLimitAdminRouter = () => {
+  const router = express.Router();
+
+  const findLimiter = (req, res, next) => {
+    if (req.params.name !== '*' && !rateLimiter.getLimiters().includes(req.params.name)) {
+      return ResponseHandler.notFound(res, `Rate limiter ${req.params.name} not found`);
+    }
+    next();
+  };
+
+  router.get('/limiters', (req, res) => {
+    ResponseHandler.list(res, rateLimiter.describeLimiters());
+  });
+
+  router.get('/limiters/:name/keys/:key', findLimiter, ErrorHandler.asyncHandler(async (req, res) => {
+    if (req.params.name === '*') {
+      return ResponseHandler.badRequest(res, 'Usage is tracked per limiter');
+    }
+
+    const info = await rateLimiter.getRateLimitInfo(req.params.key, req.params.name);
+    if (!info) {
+      return ResponseHandler.serviceUnavailable(res, 'Rate limit store unavailable');
+    }
+    ResponseHandler.item(res, info);
+  }));
+
+  router.delete('/limiters/:name/keys/:key', findLimiter, ErrorHandler.asyncHandler(async (req, res) => {
+    if (req.params.name === '*') {
+      return ResponseHandler.badRequest(res, 'Usage is tracked per limiter');
+    }
+
+    if (!(await rateLimiter.resetRateLimit(req.params.key, req.params.name))) {
+      return ResponseHandler.serviceUnavailable(res, 'Rate limit store unavailable');
+    }
+    ResponseHandler.updated(res, null, 'Rate limit reset');
+  }));
+
+  for (const type of ['allow', 'ban']) {
+    router.put(`/limiters/:name/keys/:key/${type}`, findLimiter, validate(overrideSchema), ErrorHandler.asyncHandler(async (req, res) => {
+      const override = await rateLimiter.setOverride(type, req.params.key, {
+        ...req.validatedBody,
+        limiter: req.params.name
+      });
+      ResponseHandler.updated(res, override, type === 'allow' ? 'Key allowlisted' : 'Key banned');
+    }));
+  }
+
+  router.delete('/limiters/:name/keys/:key/override', findLimiter, ErrorHandler.asyncHandler(async (req, res) => {
+    await rateLimiter.clearOverride(req.params.key, req.params.name);
+    ResponseHandler.updated(res, null, 'Override removed');
+  }));
+
+  return router;
+};
+
+module.exports = { createRateLimitAdminRouter };
@@ -0,0 +1,39 @@
+const { v4: uuidv4 } = require('uuid');
+const { runWithContext } = require('../utils/requestContext');
+
+// Incoming IDs are echoed back and logged, so only accept short, plain values
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Run the rest of the request inside a request context, so code without
+ * access to `req` (Mongoose plugins, repositories, the logger) can read the
+ * current user and request ID. Mount before routes.
+ *
+ * The request ID is taken from the request header (set by the gateway or a
+ * calling service) or generated, then exposed as `req.id` and echoed in the
+ * response header.
+ *
+ * @param {Object} options - Middleware options
+ * @param {string} options.header - Request ID header
+ * @param {boolean} options.trustHeader - Accept IDs sent by the client
+ * @param {Function} options.generate - () => new request ID
+ */
+const requestContext = (options = {}) => {
+  const {
+    header = 'X-Request-Id',
+    trustHeader = true,
+    generate = uuidv4
+  } = options;
+
+  return (req, res, next) => {
+    const incoming = trustHeader ? req.get(header) : null;
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : generate();
+
+    req.id = requestId;
+    res.setHeader(header, requestId);
+
+    runWithContext({ req, requestId }, next);
+  };
+};
+
+module.exports = { requestContext };
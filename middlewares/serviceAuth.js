@@ -0,0 +1,68 @@
+const logger = require('../logger/logger');
+const serviceCredentials = require('../utils/serviceCredentials');
+const ResponseHandler = require('../utils/response');
+
+/**
+ * Check that a service holds every required scope
+ * @param {Array} granted - Scopes held by the service
+ * @param {Array} required - Required scopes
+ */
+const hasScopes = (granted, required) => {
+  return granted.includes('*') || required.every(scope => granted.includes(scope));
+};
+
+/**
+ * Authenticate another service by API key (`X-API-Key`) or service token
+ * (`Authorization: Bearer`) and put its identity on `req.service`.
+ * @param {Object} options - Options
+ * @param {Array} options.scopes - Scopes the caller must hold
+ * @param {string} options.audience - Expected token audience (defaults to SERVICE_NAME)
+ * @param {boolean} options.allowApiKeys - Accept API keys
+ * @param {boolean} options.allowTokens - Accept service tokens
+ */
+const serviceAuth = (options = {}) => {
+  const {
+    scopes = [],
+    audience = serviceCredentials.serviceName,
+    allowApiKeys = true,
+    allowTokens = true
+  } = options;
+
+  return async (req, res, next) => {
+    try {
+      const apiKey = req.header('X-API-Key');
+      const token = req.header('Authorization')?.replace('Bearer ', '');
+
+      let identity;
+      if (apiKey && allowApiKeys) {
+        identity = { ...(await serviceCredentials.verifyApiKey(apiKey)), authMethod: 'api-key' };
+      } else if (token && allowTokens) {
+        identity = { ...(await serviceCredentials.verifyServiceToken(token, audience)), authMethod: 'token' };
+      } else {
+        return ResponseHandler.sendError(res, 401, 'Access denied. No service credentials provided.', null, 'UNAUTHORIZED');
+      }
+
+      if (!hasScopes(identity.scopes, scopes)) {
+        logger.warn('Service scope check failed', {
+          service: identity.name,
+          scopes: identity.scopes,
+          required: scopes,
+          url: req.url
+        });
+        return ResponseHandler.sendError(res, 403, 'Insufficient service scope.', null, 'FORBIDDEN');
+      }
+
+      req.service = identity;
+      next();
+    } catch (error) {
+      // Configuration problems are server errors, not bad credentials
+      if (error.statusCode >= 500) {
+        return next(error);
+      }
+      logger.error('Service authentication error:', error);
+      ResponseHandler.sendError(res, 401, 'Invalid service credentials.', null, 'UNAUTHORIZED');
+    }
+  };
+};
+
+module.exports = { serviceAuth };
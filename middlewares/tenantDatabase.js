@@ -0,0 +1,65 @@
+const Database = require('../utils/database');
+const ErrorHandler = require('../utils/errorHandler');
+const { getContext } = require('../utils/requestContext');
+const logger = require('../logger/logger');
+
+/**
+ * Resolve the tenant of a request and bind its database.
+ *
+ * Sets `req.tenantId` and `req.db` (the tenant database on the chosen
+ * connection). Authenticated users with a `tenantId` claim cannot reach
+ * another tenant's database. The X-Tenant-Id header is only trusted when
+ * `trustHeader` allows it, by default for services authenticated by
+ * serviceAuth(). Inside requestContext(), the tenant is also stored in the
+ * request context so Database.getModel() picks the tenant database without
+ * being passed `req`. Rejections are passed to next() as AppErrors.
+ *
+ * @param {Object} options - Options
+ * @param {Function} options.resolveTenant - (req) => tenant id; defaults to the user's `tenantId` claim, then a trusted X-Tenant-Id header
+ * @param {boolean|Function} options.trustHeader - Whether the X-Tenant-Id header may name the tenant, or (req) => boolean
+ * @param {boolean} options.required - Reject requests without a tenant
+ * @param {string} options.connection - Connection name
+ */
+const tenantDatabase = (options = {}) => {
+  const {
+    resolveTenant = null,
+    trustHeader = (req) => !!req.service,
+    required = true,
+    connection = 'default'
+  } = options;
+
+  const headerTrusted = typeof trustHeader === 'function' ? trustHeader : () => trustHeader;
+  const resolve = resolveTenant || ((req) => req.user?.tenantId || (headerTrusted(req) ? req.get('X-Tenant-Id') : null));
+
+  return (req, res, next) => {
+    const tenantId = resolve(req);
+
+    if (!tenantId) {
+      if (required) {
+        return next(ErrorHandler.createErrorWithContext('Tenant not specified', 400, 'TENANT_REQUIRED'));
+      }
+      return next();
+    }
+
+    if (req.user?.tenantId && String(req.user.tenantId) !== String(tenantId)) {
+      logger.warn('Cross-tenant access rejected', { tenantId, userTenantId: req.user.tenantId, url: req.url });
+      return next(ErrorHandler.createErrorWithContext('Access to this tenant is not allowed', 403, 'TENANT_FORBIDDEN'));
+    }
+
+    try {
+      req.db = Database.forTenant(tenantId, { connection });
+    } catch (error) {
+      logger.warn('Invalid tenant requested', { tenantId, url: req.url });
+      return next(ErrorHandler.createErrorWithContext(error.message, 400, 'INVALID_TENANT'));
+    }
+
+    req.tenantId = tenantId;
+    const context = getContext();
+    if (context) {
+      context.tenantId = tenantId;
+    }
+    next();
+  };
+};
+
+module.exports = { tenantDatabase };
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+const OUTBOX_STATUSES = ['pending', 'processing', 'published', 'dead'];
+
+const outboxEventSchema = new mongoose.Schema({
+  eventId: { type: String, required: true, unique: true },
+  type: { type: String, required: true },
+  aggregateType: { type: String, default: null },
+  aggregateId: { type: String, default: null },
+  payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+  headers: { type: mongoose.Schema.Types.Mixed, default: {} },
+  status: { type: String, enum: OUTBOX_STATUSES, default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedUntil: { type: Date, default: null },
+  lastError: { type: String, default: null },
+  streamId: { type: String, default: null },
+  publishedAt: { type: Date, default: null }
+}, {
+  timestamps: true,
+  collection: 'outbox_events'
+});
+
+outboxEventSchema.index({ status: 1, nextAttemptAt: 1 });
+// Published events are kept for a week for troubleshooting
+outboxEventSchema.index({ publishedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.models.OutboxEvent || mongoose.model('OutboxEvent', outboxEventSchema);
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+const serviceApiKeySchema = new mongoose.Schema({
+  keyId: { type: String, required: true, unique: true },
+  keyHash: { type: String, required: true },
+  service: { type: String, required: true, index: true },
+  scopes: { type: [String], default: [] },
+  active: { type: Boolean, default: true },
+  expiresAt: { type: Date, default: null },
+  lastUsedAt: { type: Date, default: null }
+}, {
+  timestamps: true,
+  collection: 'service_api_keys'
+});
+
+module.exports = mongoose.models.ServiceApiKey || mongoose.model('ServiceApiKey', serviceApiKeySchema);
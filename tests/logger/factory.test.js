@@ -0,0 +1,119 @@
+process.env.LOG_LEVEL = 'error';
+
+const winston = require('winston');
+const { createLogger, parseModuleLevels } = require('../../logger/factory');
+const { runWithContext } = require('../../utils/requestContext');
+const { REDACTED } = require('../../logger/redact');
+
+/**
+ * Transport keeping the entries it receives
+ */
+class MemoryTransport extends winston.Transport {
+  constructor() {
+    super();
+    this.entries = [];
+  }
+
+  log(info, callback) {
+    this.entries.push(info);
+    callback();
+  }
+}
+
+describe('parseModuleLevels', () => {
+  it('parses module=level pairs and skips malformed entries', () => {
+    expect(parseModuleLevels(' database = debug,rateLimiter=warn,broken,=info,cache=')).toEqual({
+      database: 'debug',
+      rateLimiter: 'warn'
+    });
+    expect(parseModuleLevels(undefined)).toEqual({});
+  });
+});
+
+describe('createLogger', () => {
+  let transport;
+
+  /**
+   * Logger writing to the memory transport
+   * @param {Object} options - createLogger options
+   */
+  const create = (options = {}) => createLogger({ service: 'jobs', transports: [transport], ...options });
+
+  /**
+   * Messages the transport received
+   */
+  const messages = () => transport.entries.map(entry => entry.message);
+
+  beforeEach(() => {
+    transport = new MemoryTransport();
+  });
+
+  it('rejects unknown levels', () => {
+    expect(() => create({ level: 'verbose!' })).toThrow('Unknown log level "verbose!"');
+    expect(() => create({ moduleLevels: { database: 'loud' } })).toThrow('Unknown log level "loud"');
+  });
+
+  it('logs a module more verbosely than the service', () => {
+    const logger = create({ level: 'info', moduleLevels: { database: 'debug' } });
+
+    logger.forModule('database').debug('query plan');
+    logger.forModule('cache').debug('cache miss');
+    logger.debug('service detail');
+    logger.info('service started');
+
+    expect(messages()).toEqual(['query plan', 'service started']);
+    expect(transport.entries[0]).toMatchObject({ module: 'database', service: 'jobs' });
+  });
+
+  it('logs a module more quietly than the service', () => {
+    const logger = create({ level: 'info', moduleLevels: { rateLimiter: 'warn' } });
+
+    logger.forModule('rateLimiter').info('key allowed');
+    logger.forModule('rateLimiter').warn('key banned');
+    logger.info('request handled');
+
+    expect(messages()).toEqual(['key banned', 'request handled']);
+  });
+
+  it('changes and clears levels at runtime', () => {
+    const logger = create({ level: 'warn' });
+    const database = logger.forModule('database', { connection: 'default' });
+
+    logger.setLevel('debug', 'database');
+    database.debug('reconnecting');
+    logger.info('still quiet');
+    expect(logger.getLevel('database')).toBe('debug');
+
+    logger.setLevel(null, 'database');
+    database.debug('dropped');
+    expect(logger.getLevel('database')).toBe('warn');
+
+    logger.setLevel('info');
+    logger.info('service info');
+
+    expect(messages()).toEqual(['reconnecting', 'service info']);
+    expect(transport.entries[0]).toMatchObject({ connection: 'default' });
+    expect(() => logger.setLevel('loud')).toThrow('Unknown log level');
+  });
+
+  it('adds the request and user of the current context', () => {
+    const logger = create({ level: 'info' });
+
+    runWithContext({ requestId: 'req-1', userId: 42 }, () => {
+      logger.info('in request');
+      logger.info('explicit', { requestId: 'other' });
+    });
+    logger.info('outside');
+
+    expect(transport.entries[0]).toMatchObject({ requestId: 'req-1', userId: '42' });
+    expect(transport.entries[1]).toMatchObject({ requestId: 'other', userId: '42' });
+    expect(transport.entries[2]).not.toHaveProperty('requestId');
+  });
+
+  it('redacts entries unless redaction is turned off', () => {
+    create({ level: 'info' }).info('login', { password: 'hunter2' });
+    create({ level: 'info', redact: false }).info('login', { password: 'hunter2' });
+
+    expect(transport.entries.map(entry => entry.password)).toEqual([REDACTED, 'hunter2']);
+  });
+});
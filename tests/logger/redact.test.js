@@ -0,0 +1,108 @@
+process.env.LOG_LEVEL = 'error';
+
+const { createRedactor, redactFormat, REDACTED } = require('../../logger/redact');
+
+describe('createRedactor', () => {
+  const redact = createRedactor({ keys: [], paths: [], maskEmails: true });
+
+  it('redacts sensitive keys at any depth without touching the input', () => {
+    const body = { email: 'jane@example.com', password: 'hunter2', profile: { apiKey: 'k', name: 'Jane' } };
+
+    expect(redact({ body })).toEqual({
+      body: { email: 'j***@example.com', password: REDACTED, profile: { apiKey: REDACTED, name: 'Jane' } }
+    });
+    expect(body.password).toBe('hunter2');
+  });
+
+  it('redacts password variants and card fields', () => {
+    expect(redact({
+      pass: 'a',
+      passwd: 'b',
+      newPassword: 'c',
+      password_confirmation: 'd',
+      cardNumber: '4242',
+      card_number: '4242',
+      card: '4242',
+      cvv: '123',
+      cvc: '123'
+    })).toEqual({
+      pass: REDACTED,
+      passwd: REDACTED,
+      newPassword: REDACTED,
+      password_confirmation: REDACTED,
+      cardNumber: REDACTED,
+      card_number: REDACTED,
+      card: REDACTED,
+      cvv: REDACTED,
+      cvc: REDACTED
+    });
+  });
+
+  it('redacts token variants', () => {
+    expect(redact({ token: 'a', accessToken: 'b', refresh_token: 'c', 'x-csrf-token': 'd', tokens: ['e'] })).toEqual({
+      token: REDACTED,
+      accessToken: REDACTED,
+      refresh_token: REDACTED,
+      'x-csrf-token': REDACTED,
+      tokens: REDACTED
+    });
+  });
+
+  it('keeps keys that only contain a sensitive word', () => {
+    const entry = { compass: 'north', discard: true, bypass: false, cardholderName: 'Jane', passenger: 2, tokenType: 'Bearer', tokenExpiresAt: 1 };
+
+    expect(redact(entry)).toEqual(entry);
+  });
+
+  it('redacts sensitive query parameters inside strings', () => {
+    expect(redact({ url: '/reset?token=abc123&lang=en' })).toEqual({ url: `/reset?token=${REDACTED}&lang=en` });
+    expect(redact('GET /auth/callback?state=1&access_token=xyz#top'))
+      .toBe(`GET /auth/callback?state=1&access_token=${REDACTED}#top`);
+    expect(redact({ url: '/search?q=compass&page=2' })).toEqual({ url: '/search?q=compass&page=2' });
+  });
+
+  it('walks the own properties of errors', () => {
+    const error = new Error('Login failed');
+    error.password = 'hunter2';
+    error.details = { token: 'abc' };
+
+    const redacted = redact({ error });
+
+    expect(redacted.error).toEqual({
+      name: 'Error',
+      message: 'Login failed',
+      stack: error.stack,
+      password: REDACTED,
+      details: { token: REDACTED }
+    });
+    expect(error.password).toBe('hunter2');
+  });
+
+  it('redacts configured paths', () => {
+    const custom = createRedactor({ keys: [], paths: ['user.ssn'] });
+
+    expect(custom({ body: { billing: { address: '1 Main St' } }, user: { ssn: '123', name: 'Jane' } })).toEqual({
+      body: { billing: { address: REDACTED } },
+      user: { ssn: REDACTED, name: 'Jane' }
+    });
+  });
+
+  it('truncates circular references', () => {
+    const entry = { name: 'loop' };
+    entry.self = entry;
+
+    expect(redact(entry)).toEqual({ name: 'loop', self: '[Truncated]' });
+  });
+});
+
+describe('redactFormat', () => {
+  it('redacts winston log entries in place', () => {
+    const format = redactFormat({ keys: [], paths: [] });
+    const info = { level: 'error', message: 'Request failed', url: '/login?password=x', body: { password: 'x' } };
+
+    const result = format.transform(info);
+
+    expect(result).toBe(info);
+    expect(result).toMatchObject({ url: `/login?password=${REDACTED}`, body: { password: REDACTED } });
+  });
+});
@@ -0,0 +1,103 @@
+process.env.LOG_LEVEL = 'error';
+
+const express = require('express');
+const request = require('supertest');
+const { accessLog } = require('../../middlewares/accessLog');
+
+describe('accessLog', () => {
+  let logger;
+
+  /**
+   * App logging through the fake logger
+   * @param {Object} options - accessLog options
+   */
+  const createApp = (options = {}) => {
+    const app = express();
+    app.use(accessLog({ logger, ...options }));
+    app.get('/jobs/:id', (req, res) => res.json({ id: req.params.id }));
+    app.get('/cached', (req, res) => res.status(304).end());
+    app.get('/redirect', (req, res) => res.redirect('/jobs/1'));
+    app.get('/broken', (req, res) => res.status(500).json({}));
+    app.get('/slow', (req, res) => setTimeout(() => res.json({}), 30));
+    app.get('/health', (req, res) => res.json({ status: 'ok' }));
+    return app;
+  };
+
+  /**
+   * Wait for the response listeners to run
+   */
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  beforeEach(() => {
+    logger = { log: jest.fn() };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('logs the route pattern, status and timing', async () => {
+    await request(createApp()).get('/jobs/42?ref=mail').set('User-Agent', 'tests').expect(200);
+    await flush();
+
+    expect(logger.log).toHaveBeenCalledWith('info', expect.stringMatching(/^GET \/jobs\/:id 200 [\d.]+ms$/), expect.objectContaining({
+      method: 'GET',
+      route: '/jobs/:id',
+      status: 200,
+      durationMs: expect.any(Number),
+      userAgent: 'tests'
+    }));
+  });
+
+  it('logs unmatched requests by path without the query string', async () => {
+    await request(createApp()).get('/missing?token=abc').expect(404);
+    await flush();
+
+    expect(logger.log).toHaveBeenCalledWith('info', expect.stringMatching(/^GET \/missing 404 /),
+      expect.objectContaining({ route: null, path: '/missing', status: 404 }));
+  });
+
+  it('samples only successful responses', async () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.9);
+    const app = createApp({ sampleRate: 0.5 });
+
+    for (const path of ['/jobs/1', '/cached', '/redirect', '/missing', '/broken']) {
+      await request(app).get(path);
+    }
+    await flush();
+
+    expect(logger.log.mock.calls.map(([level, , entry]) => [level, entry.status])).toEqual([
+      ['info', 304],
+      ['info', 302],
+      ['info', 404],
+      ['error', 500]
+    ]);
+  });
+
+  it('keeps sampled responses that fall within the rate', async () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.1);
+
+    await request(createApp({ sampleRate: 0.5 })).get('/jobs/1').expect(200);
+    await flush();
+
+    expect(logger.log).toHaveBeenCalledTimes(1);
+  });
+
+  it('logs slow requests at warn even when sampled out', async () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.9);
+
+    await request(createApp({ sampleRate: 0, slowThresholdMs: 20 })).get('/slow').expect(200);
+    await flush();
+
+    expect(logger.log).toHaveBeenCalledWith('warn', expect.stringContaining('GET /slow 200'), expect.objectContaining({ status: 200 }));
+  });
+
+  it('skips health probes and configured paths', async () => {
+    await request(createApp()).get('/health').expect(200);
+    await request(createApp({ skipPaths: ['/jobs/1'] })).get('/jobs/1').expect(200);
+    await request(createApp({ skip: (req, res) => res.statusCode === 404 })).get('/missing').expect(404);
+    await flush();
+
+    expect(logger.log).not.toHaveBeenCalled();
+  });
+});
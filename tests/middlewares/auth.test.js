@@ -0,0 +1,52 @@
+process.env.LOG_LEVEL = 'error';
+
+const express = require('express');
+const request = require('supertest');
+const { auth } = require('../../middlewares/auth');
+const tokenService = require('../../utils/tokenService');
+const ErrorHandler = require('../../utils/errorHandler');
+const ResponseHandler = require('../../utils/response');
+
+describe('auth', () => {
+  const app = express();
+  app.get('/', auth, (req, res) => res.json({ id: req.user.id }));
+  app.use((err, req, res, next) => ErrorHandler.globalErrorHandler(err, req, res, next));
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    ResponseHandler.configure({ errorFormat: 'envelope' });
+  });
+
+  it('sets req.user for a valid token', async () => {
+    jest.spyOn(tokenService, 'verifyAccessToken').mockResolvedValue({ id: 'u1' });
+
+    const response = await request(app).get('/').set('Authorization', 'Bearer good').expect(200);
+
+    expect(response.body).toEqual({ id: 'u1' });
+  });
+
+  it('answers a missing token with a 401 in the configured error format', async () => {
+    const response = await request(app).get('/').expect(401);
+
+    expect(response.body).toEqual({ success: false, message: 'Access denied. No token provided.', code: 'UNAUTHORIZED' });
+  });
+
+  it('answers a rejected token with a problem document when configured', async () => {
+    ResponseHandler.configure({ errorFormat: 'problem' });
+    jest.spyOn(tokenService, 'verifyAccessToken').mockRejectedValue(ErrorHandler.createUnauthorizedError('Token has been revoked'));
+
+    const response = await request(app).get('/').set('Authorization', 'Bearer revoked')
+      .expect(401)
+      .expect('Content-Type', /application\/problem\+json/);
+
+    expect(response.body).toMatchObject({ status: 401, detail: 'Token has been revoked.', code: 'UNAUTHORIZED' });
+  });
+
+  it('passes token store outages on as server errors', async () => {
+    jest.spyOn(tokenService, 'verifyAccessToken').mockRejectedValue(ErrorHandler.createServiceUnavailableError('Token store unavailable'));
+
+    const response = await request(app).get('/').set('Authorization', 'Bearer good').expect(503);
+
+    expect(response.body).toMatchObject({ success: false, code: 'SERVICE_UNAVAILABLE' });
+  });
+});
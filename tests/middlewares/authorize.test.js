@@ -0,0 +1,106 @@
+process.env.LOG_LEVEL = 'error';
+
+const express = require('express');
+const request = require('supertest');
+const { authorize, requirePermission, resolvePermissionScope } = require('../../middlewares/authorize');
+const ErrorHandler = require('../../utils/errorHandler');
+
+/**
+ * App with a route behind a middleware, authenticated as `user`
+ * @param {Object} user - req.user, or null for anonymous requests
+ * @param {Function} middleware - Authorization middleware
+ */
+const createApp = (user, middleware) => {
+  const app = express();
+  app.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  app.put('/jobs/:id', middleware, (req, res) => res.json({ scope: req.permissionScope || null }));
+  app.use((err, req, res, next) => ErrorHandler.globalErrorHandler(err, req, res, next));
+  return app;
+};
+
+const owners = { 1: 'emp-1', 2: 'emp-2' };
+const getOwnerId = async (req) => owners[req.params.id] ?? null;
+
+describe('resolvePermissionScope', () => {
+  const rolePermissions = {
+    admin: ['*'],
+    editor: ['jobs:*'],
+    employer: ['jobs:update:own', 'jobs:read']
+  };
+
+  it('matches wildcards', () => {
+    expect(resolvePermissionScope({ role: 'admin' }, 'payments:refund', rolePermissions)).toBe('all');
+    expect(resolvePermissionScope({ role: 'editor' }, 'jobs:delete', rolePermissions)).toBe('all');
+    expect(resolvePermissionScope({ role: 'editor' }, 'payments:read', rolePermissions)).toBeNull();
+  });
+
+  it('returns own for :own grants and prefers full grants', () => {
+    expect(resolvePermissionScope({ role: 'employer' }, 'jobs:update', rolePermissions)).toBe('own');
+    expect(resolvePermissionScope({ roles: ['employer', 'editor'] }, 'jobs:update', rolePermissions)).toBe('all');
+  });
+
+  it('includes permissions granted on the token', () => {
+    expect(resolvePermissionScope({ role: 'employer', permissions: ['jobs:delete'] }, 'jobs:delete', rolePermissions)).toBe('all');
+  });
+
+  it('grants nothing without a user', () => {
+    expect(resolvePermissionScope(null, 'jobs:read', rolePermissions)).toBeNull();
+  });
+});
+
+describe('requirePermission', () => {
+  const employer = { id: 'emp-1', role: 'employer' };
+
+  it('rejects anonymous requests with 401', async () => {
+    await request(createApp(null, requirePermission('jobs:update', { getOwnerId }))).put('/jobs/1').expect(401);
+  });
+
+  it('rejects users without the permission', async () => {
+    await request(createApp({ id: 'u1', role: 'user' }, requirePermission('jobs:update', { getOwnerId }))).put('/jobs/1').expect(403);
+  });
+
+  it('allows full grants without an ownership check', async () => {
+    const response = await request(createApp({ id: 'a1', role: 'admin' }, requirePermission('jobs:update', { getOwnerId })))
+      .put('/jobs/2')
+      .expect(200);
+
+    expect(response.body.scope).toBe('all');
+  });
+
+  it('allows owners of the resource', async () => {
+    const response = await request(createApp(employer, requirePermission('jobs:update', { getOwnerId }))).put('/jobs/1').expect(200);
+
+    expect(response.body.scope).toBe('own');
+  });
+
+  it('refuses resources owned by someone else', async () => {
+    const response = await request(createApp(employer, requirePermission('jobs:update', { getOwnerId }))).put('/jobs/2').expect(403);
+
+    expect(response.body.message).toBe('You do not own this resource');
+  });
+
+  it('answers 404 when the resource has no owner', async () => {
+    await request(createApp(employer, requirePermission('jobs:update', { getOwnerId }))).put('/jobs/3').expect(404);
+  });
+
+  it('refuses :own holders when the route has no ownership check', async () => {
+    await request(createApp(employer, requirePermission('jobs:update'))).put('/jobs/1').expect(403);
+  });
+
+  it('lets :own holders through routes scoped to the owner', async () => {
+    const response = await request(createApp(employer, requirePermission('jobs:update', { scopeToOwner: true }))).put('/jobs/2').expect(200);
+
+    expect(response.body.scope).toBe('own');
+  });
+});
+
+describe('authorize', () => {
+  it('allows listed roles and refuses others', async () => {
+    await request(createApp({ id: 'a1', role: 'admin' }, authorize('admin'))).put('/jobs/1').expect(200);
+    await request(createApp({ id: 'u1', roles: ['user'] }, authorize('admin', 'mentor'))).put('/jobs/1').expect(403);
+    await request(createApp(null, authorize('admin'))).put('/jobs/1').expect(401);
+  });
+});
@@ -0,0 +1,111 @@
+process.env.LOG_LEVEL = 'error';
+
+const express = require('express');
+const request = require('supertest');
+const cacheManager = require('../../utils/cache');
+const { cacheResponse } = require('../../middlewares/cacheResponse');
+
+/**
+ * App with a counting handler behind cacheResponse
+ * @param {Function} handler - (req, res, calls) => void
+ * @param {Object} options - cacheResponse options
+ * @param {Function} setUser - Optional middleware setting req.user before the cache
+ */
+const createApp = (handler, options = {}, setUser = null) => {
+  const app = express();
+  let calls = 0;
+  if (setUser) {
+    app.use(setUser);
+  }
+  app.get('/items', cacheResponse(options), (req, res) => handler(req, res, ++calls));
+  return app;
+};
+
+// Responses are stored without delaying them
+const flush = () => new Promise(resolve => setTimeout(resolve, 10));
+
+describe('cacheResponse', () => {
+  beforeAll(async () => {
+    await cacheManager.initialize({ driver: 'memory' });
+  });
+
+  afterEach(async () => {
+    await cacheManager.clear();
+  });
+
+  afterAll(async () => {
+    await cacheManager.close();
+  });
+
+  it('replays cached responses', async () => {
+    const app = createApp((req, res, calls) => res.json({ calls }));
+
+    await request(app).get('/items').expect('X-Cache', 'MISS');
+    await flush();
+    const response = await request(app).get('/items').expect('X-Cache', 'HIT');
+
+    expect(response.body).toEqual({ calls: 1 });
+  });
+
+  it('keeps authenticated users apart', async () => {
+    const setUser = (req, res, next) => {
+      req.user = { id: req.get('X-User') };
+      next();
+    };
+    const app = createApp((req, res) => res.json({ user: req.user.id }), {}, setUser);
+
+    await request(app).get('/items').set('X-User', 'alice');
+    await flush();
+    const response = await request(app).get('/items').set('X-User', 'bob').expect('X-Cache', 'MISS');
+
+    expect(response.body).toEqual({ user: 'bob' });
+  });
+
+  it('does not cache requests with credentials but no known user', async () => {
+    const app = createApp((req, res, calls) => res.json({ calls }));
+
+    await request(app).get('/items').set('Authorization', 'Bearer a');
+    await flush();
+    const response = await request(app).get('/items').set('Authorization', 'Bearer b').expect('X-Cache', 'BYPASS');
+
+    expect(response.body).toEqual({ calls: 2 });
+  });
+
+  it.each([
+    ['Cache-Control: no-store', (res) => res.set('Cache-Control', 'no-store')],
+    ['Cache-Control: private', (res) => res.set('Cache-Control', 'private, max-age=60')],
+    ['Set-Cookie', (res) => res.cookie('session', 'abc')]
+  ])('does not store responses with %s', async (name, decorate) => {
+    const app = createApp((req, res, calls) => {
+      decorate(res);
+      res.json({ calls });
+    });
+
+    await request(app).get('/items');
+    await flush();
+    const response = await request(app).get('/items').expect('X-Cache', 'MISS');
+
+    expect(response.body).toEqual({ calls: 2 });
+  });
+
+  it('does not store responses to no-store requests', async () => {
+    const app = createApp((req, res, calls) => res.json({ calls }));
+
+    await request(app).get('/items').set('Cache-Control', 'no-store').expect('X-Cache', 'BYPASS');
+    await flush();
+    const response = await request(app).get('/items').expect('X-Cache', 'MISS');
+
+    expect(response.body).toEqual({ calls: 2 });
+  });
+
+  it('replays binary bodies byte for byte', async () => {
+    const bytes = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0xff, 0x00, 0xfe]);
+    const app = createApp((req, res) => res.type('png').send(bytes));
+
+    await request(app).get('/items');
+    await flush();
+    const response = await request(app).get('/items').expect('X-Cache', 'HIT').expect('Content-Type', 'image/png');
+
+    expect(Buffer.compare(response.body, bytes)).toBe(0);
+  });
+});
@@ -0,0 +1,117 @@
+process.env.LOG_LEVEL = 'error';
+
+const express = require('express');
+const request = require('supertest');
+const rateLimiter = require('../../utils/rateLimiter');
+const ErrorHandler = require('../../utils/errorHandler');
+const { createRateLimitAdminRouter } = require('../../middlewares/rateLimitAdmin');
+
+describe('rate limit admin API', () => {
+  let admin;
+  let limited;
+
+  beforeAll(() => {
+    for (const strategy of ['sliding-log', 'sliding-window', 'token-bucket']) {
+      rateLimiter.createLimiter({
+        name: `admin-${strategy}`,
+        strategy,
+        max: 2,
+        burst: 2,
+        windowMs: 60 * 1000,
+        keyGenerator: (req) => req.get('X-Client')
+      });
+    }
+
+    admin = express();
+    admin.use(express.json());
+    admin.use('/admin/rate-limits', createRateLimitAdminRouter());
+    admin.use((err, req, res, next) => ErrorHandler.globalErrorHandler(err, req, res, next));
+
+    limited = express();
+    limited.get('/:strategy', (req, res, next) => rateLimiter.limiters.get(`admin-${req.params.strategy}`).middleware(req, res, next),
+      (req, res) => res.json({ ok: true }));
+  });
+
+  afterAll(() => {
+    for (const strategy of ['sliding-log', 'sliding-window', 'token-bucket']) {
+      rateLimiter.limiters.get(`admin-${strategy}`).store.shutdown?.();
+    }
+  });
+
+  it('lists registered limiters', async () => {
+    const response = await request(admin).get('/admin/rate-limits/limiters').expect(200);
+
+    expect(response.body.data).toEqual(expect.arrayContaining([
+      expect.objectContaining({ name: 'admin-sliding-log', strategy: 'sliding-log', max: 2, windowMs: 60 * 1000 })
+    ]));
+  });
+
+  it.each(['sliding-log', 'sliding-window', 'token-bucket'])('reads usage from the %s store', async (strategy) => {
+    const path = `/admin/rate-limits/limiters/admin-${strategy}/keys/usage-client`;
+
+    await expect(request(admin).get(path).expect(200)).resolves.toMatchObject({
+      body: { data: { count: 0, remaining: 2, resetTime: null, blocked: false } }
+    });
+
+    await request(limited).get(`/${strategy}`).set('X-Client', 'usage-client').expect(200);
+    await request(limited).get(`/${strategy}`).set('X-Client', 'usage-client').expect(200);
+
+    const response = await request(admin).get(path).expect(200);
+    expect(response.body.data).toMatchObject({ limiter: `admin-${strategy}`, strategy, limit: 2, count: 2, remaining: 0, blocked: true });
+    expect(new Date(response.body.data.resetTime).getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('resets a key', async () => {
+    await request(limited).get('/sliding-log').set('X-Client', 'reset-client').expect(200);
+    await request(limited).get('/sliding-log').set('X-Client', 'reset-client').expect(200);
+    await request(limited).get('/sliding-log').set('X-Client', 'reset-client').expect(429);
+
+    await request(admin).delete('/admin/rate-limits/limiters/admin-sliding-log/keys/reset-client').expect(200);
+
+    await request(limited).get('/sliding-log').set('X-Client', 'reset-client').expect(200);
+  });
+
+  it('bans and allowlists keys until the override is removed', async () => {
+    await request(admin).put('/admin/rate-limits/limiters/admin-sliding-log/keys/banned-client/ban')
+      .send({ ttl: 60, reason: 'scraping' })
+      .expect(200);
+
+    const info = await request(admin).get('/admin/rate-limits/limiters/admin-sliding-log/keys/banned-client').expect(200);
+    expect(info.body.data).toMatchObject({ count: 0, blocked: true, override: { type: 'ban', reason: 'scraping' } });
+    await request(limited).get('/sliding-log').set('X-Client', 'banned-client').expect(429);
+
+    await request(admin).put('/admin/rate-limits/limiters/*/keys/vip-client/allow').send({ ttl: 0 }).expect(200);
+    for (let i = 0; i < 4; i++) {
+      await request(limited).get('/sliding-window').set('X-Client', 'vip-client').expect(200);
+    }
+
+    await request(admin).delete('/admin/rate-limits/limiters/admin-sliding-log/keys/banned-client/override').expect(200);
+    await request(limited).get('/sliding-log').set('X-Client', 'banned-client').expect(200);
+  });
+
+  it('prefers an override for the limiter over one for every limiter', async () => {
+    await rateLimiter.banKey('mixed-client', { limiter: '*', ttl: 60 });
+    await rateLimiter.allowKey('mixed-client', { limiter: 'admin-token-bucket', ttl: 60 });
+
+    await request(limited).get('/token-bucket').set('X-Client', 'mixed-client').expect(200);
+    await request(limited).get('/sliding-log').set('X-Client', 'mixed-client').expect(429);
+  });
+
+  it('lets overrides lapse after their ttl', async () => {
+    await rateLimiter.banKey('lapsed-client', { limiter: 'admin-sliding-log', ttl: 60 });
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 61 * 1000);
+
+    try {
+      await expect(rateLimiter.getOverride('lapsed-client', 'admin-sliding-log')).resolves.toBeNull();
+    } finally {
+      jest.restoreAllMocks();
+    }
+  });
+
+  it('answers unknown limiters and invalid overrides', async () => {
+    await request(admin).get('/admin/rate-limits/limiters/missing/keys/client').expect(404);
+    await request(admin).get('/admin/rate-limits/limiters/*/keys/client').expect(400);
+    await request(admin).put('/admin/rate-limits/limiters/admin-sliding-log/keys/client/ban').send({ ttl: -1 }).expect(400);
+  });
+});
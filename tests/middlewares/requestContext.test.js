@@ -0,0 +1,94 @@
+process.env.LOG_LEVEL = 'error';
+
+const express = require('express');
+const request = require('supertest');
+const { requestContext } = require('../../middlewares/requestContext');
+const { getRequestId, getCurrentUserId } = require('../../utils/requestContext');
+const ResponseHandler = require('../../utils/response');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+describe('requestContext', () => {
+  /**
+   * App answering with the request ID seen by req and by the context
+   * @param {Object} options - requestContext options
+   */
+  const createApp = (options) => {
+    const app = express();
+    app.use(requestContext(options));
+    app.get('/', async (req, res) => {
+      await new Promise(resolve => setImmediate(resolve));
+      res.json({ id: req.id, contextId: getRequestId() });
+    });
+    return app;
+  };
+
+  afterEach(() => {
+    ResponseHandler.configure({ errorFormat: 'envelope' });
+  });
+
+  it('generates a request ID and echoes it', async () => {
+    const response = await request(createApp()).get('/').expect(200);
+
+    expect(response.body.id).toMatch(UUID_PATTERN);
+    expect(response.body.contextId).toBe(response.body.id);
+    expect(response.headers['x-request-id']).toBe(response.body.id);
+  });
+
+  it('keeps a valid incoming request ID', async () => {
+    const response = await request(createApp()).get('/').set('X-Request-Id', 'gw-1:abc.DEF_2').expect(200);
+
+    expect(response.body).toEqual({ id: 'gw-1:abc.DEF_2', contextId: 'gw-1:abc.DEF_2' });
+    expect(response.headers['x-request-id']).toBe('gw-1:abc.DEF_2');
+  });
+
+  it.each([
+    ['spaces', 'abc def'],
+    ['markup', '<script>'],
+    ['over 128 characters', 'a'.repeat(129)]
+  ])('replaces incoming request IDs with %s', async (label, incoming) => {
+    const response = await request(createApp()).get('/').set('X-Request-Id', incoming).expect(200);
+
+    expect(response.body.id).toMatch(UUID_PATTERN);
+    expect(response.headers['x-request-id']).toBe(response.body.id);
+  });
+
+  it('ignores incoming IDs unless the header is trusted', async () => {
+    const response = await request(createApp({ trustHeader: false })).get('/').set('X-Request-Id', 'client-chosen').expect(200);
+
+    expect(response.body.id).toMatch(UUID_PATTERN);
+  });
+
+  it('uses a custom header and generator', async () => {
+    const app = createApp({ header: 'X-Correlation-Id', generate: () => 'generated-1' });
+
+    const generated = await request(app).get('/').expect(200);
+    const incoming = await request(app).get('/').set('X-Correlation-Id', 'upstream-1').expect(200);
+
+    expect(generated.headers['x-correlation-id']).toBe('generated-1');
+    expect(incoming.body.id).toBe('upstream-1');
+  });
+
+  it('exposes the user once authentication has run', async () => {
+    const app = express();
+    app.use(requestContext());
+    app.use((req, res, next) => {
+      req.user = { id: 'user-7' };
+      next();
+    });
+    app.get('/', (req, res) => res.json({ userId: getCurrentUserId() }));
+
+    await expect(request(app).get('/').expect(200)).resolves.toMatchObject({ body: { userId: 'user-7' } });
+  });
+
+  it('includes the request ID in error responses', async () => {
+    ResponseHandler.configure({ errorFormat: 'problem' });
+    const app = express();
+    app.use(requestContext());
+    app.get('/', (req, res) => ResponseHandler.notFound(res, 'Job not found'));
+
+    const response = await request(app).get('/').set('X-Request-Id', 'req-404').expect(404);
+
+    expect(response.body).toMatchObject({ status: 404, requestId: 'req-404' });
+  });
+});
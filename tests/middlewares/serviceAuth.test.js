@@ -0,0 +1,52 @@
+process.env.LOG_LEVEL = 'error';
+
+const express = require('express');
+const request = require('supertest');
+const { serviceAuth } = require('../../middlewares/serviceAuth');
+const serviceCredentials = require('../../utils/serviceCredentials');
+const ErrorHandler = require('../../utils/errorHandler');
+const ResponseHandler = require('../../utils/response');
+
+describe('serviceAuth', () => {
+  const app = express();
+  app.get('/', serviceAuth({ scopes: ['jobs:read'], allowTokens: false }), (req, res) => res.json({ service: req.service.name }));
+
+  beforeEach(() => {
+    ResponseHandler.configure({ errorFormat: 'problem' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    ResponseHandler.configure({ errorFormat: 'envelope' });
+  });
+
+  it('lets services with the required scopes through', async () => {
+    jest.spyOn(serviceCredentials, 'verifyApiKey').mockResolvedValue({ name: 'search', scopes: ['jobs:read'] });
+
+    const response = await request(app).get('/').set('X-API-Key', 'sk_key_secret').expect(200);
+
+    expect(response.body).toEqual({ service: 'search' });
+  });
+
+  it('answers missing credentials with a 401 problem', async () => {
+    const response = await request(app).get('/').expect(401).expect('Content-Type', /application\/problem\+json/);
+
+    expect(response.body).toMatchObject({ status: 401, code: 'UNAUTHORIZED' });
+  });
+
+  it('answers invalid credentials with a 401 problem', async () => {
+    jest.spyOn(serviceCredentials, 'verifyApiKey').mockRejectedValue(ErrorHandler.createUnauthorizedError('Invalid API key'));
+
+    const response = await request(app).get('/').set('X-API-Key', 'sk_bad').expect(401);
+
+    expect(response.body).toMatchObject({ status: 401, detail: 'Invalid service credentials.', code: 'UNAUTHORIZED' });
+  });
+
+  it('answers missing scopes with a 403 problem', async () => {
+    jest.spyOn(serviceCredentials, 'verifyApiKey').mockResolvedValue({ name: 'billing', scopes: ['payments:write'] });
+
+    const response = await request(app).get('/').set('X-API-Key', 'sk_key_secret').expect(403);
+
+    expect(response.body).toMatchObject({ status: 403, detail: 'Insufficient service scope.', code: 'FORBIDDEN' });
+  });
+});
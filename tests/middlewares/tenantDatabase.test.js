@@ -0,0 +1,107 @@
+process.env.LOG_LEVEL = 'error';
+
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Database = require('../../utils/database');
+const ErrorHandler = require('../../utils/errorHandler');
+const { tenantDatabase } = require('../../middlewares/tenantDatabase');
+
+/**
+ * App resolving the tenant after an identity middleware
+ * @param {Object} identity - `{ user, service }` set on the request
+ * @param {Object} options - tenantDatabase options
+ */
+const createApp = (identity = {}, options = {}) => {
+  const app = express();
+  app.use((req, res, next) => {
+    Object.assign(req, identity);
+    next();
+  });
+  app.get('/', tenantDatabase(options), (req, res) => res.json({ tenantId: req.tenantId || null, db: req.db?.name || null }));
+  app.use((err, req, res, next) => ErrorHandler.globalErrorHandler(err, req, res, next));
+  return app;
+};
+
+describe('tenantDatabase', () => {
+  it('uses the tenant claim of the user', async () => {
+    const response = await request(createApp({ user: { id: 'u1', tenantId: 'acme' } })).get('/').expect(200);
+
+    expect(response.body).toEqual({ tenantId: 'acme', db: 'tenant_acme' });
+  });
+
+  it('ignores the header for users without a tenant claim', async () => {
+    const response = await request(createApp({ user: { id: 'u1' } }))
+      .get('/')
+      .set('X-Tenant-Id', 'acme')
+      .expect(400);
+
+    expect(response.body).toMatchObject({ success: false, code: 'TENANT_REQUIRED' });
+  });
+
+  it('ignores the header for unauthenticated callers', async () => {
+    await request(createApp()).get('/').set('X-Tenant-Id', 'acme').expect(400);
+  });
+
+  it('trusts the header for authenticated services', async () => {
+    const response = await request(createApp({ service: { name: 'billing' } }))
+      .get('/')
+      .set('X-Tenant-Id', 'acme')
+      .expect(200);
+
+    expect(response.body.tenantId).toBe('acme');
+  });
+
+  it('trusts the header when explicitly allowed', async () => {
+    await request(createApp({}, { trustHeader: true })).get('/').set('X-Tenant-Id', 'acme').expect(200);
+  });
+
+  it('rejects a resolver naming another tenant than the user claim', async () => {
+    const response = await request(createApp(
+      { user: { id: 'u1', tenantId: 'acme' } },
+      { resolveTenant: () => 'globex' }
+    )).get('/').expect(403);
+
+    expect(response.body.code).toBe('TENANT_FORBIDDEN');
+  });
+
+  it('rejects invalid tenant ids', async () => {
+    const response = await request(createApp({}, { trustHeader: true }))
+      .get('/')
+      .set('X-Tenant-Id', '../admin')
+      .expect(400);
+
+    expect(response.body.code).toBe('INVALID_TENANT');
+  });
+
+  it('lets requests without a tenant through when not required', async () => {
+    const response = await request(createApp({}, { required: false })).get('/').expect(200);
+
+    expect(response.body.tenantId).toBeNull();
+  });
+});
+
+describe('Database.getModel', () => {
+  const schema = new mongoose.Schema({ name: String });
+
+  beforeAll(() => {
+    Database.model('TenantInvoice', schema, { tenantScoped: true });
+    Database.model('SharedPlan', new mongoose.Schema({ name: String }));
+  });
+
+  it('throws for tenant-scoped models without a tenant', () => {
+    expect(() => Database.getModel('TenantInvoice')).toThrow(expect.objectContaining({ code: 'TENANT_REQUIRED' }));
+  });
+
+  it('binds tenant-scoped models to the tenant database', () => {
+    expect(Database.getModel('TenantInvoice', { tenantId: 'acme' }).db.name).toBe('tenant_acme');
+  });
+
+  it('uses the shared database only when asked explicitly', () => {
+    expect(Database.getModel('TenantInvoice', { tenantId: null }).db).toBe(mongoose.connection);
+  });
+
+  it('keeps other models on the shared database', () => {
+    expect(Database.getModel('SharedPlan').db).toBe(mongoose.connection);
+  });
+});
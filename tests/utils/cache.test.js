@@ -0,0 +1,196 @@
+process.env.LOG_LEVEL = 'error';
+
+const cacheManager = require('../../utils/cache');
+
+describe('cacheManager', () => {
+  beforeAll(async () => {
+    await cacheManager.initialize({ driver: 'memory' });
+  });
+
+  afterEach(async () => {
+    await cacheManager.clear();
+  });
+
+  afterAll(async () => {
+    await cacheManager.close();
+  });
+
+  describe('local cache', () => {
+    beforeAll(async () => {
+      await cacheManager.enableLocalCache({ ttl: 60 });
+    });
+
+    afterAll(() => {
+      cacheManager.localCache = null;
+      cacheManager.localCacheFilter = null;
+    });
+
+    it('does not keep an L2 hit in L1 longer than its remaining Redis TTL', async () => {
+      await cacheManager.client.set('short', '"value"', { PX: 50 });
+
+      await expect(cacheManager.get('short')).resolves.toBe('value');
+      await new Promise(resolve => setTimeout(resolve, 80));
+
+      await expect(cacheManager.get('short')).resolves.toBeNull();
+    });
+
+    it('caps L2 hits at the L1 ttl', async () => {
+      await cacheManager.client.set('long', '"value"', { EX: 3600 });
+      await cacheManager.client.set('forever', '"value"');
+
+      await cacheManager.get('long');
+      await cacheManager.get('forever');
+
+      const limit = Date.now() + 60 * 1000;
+      expect(cacheManager.localCache.entries.get('long').expiresAt).toBeLessThanOrEqual(limit);
+      expect(cacheManager.localCache.entries.get('forever').expiresAt).toBeLessThanOrEqual(limit);
+    });
+
+    it('serves repeated reads from L1', async () => {
+      await cacheManager.set('key', { a: 1 }, 30);
+      const before = cacheManager.getHitRates().l1;
+
+      await expect(cacheManager.get('key')).resolves.toEqual({ a: 1 });
+
+      expect(cacheManager.getHitRates().l1).toBe(before + 1);
+    });
+  });
+
+  describe('wrap', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('loads once and serves the cached value afterwards', async () => {
+      const loader = jest.fn().mockResolvedValue({ id: 1 });
+
+      await expect(cacheManager.wrap('job:1', loader, { ttl: 60 })).resolves.toEqual({ id: 1 });
+      await expect(cacheManager.wrap('job:1', loader, { ttl: 60 })).resolves.toEqual({ id: 1 });
+
+      expect(loader).toHaveBeenCalledTimes(1);
+    });
+
+    it('coalesces concurrent loads of a cold key', async () => {
+      let resolve;
+      const loader = jest.fn(() => new Promise(done => {
+        resolve = done;
+      }));
+
+      const calls = Array.from({ length: 5 }, () => cacheManager.wrap('job:2', loader, { ttl: 60 }));
+      await new Promise(done => setImmediate(done));
+      resolve({ id: 2 });
+
+      await expect(Promise.all(calls)).resolves.toEqual(Array(5).fill({ id: 2 }));
+      expect(loader).toHaveBeenCalledTimes(1);
+    });
+
+    it('waits for the value when another instance holds the lock', async () => {
+      const loader = jest.fn().mockResolvedValue('mine');
+      await cacheManager.client.set('lock:job:3', 'other-instance', { PX: 1000 });
+
+      setTimeout(() => {
+        cacheManager.storeEntry('job:3', 'theirs', { ttl: 60, staleWhileRevalidate: 0, tags: [] });
+      }, 60);
+
+      await expect(cacheManager.wrap('job:3', loader, { ttl: 60, lockWait: 1000 })).resolves.toBe('theirs');
+      expect(loader).not.toHaveBeenCalled();
+    });
+
+    it('caches "not found" results for negativeTtl', async () => {
+      const loader = jest.fn().mockResolvedValue(null);
+
+      await expect(cacheManager.wrap('job:missing', loader, { negativeTtl: 30 })).resolves.toBeNull();
+      await expect(cacheManager.wrap('job:missing', loader, { negativeTtl: 30 })).resolves.toBeNull();
+
+      expect(loader).toHaveBeenCalledTimes(1);
+      await expect(cacheManager.ttl('job:missing')).resolves.toBeLessThanOrEqual(30);
+    });
+
+    it('serves stale values while refreshing them in the background', async () => {
+      const now = Date.now();
+      const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+      const loader = jest.fn().mockResolvedValueOnce('v1').mockResolvedValueOnce('v2');
+
+      await cacheManager.wrap('job:4', loader, { ttl: 10, staleWhileRevalidate: 60 });
+      clock.mockReturnValue(now + 20 * 1000);
+
+      await expect(cacheManager.wrap('job:4', loader, { ttl: 10, staleWhileRevalidate: 60 })).resolves.toBe('v1');
+      await cacheManager.pendingLoads.get('refresh:job:4');
+
+      await expect(cacheManager.wrap('job:4', loader, { ttl: 10, staleWhileRevalidate: 60 })).resolves.toBe('v2');
+      expect(loader).toHaveBeenCalledTimes(2);
+    });
+
+    it('calls the loader directly without a cache', async () => {
+      cacheManager.isConnected = false;
+      const loader = jest.fn().mockResolvedValue('direct');
+
+      try {
+        await expect(cacheManager.wrap('job:5', loader)).resolves.toBe('direct');
+        await expect(cacheManager.wrap('job:5', loader)).resolves.toBe('direct');
+      } finally {
+        cacheManager.isConnected = true;
+      }
+      expect(loader).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('tags', () => {
+    it('deletes every key carrying an invalidated tag', async () => {
+      await cacheManager.set('job:123', { id: 123 }, 60, { tags: ['job:123', 'employer:45'] });
+      await cacheManager.set('job:124', { id: 124 }, 60, { tags: ['employer:45'] });
+      await cacheManager.set('job:200', { id: 200 }, 60, { tags: ['employer:46'] });
+      await cacheManager.hset('employer:45:stats', 'views', 10, 60, { tags: ['employer:45'] });
+
+      await expect(cacheManager.invalidateTags(['employer:45'])).resolves.toBe(3);
+
+      await expect(cacheManager.get('job:123')).resolves.toBeNull();
+      await expect(cacheManager.get('job:124')).resolves.toBeNull();
+      await expect(cacheManager.hget('employer:45:stats', 'views')).resolves.toBeNull();
+      await expect(cacheManager.get('job:200')).resolves.toEqual({ id: 200 });
+    });
+
+    it('forgets the tag once it has been invalidated', async () => {
+      await cacheManager.set('job:123', 1, 60, { tags: ['job:123'] });
+      await cacheManager.invalidateTags(['job:123']);
+      await cacheManager.set('job:123', 2, 60);
+
+      await expect(cacheManager.invalidateTags(['job:123'])).resolves.toBe(0);
+      await expect(cacheManager.get('job:123')).resolves.toBe(2);
+    });
+
+    it('invalidates keys written by wrap()', async () => {
+      await cacheManager.wrap('job:300', async () => ({ id: 300 }), { tags: ['job:300'] });
+
+      await cacheManager.invalidateTags(['job:300']);
+
+      await expect(cacheManager.get('job:300')).resolves.toBeNull();
+    });
+  });
+
+  describe('scan', () => {
+    it('iterates and deletes keys by pattern', async () => {
+      await Promise.all(['session:1', 'session:2', 'session:3', 'user:1'].map(key => cacheManager.set(key, 1, 60)));
+
+      const found = [];
+      for await (const key of cacheManager.scan('session:*', 2)) {
+        found.push(key);
+      }
+      expect(found.sort()).toEqual(['session:1', 'session:2', 'session:3']);
+
+      await expect(cacheManager.delPattern('session:*')).resolves.toBe(true);
+      await expect(cacheManager.exists('session:1')).resolves.toBe(false);
+      await expect(cacheManager.exists('user:1')).resolves.toBe(true);
+    });
+
+    it('sets every matching key', async () => {
+      await cacheManager.set('flag:a', 1, 60);
+      await cacheManager.set('flag:b', 1, 60);
+
+      await cacheManager.setPattern('flag:*', { enabled: false }, 60);
+
+      await expect(cacheManager.get('flag:a')).resolves.toEqual({ enabled: false });
+      await expect(cacheManager.get('flag:b')).resolves.toEqual({ enabled: false });
+    });
+  });
+});
@@ -0,0 +1,137 @@
+const MemoryDriver = require('../../../utils/cacheDrivers/memoryDriver');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('MemoryDriver', () => {
+  let driver;
+
+  beforeEach(() => {
+    driver = new MemoryDriver();
+  });
+
+  afterEach(async () => {
+    await driver.quit();
+  });
+
+  describe('strings', () => {
+    it('stores values as strings', async () => {
+      await driver.set('key', 42);
+      await expect(driver.get('key')).resolves.toBe('42');
+      await expect(driver.get('missing')).resolves.toBeNull();
+    });
+
+    it('honours NX and XX', async () => {
+      await expect(driver.set('key', 'a', { XX: true })).resolves.toBeNull();
+      await expect(driver.set('key', 'a', { NX: true })).resolves.toBe('OK');
+      await expect(driver.set('key', 'b', { NX: true })).resolves.toBeNull();
+      await expect(driver.get('key')).resolves.toBe('a');
+    });
+
+    it('expires keys set with PX', async () => {
+      await driver.set('key', 'a', { PX: 20 });
+      await expect(driver.exists('key')).resolves.toBe(1);
+
+      await sleep(30);
+
+      await expect(driver.get('key')).resolves.toBeNull();
+      await expect(driver.ttl('key')).resolves.toBe(-2);
+    });
+
+    it('reports TTLs like Redis', async () => {
+      await driver.set('forever', 'a');
+      await driver.setEx('minute', 60, 'a');
+
+      await expect(driver.ttl('forever')).resolves.toBe(-1);
+      await expect(driver.pTTL('forever')).resolves.toBe(-1);
+      await expect(driver.ttl('minute')).resolves.toBe(60);
+      await expect(driver.pTTL('minute')).resolves.toBeGreaterThan(59000);
+      await expect(driver.pTTL('missing')).resolves.toBe(-2);
+    });
+
+    it('increments integers and rejects other values', async () => {
+      await expect(driver.incrBy('counter', 2)).resolves.toBe(2);
+      await expect(driver.incrBy('counter', 3)).resolves.toBe(5);
+
+      await driver.set('text', 'abc');
+      await expect(driver.incrBy('text', 1)).rejects.toThrow('not an integer');
+    });
+
+    it('rejects commands against the wrong type', async () => {
+      await driver.hSet('hash', 'field', 'value');
+      await expect(driver.get('hash')).rejects.toThrow('WRONGTYPE');
+    });
+  });
+
+  describe('hashes and sets', () => {
+    it('stores hash fields and drops empty hashes', async () => {
+      await expect(driver.hSet('hash', 'a', 1)).resolves.toBe(1);
+      await expect(driver.hSet('hash', 'a', 2)).resolves.toBe(0);
+      await expect(driver.hGetAll('hash')).resolves.toEqual({ a: '2' });
+
+      await driver.hDel('hash', 'a');
+      await expect(driver.exists('hash')).resolves.toBe(0);
+    });
+
+    it('adds set members once', async () => {
+      await expect(driver.sAdd('set', ['a', 'b', 'a'])).resolves.toBe(2);
+      await expect(driver.sMembers('set')).resolves.toEqual(['a', 'b']);
+    });
+  });
+
+  describe('scanIterator', () => {
+    it('matches Redis glob patterns', async () => {
+      await driver.set('user:1', 'a');
+      await driver.set('user:22', 'a');
+      await driver.set('job:1', 'a');
+
+      const keys = [];
+      for await (const key of driver.scanIterator({ MATCH: 'user:?' })) {
+        keys.push(key);
+      }
+
+      expect(keys).toEqual(['user:1']);
+    });
+  });
+
+  describe('multi', () => {
+    it('runs queued commands in order', async () => {
+      const results = await driver.multi().set('key', 'a').get('key').del('key').exec();
+      expect(results).toEqual(['OK', 'a', 1]);
+    });
+  });
+
+  describe('runScript', () => {
+    it('deletes a key only when it holds the expected value', async () => {
+      await driver.set('lock', 'token');
+
+      await expect(driver.runScript('compareAndDelete', ['lock'], ['other'])).resolves.toBe(0);
+      await expect(driver.runScript('releaseLock', ['lock'], ['token'])).resolves.toBe(1);
+      await expect(driver.exists('lock')).resolves.toBe(0);
+    });
+
+    it('invalidates tagged keys', async () => {
+      await driver.set('a', '1');
+      await driver.set('b', '2');
+      await driver.runScript('addTags', ['a', 'tag:x'], [60]);
+      await driver.runScript('addTags', ['b', 'tag:x', 'tag:y'], [60]);
+
+      await expect(driver.ttl('tag:x')).resolves.toBe(60);
+      await expect(driver.runScript('invalidateTags', ['tag:x'])).resolves.toEqual([2, 'a', 'b']);
+      await expect(driver.exists(['a', 'b', 'tag:x'])).resolves.toBe(0);
+    });
+
+    it('rejects unknown scripts', async () => {
+      await expect(driver.runScript('nope', [])).rejects.toThrow('Unknown script');
+    });
+  });
+
+  describe('pub/sub', () => {
+    it('delivers messages to subscribers', async () => {
+      const handler = jest.fn();
+      await driver.subscribe('channel', handler);
+
+      await expect(driver.publish('channel', 'hello')).resolves.toBe(1);
+      expect(handler).toHaveBeenCalledWith('hello');
+    });
+  });
+});
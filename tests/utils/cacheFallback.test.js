@@ -0,0 +1,117 @@
+process.env.LOG_LEVEL = 'error';
+process.env.JWT_SECRET = 'test-access-secret';
+delete process.env.CACHE_FALLBACK_TO_MEMORY;
+
+// A Redis driver that stays unreachable until a test marks it ready
+jest.mock('../../utils/cacheDrivers/redisDriver', () => {
+  const MemoryDriver = jest.requireActual('../../utils/cacheDrivers/memoryDriver');
+
+  return class UnreachableRedisDriver extends MemoryDriver {
+    constructor() {
+      super();
+      this.name = 'redis';
+      this.ready = false;
+    }
+
+    get isReady() {
+      return this.ready;
+    }
+
+    async connect() {}
+
+    recover() {
+      this.ready = true;
+      this.events.emit('ready');
+    }
+  };
+});
+
+const jwt = require('jsonwebtoken');
+const cacheManager = require('../../utils/cache');
+const tokenService = require('../../utils/tokenService');
+
+describe('cacheManager memory fallback', () => {
+  afterEach(async () => {
+    await cacheManager.close();
+  });
+
+  it('is off by default', async () => {
+    await cacheManager.initialize({ driver: 'redis', connectTimeout: 10 });
+
+    expect(cacheManager.isConnected).toBe(false);
+    expect(cacheManager.isDegraded).toBe(false);
+  });
+
+  it('runs degraded on the memory driver when enabled', async () => {
+    await cacheManager.initialize({ driver: 'redis', connectTimeout: 10, fallbackToMemory: true });
+
+    expect(cacheManager.isConnected).toBe(true);
+    expect(cacheManager.isDegraded).toBe(true);
+    await cacheManager.set('key', 'value');
+    await expect(cacheManager.get('key', false)).resolves.toBe('value');
+  });
+
+  it('can be enabled from the environment', async () => {
+    process.env.CACHE_FALLBACK_TO_MEMORY = 'true';
+    try {
+      await cacheManager.initialize({ driver: 'redis', connectTimeout: 10 });
+    } finally {
+      delete process.env.CACHE_FALLBACK_TO_MEMORY;
+    }
+
+    expect(cacheManager.isDegraded).toBe(true);
+  });
+
+  describe('while degraded', () => {
+    beforeEach(async () => {
+      await cacheManager.initialize({ driver: 'redis', connectTimeout: 10, fallbackToMemory: true });
+    });
+
+    it('refuses to issue, rotate or revoke tokens', async () => {
+      await expect(tokenService.issueTokens({ id: 'u1' })).rejects.toMatchObject({ statusCode: 503 });
+      await expect(tokenService.revokeAllForUser('u1')).rejects.toMatchObject({ statusCode: 503 });
+      await expect(tokenService.revokeFamily('family')).rejects.toMatchObject({ statusCode: 503 });
+    });
+
+    it('fails access token revocation checks closed when configured', async () => {
+      const token = jwt.sign({ id: 'u1', jti: 'j1' }, process.env.JWT_SECRET);
+      tokenService.revocationFailMode = 'closed';
+
+      try {
+        await expect(tokenService.verifyAccessToken(token)).rejects.toMatchObject({ statusCode: 503 });
+      } finally {
+        tokenService.revocationFailMode = 'open';
+      }
+    });
+
+    it('ignores the per-process denylist in fail-open mode', async () => {
+      const token = jwt.sign({ id: 'u1', jti: 'j1' }, process.env.JWT_SECRET);
+      await cacheManager.set('auth:revoked:j1', '1', 60);
+
+      await expect(tokenService.verifyAccessToken(token)).resolves.toMatchObject({ id: 'u1' });
+    });
+
+    it('never grants locks but still loads through wrap()', async () => {
+      await expect(cacheManager.acquireLock('lock:key', 'token', 1000)).resolves.toBe(false);
+
+      const loader = jest.fn(async () => 'loaded');
+      await expect(cacheManager.wrap('key', loader, { lockWait: 10000 })).resolves.toBe('loaded');
+      expect(loader).toHaveBeenCalledTimes(1);
+    });
+
+    it('replays tag invalidations on Redis once it is back', async () => {
+      const redis = cacheManager.redisDriver;
+      await redis.set('page', 'stale');
+      await redis.runScript('addTags', ['page', 'tag:jobs'], [60]);
+
+      await expect(cacheManager.invalidateTags(['jobs'])).resolves.toBeNull();
+      await expect(redis.get('page')).resolves.toBe('stale');
+
+      redis.recover();
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(cacheManager.isDegraded).toBe(false);
+      await expect(redis.get('page')).resolves.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,223 @@
+process.env.LOG_LEVEL = 'error';
+
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const Database = require('../../utils/database');
+const ErrorHandler = require('../../utils/errorHandler');
+
+describe('Database connections', () => {
+  const options = { retries: 2, retryDelayMs: 0, maxRetryDelayMs: 0 };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    Database.connections.delete('replica');
+  });
+
+  it('retries failed connection attempts', async () => {
+    const openUri = jest.spyOn(mongoose.Connection.prototype, 'openUri')
+      .mockRejectedValueOnce(new Error('ECONNREFUSED'))
+      .mockRejectedValueOnce(new Error('ECONNREFUSED'))
+      .mockResolvedValueOnce();
+
+    const connection = await Database.register('replica', 'mongodb://localhost/replica', { ...options, readPreference: 'secondary' });
+
+    expect(openUri).toHaveBeenCalledTimes(3);
+    expect(openUri).toHaveBeenLastCalledWith('mongodb://localhost/replica', expect.objectContaining({ readPreference: 'secondary', maxPoolSize: 10 }));
+    expect(Database.get('replica')).toBe(connection);
+  });
+
+  it('gives up after the configured retries', async () => {
+    const openUri = jest.spyOn(mongoose.Connection.prototype, 'openUri').mockRejectedValue(new Error('ECONNREFUSED'));
+
+    await expect(Database.register('replica', 'mongodb://localhost/replica', options)).rejects.toThrow('ECONNREFUSED');
+
+    expect(openUri).toHaveBeenCalledTimes(3);
+    expect(Database.getConnectionNames()).not.toContain('replica');
+  });
+
+  it('stops retrying once the database is closing', async () => {
+    const openUri = jest.spyOn(mongoose.Connection.prototype, 'openUri').mockImplementation(async () => {
+      Database.isClosing = true;
+      throw new Error('ECONNREFUSED');
+    });
+
+    await expect(Database.register('replica', 'mongodb://localhost/replica', options)).rejects.toThrow('ECONNREFUSED');
+    expect(openUri).toHaveBeenCalledTimes(1);
+    Database.isClosing = false;
+  });
+
+  it('backs off exponentially up to maxRetryDelayMs', async () => {
+    jest.spyOn(Math, 'random').mockReturnValue(1);
+    const setTimeoutSpy = jest.spyOn(global, 'setTimeout');
+    jest.spyOn(mongoose.Connection.prototype, 'openUri').mockRejectedValue(new Error('ECONNREFUSED'));
+
+    await expect(Database.register('replica', 'mongodb://localhost/replica', { retries: 3, retryDelayMs: 1, maxRetryDelayMs: 3 }))
+      .rejects.toThrow('ECONNREFUSED');
+
+    expect(setTimeoutSpy.mock.calls.map(([, delay]) => delay)).toEqual([1, 2, 3]);
+  });
+
+  it('rejects invalid options before connecting', async () => {
+    const openUri = jest.spyOn(mongoose.Connection.prototype, 'openUri');
+
+    await expect(Database.register('replica', 'postgres://localhost/replica', { maxPoolSize: 0 }))
+      .rejects.toThrow(/Invalid database options: .*mongodb:\/\/.*maxPoolSize/);
+    expect(openUri).not.toHaveBeenCalled();
+  });
+});
+
+describe('Database.healthCheck', () => {
+  let connection;
+  let command;
+
+  beforeEach(() => {
+    command = jest.fn(async (cmd) => (cmd.hello
+      ? { setName: 'rs0', primary: 'db-1:27017', hosts: ['db-1:27017', 'db-2:27017'], isWritablePrimary: true, secondary: false }
+      : { ok: 1 }));
+    connection = Object.assign(new EventEmitter(), { readyState: 1, db: { admin: () => ({ command }) } });
+    Database.track('health', connection, {});
+  });
+
+  afterEach(() => {
+    Database.connections.delete('health');
+  });
+
+  it('reports latency and replica set state', async () => {
+    const health = await Database.healthCheck('health');
+
+    expect(health).toEqual({
+      healthy: true,
+      state: 'connected',
+      latencyMs: expect.any(Number),
+      replicaSet: { name: 'rs0', primary: 'db-1:27017', hosts: ['db-1:27017', 'db-2:27017'], isWritablePrimary: true, secondary: false }
+    });
+    expect(command).toHaveBeenCalledWith({ ping: 1 }, { readPreference: 'primary' });
+  });
+
+  it('reports standalone servers without a replica set', async () => {
+    command.mockResolvedValue({ ok: 1 });
+
+    await expect(Database.healthCheck('health')).resolves.toMatchObject({ healthy: true, replicaSet: null });
+  });
+
+  it('reports connections that are not open without pinging', async () => {
+    connection.readyState = 2;
+
+    await expect(Database.healthCheck('health')).resolves.toEqual({ healthy: false, state: 'connecting' });
+    expect(command).not.toHaveBeenCalled();
+    expect(Database.isConnected('health')).toBe(false);
+  });
+
+  it('reports failed pings', async () => {
+    command.mockRejectedValue(new Error('not primary'));
+
+    await expect(Database.healthCheck('health')).resolves.toEqual({ healthy: false, state: 'connected', error: 'not primary' });
+  });
+});
+
+describe('Database.withTransaction', () => {
+  const defaultClient = { name: 'default client' };
+  const reportingClient = { name: 'reporting client' };
+  let reporting;
+
+  /**
+   * ClientSession stand-in tracking its transaction state
+   * @param {Object} client - MongoClient the session belongs to
+   */
+  const createSession = (client) => {
+    let active = false;
+    return {
+      client,
+      startTransaction: jest.fn(() => { active = true; }),
+      commitTransaction: jest.fn(async () => { active = false; }),
+      abortTransaction: jest.fn(async () => { active = false; }),
+      inTransaction: () => active,
+      endSession: jest.fn(async () => {})
+    };
+  };
+
+  beforeAll(() => {
+    reporting = mongoose.createConnection();
+    Database.track('reporting', reporting, {});
+  });
+
+  beforeEach(() => {
+    jest.spyOn(mongoose.connection, 'getClient').mockReturnValue(defaultClient);
+    jest.spyOn(mongoose.connection, 'startSession').mockImplementation(async () => createSession(defaultClient));
+    jest.spyOn(reporting, 'getClient').mockReturnValue(reportingClient);
+    jest.spyOn(reporting, 'startSession').mockImplementation(async () => createSession(reportingClient));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    Database.connections.delete('reporting');
+  });
+
+  it('commits and exposes the session to the callback', async () => {
+    const result = await Database.withTransaction(async (session) => {
+      expect(Database.getSession()).toBe(session);
+      return 'done';
+    });
+
+    expect(result).toBe('done');
+    const session = await mongoose.connection.startSession.mock.results[0].value;
+    expect(session.commitTransaction).toHaveBeenCalledTimes(1);
+    expect(session.endSession).toHaveBeenCalledTimes(1);
+  });
+
+  it('joins a running transaction on the same connection', async () => {
+    await Database.withTransaction(async (outer) => {
+      await Database.withTransaction(async (inner) => {
+        expect(inner).toBe(outer);
+      });
+    });
+
+    expect(mongoose.connection.startSession).toHaveBeenCalledTimes(1);
+  });
+
+  it('starts a separate transaction for another connection', async () => {
+    await Database.withTransaction(async (outer) => {
+      await Database.withTransaction(async (inner) => {
+        expect(inner).not.toBe(outer);
+        expect(inner.client).toBe(reportingClient);
+        expect(Database.getSession()).toBe(inner);
+      }, { connection: 'reporting' });
+
+      expect(Database.getSession()).toBe(outer);
+    });
+
+    const inner = await reporting.startSession.mock.results[0].value;
+    expect(inner.commitTransaction).toHaveBeenCalledTimes(1);
+  });
+
+  it('retries transient transaction errors', async () => {
+    const transient = new mongoose.mongo.MongoServerError({ message: 'Write conflict' });
+    transient.addErrorLabel('TransientTransactionError');
+    const fn = jest.fn().mockRejectedValueOnce(transient).mockResolvedValueOnce('done');
+
+    await expect(Database.withTransaction(fn)).resolves.toBe('done');
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+
+  it('maps database errors and aborts the transaction', async () => {
+    const duplicate = new mongoose.mongo.MongoServerError({ message: 'E11000 duplicate key', code: 11000, keyValue: { email: 1 } });
+
+    await expect(Database.withTransaction(async () => { throw duplicate; }))
+      .rejects.toMatchObject({ statusCode: 409, message: 'email already exists' });
+
+    const session = await mongoose.connection.startSession.mock.results[0].value;
+    expect(session.abortTransaction).toHaveBeenCalledTimes(1);
+    expect(session.endSession).toHaveBeenCalledTimes(1);
+  });
+
+  it('rethrows other errors unchanged', async () => {
+    const bug = new TypeError('Cannot read properties of undefined');
+    const appError = ErrorHandler.createNotFoundError('Order not found');
+
+    await expect(Database.withTransaction(async () => { throw bug; })).rejects.toBe(bug);
+    await expect(Database.withTransaction(async () => { throw appError; })).rejects.toBe(appError);
+  });
+});
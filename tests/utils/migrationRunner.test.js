@@ -0,0 +1,166 @@
+process.env.LOG_LEVEL = 'error';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const Database = require('../../utils/database');
+const { MigrationRunner } = require('../../utils/migrationRunner');
+
+/**
+ * In-memory stand-in for the migrations collection
+ */
+const createCollection = () => {
+  const docs = [];
+  return {
+    docs,
+    find: () => ({
+      sort: ({ version }) => ({
+        toArray: async () => [...docs].sort((a, b) => version * a.version.localeCompare(b.version))
+      })
+    }),
+    insertOne: jest.fn(async (doc) => {
+      docs.push(doc);
+    }),
+    deleteOne: jest.fn(async ({ version }) => {
+      docs.splice(docs.findIndex(doc => doc.version === version), 1);
+    })
+  };
+};
+
+class TestRunner extends MigrationRunner {
+  constructor(options) {
+    super(options);
+    this.records = createCollection();
+  }
+
+  get db() {
+    return {};
+  }
+
+  get collection() {
+    return this.records;
+  }
+
+  async withLock(dryRun, fn) {
+    return fn();
+  }
+}
+
+/**
+ * Write a migration file
+ * @param {string} directory - Migrations directory
+ * @param {string} file - File name
+ * @param {string} source - Module source
+ */
+const writeMigration = (directory, file, source) => {
+  fs.writeFileSync(path.join(directory, file), source);
+};
+
+describe('MigrationRunner', () => {
+  let directory;
+  let runner;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    runner = new TestRunner({ directory });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('up and down', () => {
+    it('applies pending migrations in version order and rolls back the latest', async () => {
+      writeMigration(directory, '2-second.js', 'module.exports = { async up() {}, async down() {} };');
+      writeMigration(directory, '10-third.js', 'module.exports = { async up() {}, async down() {} };');
+      writeMigration(directory, '1-first.js', 'module.exports = { async up() {}, async down() {} };');
+
+      const applied = await runner.up({ syncIndexes: false, to: '2' });
+      expect(applied.migrations.map(migration => migration.version)).toEqual(['1', '2']);
+
+      const { pending } = await runner.status();
+      expect(pending.map(migration => migration.version)).toEqual(['10']);
+
+      const rolledBack = await runner.down();
+      expect(rolledBack.migrations).toEqual([{ version: '2', name: 'second' }]);
+      expect(runner.records.docs.map(doc => doc.version)).toEqual(['1']);
+    });
+
+    it('records transactional migrations with the transaction session', async () => {
+      const session = { id: 'session' };
+      jest.spyOn(Database, 'withTransaction').mockImplementation(fn => fn(session));
+      writeMigration(directory, '1-tx.js', `module.exports = {
+        transaction: true,
+        async up({ session }) { if (!session) throw new Error('no session'); },
+        async down() {}
+      };`);
+
+      await runner.up({ syncIndexes: false });
+      await runner.down();
+
+      expect(runner.records.insertOne).toHaveBeenCalledWith(expect.objectContaining({ version: '1' }), { session });
+      expect(runner.records.deleteOne).toHaveBeenCalledWith({ version: '1' }, { session });
+    });
+
+    it('does not record a migration that fails', async () => {
+      writeMigration(directory, '1-broken.js', 'module.exports = { async up() { throw new Error(\'boom\'); } };');
+
+      await expect(runner.up({ syncIndexes: false })).rejects.toThrow('boom');
+      expect(runner.records.docs).toEqual([]);
+    });
+
+    it('reports what a dry run would apply', async () => {
+      writeMigration(directory, '1-first.js', 'module.exports = { async up() { throw new Error(\'ran\'); } };');
+
+      await expect(runner.up({ dryRun: true, syncIndexes: false }))
+        .resolves.toEqual({ migrations: [{ version: '1', name: 'first' }], indexes: [] });
+      expect(runner.records.docs).toEqual([]);
+    });
+  });
+
+  describe('reconcileIndexes', () => {
+    let model;
+
+    beforeEach(() => {
+      model = {
+        diffIndexes: jest.fn(async () => ({ toCreate: [{ email: 1 }], toDrop: ['legacy_1'] })),
+        createIndexes: jest.fn(async () => {}),
+        syncIndexes: jest.fn(async () => {})
+      };
+      jest.spyOn(mongoose, 'model').mockReturnValue(model);
+    });
+
+    it('creates missing indexes and only reports extra ones by default', async () => {
+      const changes = await runner.reconcileIndexes({ models: ['User'] });
+
+      expect(model.createIndexes).toHaveBeenCalled();
+      expect(model.syncIndexes).not.toHaveBeenCalled();
+      expect(changes).toEqual([{ model: 'User', toCreate: [{ email: 1 }], toDrop: ['legacy_1'], dropped: false }]);
+    });
+
+    it('drops extra indexes when asked to', async () => {
+      const changes = await runner.reconcileIndexes({ models: ['User'], drop: true });
+
+      expect(model.syncIndexes).toHaveBeenCalled();
+      expect(changes[0].dropped).toBe(true);
+    });
+
+    it('changes nothing on a dry run', async () => {
+      await runner.reconcileIndexes({ models: ['User'], dryRun: true, drop: true });
+
+      expect(model.createIndexes).not.toHaveBeenCalled();
+      expect(model.syncIndexes).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('create', () => {
+    it('writes a timestamped migration file', () => {
+      const file = runner.create('Add user plan');
+
+      expect(path.basename(file)).toMatch(/^\d{14}-add-user-plan\.js$/);
+      expect(runner.loadMigrations()).toHaveLength(1);
+    });
+  });
+});
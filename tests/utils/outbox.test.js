@@ -0,0 +1,72 @@
+process.env.LOG_LEVEL = 'error';
+
+const mongoose = require('mongoose');
+const Database = require('../../utils/database');
+const { addOutboxEvent, OutboxRelay } = require('../../utils/outbox');
+
+describe('addOutboxEvent', () => {
+  const defaultClient = { name: 'default client' };
+  const reportingClient = { name: 'reporting client' };
+  let reporting;
+
+  /**
+   * Stub create() on the OutboxEvent model of a connection
+   * @param {string} connection - Connection name
+   */
+  const stubCreate = (connection) => jest
+    .spyOn(Database.getModel('OutboxEvent', { connection, tenantId: null }), 'create')
+    .mockImplementation(async (docs) => docs);
+
+  beforeAll(() => {
+    reporting = mongoose.createConnection();
+    Database.track('reporting', reporting, {});
+  });
+
+  beforeEach(() => {
+    jest.spyOn(mongoose.connection, 'getClient').mockReturnValue(defaultClient);
+    jest.spyOn(reporting, 'getClient').mockReturnValue(reportingClient);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    Database.connections.delete('reporting');
+  });
+
+  it('throws without a session', async () => {
+    await expect(addOutboxEvent('order.created', {})).rejects.toMatchObject({ code: 'CONFIGURATION_ERROR' });
+  });
+
+  it('writes without a transaction only when asked to', async () => {
+    const create = stubCreate('default');
+
+    const event = await addOutboxEvent('order.created', { orderId: 1 }, { transactional: false });
+
+    expect(event).toMatchObject({ type: 'order.created', payload: { orderId: 1 } });
+    expect(create).toHaveBeenCalledWith([expect.any(Object)], { session: null });
+  });
+
+  it('writes on the connection the session belongs to', async () => {
+    const defaultCreate = stubCreate('default');
+    const reportingCreate = stubCreate('reporting');
+    const session = { client: reportingClient };
+
+    await addOutboxEvent('report.generated', {}, { session });
+
+    expect(reportingCreate).toHaveBeenCalledWith([expect.objectContaining({ type: 'report.generated' })], { session });
+    expect(defaultCreate).not.toHaveBeenCalled();
+  });
+
+  it('rejects sessions of unknown connections', async () => {
+    await expect(addOutboxEvent('order.created', {}, { session: { client: {} } }))
+      .rejects.toMatchObject({ code: 'CONFIGURATION_ERROR' });
+  });
+
+  it('relays the outbox of its own connection', () => {
+    const relay = new OutboxRelay({ connection: 'reporting' });
+
+    expect(relay.getModel().db).toBe(reporting);
+  });
+});
@@ -0,0 +1,68 @@
+process.env.LOG_LEVEL = 'error';
+
+const mongoose = require('mongoose');
+const auditPlugin = require('../../../utils/plugins/audit');
+const { runWithContext } = require('../../../utils/requestContext');
+
+describe('auditPlugin', () => {
+  const author = new mongoose.Types.ObjectId();
+  const editor = new mongoose.Types.ObjectId();
+  let Note;
+  let insertOne;
+  let updateOne;
+  let updateMany;
+
+  beforeAll(() => {
+    const schema = new mongoose.Schema({ text: String });
+    schema.plugin(auditPlugin);
+    Note = mongoose.createConnection().model('Note', schema);
+  });
+
+  beforeEach(() => {
+    // Capture what reaches the driver instead of talking to a server
+    insertOne = jest.spyOn(Note.collection, 'insertOne').mockResolvedValue({ acknowledged: true });
+    updateOne = jest.spyOn(Note.collection, 'updateOne').mockResolvedValue({ acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+    updateMany = jest.spyOn(Note.collection, 'updateMany').mockResolvedValue({ acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('records the request user on create and update', async () => {
+    const note = new Note({ text: 'draft' });
+    await runWithContext({ req: { user: { id: author } } }, () => note.save());
+
+    expect(insertOne.mock.calls[0][0]).toMatchObject({
+      createdBy: author,
+      updatedBy: author,
+      createdAt: expect.any(Date),
+      updatedAt: expect.any(Date)
+    });
+
+    note.text = 'final';
+    await runWithContext({ userId: editor }, () => note.save());
+
+    expect(note.createdBy).toEqual(author);
+    expect(updateOne.mock.calls[0][1].$set).toMatchObject({ text: 'final', updatedBy: editor });
+  });
+
+  it('sets updatedBy on update queries and createdBy on upserts', async () => {
+    await runWithContext({ userId: editor }, () => Note.updateMany({}, { $set: { text: 'x' } }).exec());
+    expect(updateMany.mock.calls[0][1].$set).toMatchObject({ text: 'x', updatedBy: editor });
+
+    await runWithContext({ userId: author }, () => Note.updateOne({ text: 'y' }, { text: 'y' }, { upsert: true }).exec());
+    expect(updateOne.mock.calls[0][1]).toMatchObject({
+      $set: { text: 'y', updatedBy: author },
+      $setOnInsert: { createdBy: author }
+    });
+  });
+
+  it('leaves the user fields alone outside a request', async () => {
+    await new Note({ text: 'job' }).save();
+    await Note.updateMany({}, { $set: { text: 'x' } });
+
+    expect(insertOne.mock.calls[0][0]).toMatchObject({ createdBy: null, updatedBy: null });
+    expect(updateMany.mock.calls[0][1].$set).not.toHaveProperty('updatedBy');
+  });
+});
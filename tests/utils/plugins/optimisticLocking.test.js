@@ -0,0 +1,73 @@
+process.env.LOG_LEVEL = 'error';
+
+const mongoose = require('mongoose');
+const optimisticLockingPlugin = require('../../../utils/plugins/optimisticLocking');
+
+describe('optimisticLockingPlugin', () => {
+  let Profile;
+
+  beforeAll(() => {
+    const schema = new mongoose.Schema({ name: String });
+    schema.plugin(optimisticLockingPlugin);
+    Profile = mongoose.createConnection().model('Profile', schema);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Profile loaded at version 3
+   */
+  const loadProfile = () => Profile.hydrate({ _id: new mongoose.Types.ObjectId(), name: 'Jane', __v: 3 });
+
+  it('saves only the version that was loaded', async () => {
+    const updateOne = jest.spyOn(Profile.collection, 'updateOne').mockResolvedValue({ acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+    const profile = loadProfile();
+
+    profile.name = 'Janet';
+    await profile.save();
+
+    expect(updateOne).toHaveBeenCalledWith(
+      { _id: profile._id, __v: 3 },
+      { $set: { name: 'Janet' }, $inc: { __v: 1 } },
+      expect.any(Object)
+    );
+  });
+
+  it('fails with 409 when the document changed since it was loaded', async () => {
+    jest.spyOn(Profile.collection, 'updateOne').mockResolvedValue({ acknowledged: true, matchedCount: 0, modifiedCount: 0 });
+    const profile = loadProfile();
+
+    profile.name = 'Janet';
+
+    await expect(profile.save()).rejects.toMatchObject({
+      statusCode: 409,
+      message: 'Profile was modified by someone else, reload and try again'
+    });
+  });
+
+  it('updates by version', async () => {
+    const profile = loadProfile();
+    const findOneAndUpdate = jest.spyOn(Profile.collection, 'findOneAndUpdate')
+      .mockResolvedValue({ _id: profile._id, name: 'Janet', __v: 4 });
+
+    const updated = await Profile.updateWithVersion(profile._id, 3, { $set: { name: 'Janet' } });
+
+    expect(updated.__v).toBe(4);
+    expect(findOneAndUpdate.mock.calls[0].slice(0, 2)).toEqual([
+      { _id: profile._id, __v: 3 },
+      { $set: { name: 'Janet' }, $inc: { __v: 1 } }
+    ]);
+  });
+
+  it('answers stale versions with 409 and missing documents with 404', async () => {
+    jest.spyOn(Profile.collection, 'findOneAndUpdate').mockResolvedValue(null);
+    const findOne = jest.spyOn(Profile.collection, 'findOne').mockResolvedValueOnce({ _id: 'x' }).mockResolvedValueOnce(null);
+    const id = new mongoose.Types.ObjectId();
+
+    await expect(Profile.updateWithVersion(id, 2, { $set: { name: 'Janet' } })).rejects.toMatchObject({ statusCode: 409 });
+    await expect(Profile.updateWithVersion(id, 2, { $set: { name: 'Janet' } })).rejects.toMatchObject({ statusCode: 404 });
+    expect(findOne).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,75 @@
+process.env.LOG_LEVEL = 'error';
+
+const mongoose = require('mongoose');
+const { sessionContextPlugin, sessionStorage } = require('../../../utils/plugins/sessionContext');
+
+describe('sessionContextPlugin', () => {
+  const primaryClient = { name: 'primary client' };
+  const reportingClient = { name: 'reporting client' };
+  const session = { client: primaryClient };
+  let Primary;
+  let Reporting;
+
+  /**
+   * Run an operation that fails once it reaches the (unopened) connection,
+   * after its middleware has run
+   * @param {Object} operation - Query, aggregate or save promise
+   */
+  const settle = (operation) => operation.catch(() => {});
+
+  beforeAll(() => {
+    const primary = mongoose.createConnection();
+    const reporting = mongoose.createConnection();
+    jest.spyOn(primary, 'getClient').mockReturnValue(primaryClient);
+    jest.spyOn(reporting, 'getClient').mockReturnValue(reportingClient);
+
+    // Without buffering, operations fail right away instead of waiting for a connection
+    const schema = new mongoose.Schema({ name: String }, { bufferCommands: false });
+    schema.plugin(sessionContextPlugin);
+    Primary = primary.model('Widget', schema);
+    Reporting = reporting.model('Widget', schema);
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('attaches the session to operations on its own connection', async () => {
+    await sessionStorage.run(session, async () => {
+      const query = Primary.find({ name: 'a' });
+      const aggregate = Primary.aggregate([{ $match: { name: 'a' } }]);
+      const doc = new Primary({ name: 'a' });
+
+      await Promise.all([settle(query.exec()), settle(aggregate.exec()), settle(doc.save())]);
+
+      expect(query.getOptions().session).toBe(session);
+      expect(aggregate.options.session).toBe(session);
+      expect(doc.$session()).toBe(session);
+    });
+  });
+
+  it('leaves operations on other connections outside the transaction', async () => {
+    await sessionStorage.run(session, async () => {
+      const query = Reporting.find({ name: 'a' });
+      const aggregate = Reporting.aggregate([{ $match: { name: 'a' } }]);
+      const doc = new Reporting({ name: 'a' });
+
+      await Promise.all([settle(query.exec()), settle(aggregate.exec()), settle(doc.save())]);
+
+      expect(query.getOptions().session).toBeUndefined();
+      expect(aggregate.options.session).toBeUndefined();
+      expect(doc.$session()).toBeNull();
+    });
+  });
+
+  it('keeps sessions passed explicitly', async () => {
+    const explicit = { client: primaryClient };
+
+    await sessionStorage.run(session, async () => {
+      const query = Primary.find().session(explicit);
+      await settle(query.exec());
+
+      expect(query.getOptions().session).toBe(explicit);
+    });
+  });
+});
@@ -0,0 +1,124 @@
+process.env.LOG_LEVEL = 'error';
+
+const mongoose = require('mongoose');
+const softDeletePlugin = require('../../../utils/plugins/softDelete');
+const { runWithContext } = require('../../../utils/requestContext');
+
+describe('softDeletePlugin', () => {
+  const userId = new mongoose.Types.ObjectId();
+  let Article;
+  let calls;
+
+  /**
+   * Last call of a collection method
+   * @param {string} method - Collection method
+   */
+  const lastCall = (method) => calls.filter(([name]) => name === method).pop().slice(1);
+
+  beforeAll(() => {
+    const schema = new mongoose.Schema({ title: String });
+    schema.plugin(softDeletePlugin);
+    Article = mongoose.createConnection().model('Article', schema);
+  });
+
+  beforeEach(() => {
+    calls = [];
+
+    // Record what reaches the driver instead of talking to a server
+    const record = (method, result) => jest.spyOn(Article.collection, method).mockImplementation((...args) => {
+      calls.push([method, ...args]);
+      return result;
+    });
+    record('find', { toArray: async () => [] });
+    record('aggregate', { toArray: async () => [] });
+    record('findOne', Promise.resolve(null));
+    record('countDocuments', Promise.resolve(0));
+    record('distinct', Promise.resolve([]));
+    record('findOneAndUpdate', Promise.resolve(null));
+    record('updateOne', Promise.resolve({ acknowledged: true, matchedCount: 1, modifiedCount: 1 }));
+    record('updateMany', Promise.resolve({ acknowledged: true, matchedCount: 1, modifiedCount: 1 }));
+    record('deleteMany', Promise.resolve({ acknowledged: true, deletedCount: 1 }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('skips deleted documents in queries and aggregations', async () => {
+    await Article.find({ title: 'a' });
+    await Article.findOne({ title: 'a' });
+    await Article.countDocuments();
+    await Article.estimatedDocumentCount();
+    await Article.distinct('title', { title: /a/ });
+    await Article.aggregate([{ $match: { title: 'a' } }]);
+
+    expect(lastCall('find')[0]).toEqual({ title: 'a', deletedAt: null });
+    expect(lastCall('findOne')[0]).toEqual({ title: 'a', deletedAt: null });
+    expect(calls.filter(([name]) => name === 'countDocuments').map(([, filter]) => filter))
+      .toEqual([{ deletedAt: null }, { deletedAt: null }]);
+    expect(lastCall('distinct').slice(0, 2)).toEqual(['title', { title: /a/, deletedAt: null }]);
+    expect(lastCall('aggregate')[0]).toEqual([{ $match: { deletedAt: null } }, { $match: { title: 'a' } }]);
+  });
+
+  it('includes deleted documents with withDeleted() and alone with onlyDeleted()', async () => {
+    await Article.find({ title: 'a' }).withDeleted();
+    expect(lastCall('find')[0]).toEqual({ title: 'a' });
+
+    await Article.find({ title: 'a' }).onlyDeleted();
+    expect(lastCall('find')[0]).toEqual({ title: 'a', deletedAt: { $ne: null } });
+
+    await Article.distinct('title').withDeleted();
+    expect(lastCall('distinct')[1]).toEqual({});
+
+    await Article.aggregate([{ $match: { title: 'a' } }]).option({ withDeleted: true });
+    expect(lastCall('aggregate')[0]).toEqual([{ $match: { title: 'a' } }]);
+  });
+
+  it('leaves queries that filter on deletedAt themselves alone', async () => {
+    const since = new Date('2026-01-01');
+
+    await Article.find({ deletedAt: { $gte: since } });
+
+    expect(lastCall('find')[0]).toEqual({ deletedAt: { $gte: since } });
+  });
+
+  it('soft deletes and restores documents', async () => {
+    const article = Article.hydrate({ _id: new mongoose.Types.ObjectId(), title: 'a', deletedAt: null, deletedBy: null, __v: 0 });
+
+    await runWithContext({ userId }, () => article.softDelete());
+
+    expect(article.deletedAt).toBeInstanceOf(Date);
+    expect(article.deletedBy).toEqual(userId);
+    expect(lastCall('updateOne')[1]).toEqual({ $set: { deletedAt: article.deletedAt, deletedBy: userId } });
+
+    await article.restore();
+
+    expect(article.deletedAt).toBeNull();
+    expect(lastCall('updateOne')[1]).toEqual({ $set: { deletedAt: null, deletedBy: null } });
+  });
+
+  it('soft deletes and restores by filter', async () => {
+    const id = new mongoose.Types.ObjectId();
+
+    await runWithContext({ userId }, () => Article.softDeleteById(id));
+    const [filter, update] = lastCall('findOneAndUpdate');
+    expect(filter).toEqual({ _id: id, deletedAt: null });
+    expect(update.$set).toEqual({ deletedAt: expect.any(Date), deletedBy: userId });
+
+    await Article.softDeleteMany({ title: 'a' }, userId);
+    expect(lastCall('updateMany')[0]).toEqual({ title: 'a', deletedAt: null });
+
+    await Article.restoreMany({ title: 'a' });
+    expect(lastCall('updateMany')).toEqual([
+      { title: 'a', deletedAt: { $ne: null } },
+      { $set: { deletedAt: null, deletedBy: null } },
+      expect.any(Object)
+    ]);
+  });
+
+  it('lets native deletes remove documents permanently', async () => {
+    await Article.deleteMany({ title: 'a' });
+
+    expect(lastCall('deleteMany')[0]).toEqual({ title: 'a' });
+  });
+});
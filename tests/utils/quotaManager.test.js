@@ -0,0 +1,134 @@
+process.env.LOG_LEVEL = 'error';
+
+const express = require('express');
+const request = require('supertest');
+const QuotaManager = require('../../utils/quotaManager');
+const rateLimiter = require('../../utils/rateLimiter');
+
+describe('QuotaManager', () => {
+  let quotas;
+
+  beforeEach(() => {
+    quotas = new QuotaManager();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('counts daily and monthly usage until a limit is reached', async () => {
+    const limits = { daily: 2, monthly: 10 };
+
+    await expect(quotas.consume('user:1', 'search', limits)).resolves.toMatchObject({ allowed: true, exceeded: null });
+    const second = await quotas.consume('user:1', 'search', limits);
+    const third = await quotas.consume('user:1', 'search', limits);
+
+    expect(second.usage.daily).toMatchObject({ limit: 2, remaining: 0 });
+    expect(third).toMatchObject({ allowed: false, exceeded: 'daily' });
+    await expect(quotas.getUsage('user:1', 'search', limits)).resolves.toMatchObject({
+      daily: { used: 2, remaining: 0 },
+      monthly: { used: 2, remaining: 8 }
+    });
+  });
+
+  it('does not consume anything from a request it refuses', async () => {
+    const limits = { daily: 5, monthly: 1 };
+
+    await quotas.consume('user:1', 'search', limits);
+    await expect(quotas.consume('user:1', 'search', limits)).resolves.toMatchObject({ allowed: false, exceeded: 'monthly' });
+
+    await expect(quotas.getUsage('user:1', 'search', limits)).resolves.toMatchObject({ daily: { used: 1 } });
+  });
+
+  it('treats null limits as unlimited', async () => {
+    for (let i = 0; i < 5; i++) {
+      await quotas.consume('user:1', 'search', { daily: null, monthly: null });
+    }
+
+    await expect(quotas.consume('user:1', 'search', { daily: null, monthly: null })).resolves.toMatchObject({ allowed: true });
+  });
+
+  it('starts a new daily period at midnight UTC', async () => {
+    jest.useFakeTimers({ now: new Date('2026-03-10T23:59:00Z') });
+    await quotas.consume('user:1', 'search', { daily: 1, monthly: 10 });
+    await expect(quotas.consume('user:1', 'search', { daily: 1, monthly: 10 })).resolves.toMatchObject({ allowed: false });
+
+    jest.setSystemTime(new Date('2026-03-11T00:01:00Z'));
+
+    await expect(quotas.consume('user:1', 'search', { daily: 1, monthly: 10 })).resolves.toMatchObject({
+      allowed: true,
+      usage: { monthly: { used: 2 } }
+    });
+  });
+
+  it('adjusts and resets usage without going below zero', async () => {
+    const limits = { daily: 5, monthly: 10 };
+    await quotas.consume('user:1', 'search', limits, 3);
+
+    await quotas.adjustUsage('user:1', 'search', -5);
+    await expect(quotas.getUsage('user:1', 'search', limits)).resolves.toMatchObject({ daily: { used: 0 }, monthly: { used: 0 } });
+
+    await quotas.adjustUsage('user:1', 'search', 4, ['daily']);
+    await expect(quotas.getUsage('user:1', 'search', limits)).resolves.toMatchObject({ daily: { used: 4 }, monthly: { used: 0 } });
+
+    await quotas.resetUsage('user:1', 'search');
+    await expect(quotas.getUsage('user:1', 'search', limits)).resolves.toMatchObject({ daily: { used: 0 } });
+  });
+});
+
+describe('rateLimiter plan limits', () => {
+  const planLimits = {
+    free: { reports: { max: 100, daily: 1, monthly: 10 } },
+    premium: { reports: { max: 100, daily: 3, monthly: null } }
+  };
+
+  /**
+   * App behind a plan limiter, authenticated as `user`
+   * @param {Object} user - req.user
+   */
+  const createApp = (user) => {
+    const app = express();
+    app.use((req, res, next) => {
+      req.user = user;
+      next();
+    });
+    app.get('/reports', rateLimiter.createPlanLimiter('reports', { planLimits }), (req, res) => res.json(req.quota));
+    return app;
+  };
+
+  afterAll(() => {
+    rateLimiter.limiters.get('reports')?.store.shutdown();
+  });
+
+  it('resolves plans from claims and roles', () => {
+    expect(rateLimiter.resolvePlan({ plan: 'premium', role: 'user' })).toBe('premium');
+    expect(rateLimiter.resolvePlan({ role: 'employer' })).toBe('employer');
+    expect(rateLimiter.resolvePlan({ plan: 'unknown', role: 'user' })).toBe('free');
+    expect(rateLimiter.resolvePlan(null)).toBe('free');
+  });
+
+  it('limits each plan to its own quota and reports it in headers', async () => {
+    const free = createApp({ id: 'quota-free', plan: 'free' });
+    const premium = createApp({ id: 'quota-premium', plan: 'premium' });
+
+    const first = await request(free).get('/reports').expect(200);
+    expect(first.headers['x-quota-daily-limit']).toBe('1');
+    expect(first.headers['x-quota-daily-remaining']).toBe('0');
+    expect(first.headers['x-quota-monthly-remaining']).toBe('9');
+    await request(free).get('/reports').expect(429);
+
+    await request(premium).get('/reports').expect(200);
+    const response = await request(premium).get('/reports').expect(200);
+    expect(response.headers['x-quota-monthly-limit']).toBeUndefined();
+    expect(response.body).toMatchObject({ feature: 'reports', plan: 'premium' });
+  });
+
+  it('reads and adjusts a user\'s usage', async () => {
+    const user = { id: 'quota-admin', plan: 'free' };
+    await rateLimiter.quotaManager.consume('user:quota-admin', 'search', { daily: 200, monthly: 3000 });
+
+    await expect(rateLimiter.getQuotaUsage(user, 'search')).resolves.toMatchObject({ plan: 'free', daily: { used: 1, limit: 200 } });
+    await expect(rateLimiter.adjustQuotaUsage(user, 'search', 4)).resolves.toMatchObject({ daily: { used: 5 } });
+    await expect(rateLimiter.resetQuotaUsage(user, 'search')).resolves.toMatchObject({ daily: { used: 0 } });
+  });
+});
@@ -0,0 +1,189 @@
+process.env.LOG_LEVEL = 'error';
+
+const express = require('express');
+const request = require('supertest');
+const {
+  SlidingWindowLogStore,
+  SlidingWindowCounterStore,
+  TokenBucketStore,
+  createStore
+} = require('../../utils/rateLimitStores');
+const rateLimiter = require('../../utils/rateLimiter');
+
+/**
+ * Create an in-memory store for a strategy
+ * @param {Function} Store - Store class
+ * @param {Object} options - Store options
+ */
+const memoryStore = (Store, options = {}) => {
+  const store = new Store({ windowMs: 60 * 1000, limit: 3, ...options });
+  store.init({ windowMs: 60 * 1000 });
+  return store;
+};
+
+describe('rate limit stores', () => {
+  let stores = [];
+
+  const track = (store) => {
+    stores.push(store);
+    return store;
+  };
+
+  afterEach(() => {
+    stores.forEach(store => store.shutdown());
+    stores = [];
+    jest.useRealTimers();
+  });
+
+  describe('SlidingWindowLogStore', () => {
+    it('counts the weights in the last window', async () => {
+      const store = track(memoryStore(SlidingWindowLogStore));
+
+      await expect(store.hit('a', 2)).resolves.toMatchObject({ totalHits: 2 });
+      await expect(store.hit('a', 2)).resolves.toMatchObject({ totalHits: 4 });
+      await expect(store.get('a')).resolves.toMatchObject({ totalHits: 2 });
+      await expect(store.hit('a', 1)).resolves.toMatchObject({ totalHits: 3 });
+    });
+
+    it('accepts fractional weights', async () => {
+      const store = track(memoryStore(SlidingWindowLogStore));
+
+      await store.hit('a', 0.5);
+      await store.hit('a', 2.5);
+
+      await expect(store.get('a')).resolves.toMatchObject({ totalHits: 3 });
+    });
+
+    it('forgets requests older than the window', async () => {
+      jest.useFakeTimers({ now: 0 });
+      const store = track(memoryStore(SlidingWindowLogStore));
+
+      await store.hit('a', 3);
+      jest.setSystemTime(60 * 1000 + 1);
+
+      await expect(store.hit('a', 3)).resolves.toMatchObject({ totalHits: 3 });
+    });
+  });
+
+  describe('SlidingWindowCounterStore', () => {
+    it('weights the previous window by its overlap', async () => {
+      jest.useFakeTimers({ now: 0 });
+      const store = track(memoryStore(SlidingWindowCounterStore, { limit: 10 }));
+
+      await store.hit('a', 8);
+      jest.setSystemTime(60 * 1000 + 15 * 1000);
+
+      // 8 * 0.75 of the previous window + 2
+      await expect(store.hit('a', 2)).resolves.toMatchObject({ totalHits: 8 });
+    });
+
+    it('never refunds below zero', async () => {
+      const store = track(memoryStore(SlidingWindowCounterStore));
+
+      const { resetTime } = await store.hit('a', 1);
+      await store.refund('a', 5, resetTime);
+
+      expect(store.memory.get('a').count).toBe(0);
+    });
+
+    it('refunds the window the request was counted in', async () => {
+      jest.useFakeTimers({ now: 59 * 1000 });
+      const store = track(memoryStore(SlidingWindowCounterStore, { limit: 10 }));
+
+      const { resetTime } = await store.hit('a', 2);
+      jest.setSystemTime(61 * 1000);
+      await store.hit('a', 3);
+      await store.refund('a', 2, resetTime);
+
+      expect(store.memory.get('a')).toMatchObject({ previous: 0, count: 3 });
+    });
+
+    it('runs refunds in Redis through a clamping script', async () => {
+      const redisClient = { eval: jest.fn().mockResolvedValue(1) };
+      const store = memoryStore(SlidingWindowCounterStore, { redisClient, prefix: 'rl:' });
+
+      await store.refund('a', 2, new Date(120 * 1000));
+
+      const [script, { keys, arguments: args }] = redisClient.eval.mock.calls[0];
+      expect(script).toContain('math.max(0');
+      expect(keys).toEqual(['rl:a']);
+      expect(args).toEqual(['60000', '2', '1']);
+    });
+  });
+
+  describe('TokenBucketStore', () => {
+    it('spends and refills tokens', async () => {
+      jest.useFakeTimers({ now: 0 });
+      const store = track(memoryStore(TokenBucketStore, { limit: 6 }));
+
+      await expect(store.hit('a', 6)).resolves.toMatchObject({ totalHits: 6 });
+      await expect(store.hit('a', 1)).resolves.toMatchObject({ totalHits: 7 });
+
+      jest.setSystemTime(10 * 1000);
+      await expect(store.hit('a', 1)).resolves.toMatchObject({ totalHits: 6 });
+    });
+
+    it('never refunds above burst', async () => {
+      const store = track(memoryStore(TokenBucketStore, { burst: 5 }));
+
+      await store.hit('a', 1);
+      await store.refund('a', 10);
+
+      expect(store.memory.get('a').tokens).toBe(5);
+    });
+  });
+
+  describe('denied requests', () => {
+    it.each(['sliding-log', 'sliding-window', 'token-bucket'])('are not refunded by decrement (%s)', async (strategy) => {
+      const store = track(createStore(strategy, { windowMs: 60 * 1000, limit: 2 }));
+      store.init({ windowMs: 60 * 1000, skipFailedRequests: true });
+
+      await store.increment('a');
+      await store.increment('a');
+      const denied = await store.increment('a');
+      expect(denied.totalHits).toBeGreaterThan(2);
+
+      await store.decrement('a');
+
+      expect((await store.increment('a')).totalHits).toBeGreaterThan(2);
+    });
+
+    it('keep express-rate-limit from freeing a slot on 429 with skipFailedRequests', async () => {
+      const app = express();
+      app.get('/', rateLimiter.createLimiter({
+        name: 'denied-refund',
+        strategy: 'sliding-log',
+        max: 2,
+        windowMs: 60 * 1000,
+        skipFailedRequests: true,
+        keyGenerator: () => 'client'
+      }), (req, res) => res.json({ ok: true }));
+
+      await request(app).get('/').expect(200);
+      await request(app).get('/').expect(200);
+      await request(app).get('/').expect(429);
+      await request(app).get('/').expect(429);
+
+      rateLimiter.limiters.get('denied-refund').store.shutdown();
+    });
+  });
+
+  describe('createBudget', () => {
+    it('registers one limiter for every route of a budget', async () => {
+      const budget = rateLimiter.createBudget({ name: 'api-budget', max: 10, keyGenerator: () => 'client' });
+      const app = express();
+      app.get('/cheap', budget(1), (req, res) => res.json({ ok: true }));
+      app.get('/export', budget(6), (req, res) => res.json({ ok: true }));
+
+      await request(app).get('/cheap').expect(200);
+      await request(app).get('/export').expect(200);
+      await request(app).get('/export').expect(429);
+
+      const { store, options } = rateLimiter.limiters.get('api-budget');
+      expect(options.cost).toBe('per-route');
+      await expect(rateLimiter.getRateLimitInfo('client', 'api-budget')).resolves.toMatchObject({ count: 7, limit: 10 });
+
+      store.shutdown();
+    });
+  });
+});
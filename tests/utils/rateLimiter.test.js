@@ -0,0 +1,185 @@
+process.env.LOG_LEVEL = 'error';
+
+const express = require('express');
+const request = require('supertest');
+const rateLimiter = require('../../utils/rateLimiter');
+const ResponseHandler = require('../../utils/response');
+
+describe('rate limit responses', () => {
+  const stores = [];
+
+  /**
+   * App behind a limiter
+   * @param {Function} middleware - Limiter middleware
+   */
+  const createApp = (middleware) => {
+    const app = express();
+    app.get('/', middleware, (req, res) => res.json({ ok: true }));
+    return app;
+  };
+
+  /**
+   * Limiter allowing one request per minute for a fixed client
+   * @param {string} name - Limiter name
+   */
+  const createLimiter = (name) => {
+    const middleware = rateLimiter.createLimiter({ name, strategy: 'sliding-log', max: 1, windowMs: 60 * 1000, keyGenerator: () => 'client' });
+    stores.push(rateLimiter.limiters.get(name).store);
+    return middleware;
+  };
+
+  beforeEach(() => {
+    ResponseHandler.configure({ errorFormat: 'problem' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    ResponseHandler.configure({ errorFormat: 'envelope' });
+  });
+
+  afterAll(() => {
+    stores.forEach(store => store.shutdown());
+  });
+
+  it('answers exceeded limits in the configured error format', async () => {
+    const app = createApp(createLimiter('responses-exceeded'));
+
+    await request(app).get('/').expect(200);
+    const response = await request(app).get('/').expect(429).expect('Content-Type', /application\/problem\+json/);
+
+    expect(response.body).toMatchObject({ status: 429, code: 'RATE_LIMIT_EXCEEDED', retryAfter: expect.any(Number) });
+  });
+
+  it('answers banned keys in the configured error format', async () => {
+    const app = createApp(createLimiter('responses-banned'));
+    await rateLimiter.banKey('client', { limiter: 'responses-banned', ttl: 60 });
+
+    const response = await request(app).get('/').expect(429);
+
+    expect(response.body).toMatchObject({ status: 429, code: 'RATE_LIMIT_BANNED', retryAfter: expect.any(Number) });
+  });
+
+  it('answers used up quotas in the configured error format', async () => {
+    const reset = new Date(Date.now() + 60 * 60 * 1000);
+    jest.spyOn(rateLimiter.quotaManager, 'consume').mockResolvedValue({
+      allowed: false,
+      exceeded: 'daily',
+      usage: { daily: { limit: 50, remaining: 0, reset } }
+    });
+    const middleware = rateLimiter.createPlanLimiter('recommendation', { keyGenerator: () => 'quota-client' });
+    stores.push(rateLimiter.limiters.get('recommendation').store);
+
+    const response = await request(createApp(middleware)).get('/').expect(429);
+
+    expect(response.body).toMatchObject({
+      status: 429,
+      detail: 'Your daily recommendation quota is used up',
+      code: 'QUOTA_EXCEEDED',
+      plan: 'free',
+      period: 'daily'
+    });
+  });
+});
+
+describe('slow-down', () => {
+  afterAll(() => {
+    rateLimiter.limiters.get('slow-down').store.shutdown();
+  });
+
+  it('delays requests past delayAfter by a growing, capped amount before limiting', async () => {
+    const app = express();
+    app.get('/', rateLimiter.createLimiter({
+      name: 'slow-down',
+      strategy: 'sliding-log',
+      max: 5,
+      windowMs: 60 * 1000,
+      keyGenerator: () => 'slow-client',
+      slowDown: { delayAfter: 2, delayMs: 10, maxDelayMs: 25 }
+    }), (req, res) => res.json({ delay: req.slowDown.delay }));
+
+    const delays = [];
+    for (let i = 0; i < 5; i++) {
+      delays.push((await request(app).get('/').expect(200)).body.delay);
+    }
+
+    expect(delays).toEqual([0, 0, 10, 20, 25]);
+    await request(app).get('/').expect(429);
+  });
+});
+
+describe('ban escalation', () => {
+  const escalation = { after: 2, durations: [60, 600], offenceTtl: 60 * 60 };
+  let now;
+
+  beforeEach(() => {
+    now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Record a breach of a window ending a minute from now
+   * @param {string} key - Rate limit key
+   */
+  const breach = (key) => rateLimiter.recordOffence(key, 'escalation', escalation, new Date(now + 60 * 1000));
+
+  it('bans after repeated breaches with growing durations', async () => {
+    await expect(breach('repeat-offender')).resolves.toBeNull();
+
+    now += 61 * 1000;
+    await expect(breach('repeat-offender')).resolves.toMatchObject({
+      type: 'ban',
+      limiter: 'escalation',
+      expiresAt: new Date(now + 60 * 1000).toISOString()
+    });
+
+    now += 61 * 1000;
+    await expect(breach('repeat-offender')).resolves.toMatchObject({ expiresAt: new Date(now + 600 * 1000).toISOString() });
+
+    now += 601 * 1000;
+    await expect(breach('repeat-offender')).resolves.toMatchObject({ expiresAt: new Date(now + 600 * 1000).toISOString() });
+  });
+
+  it('counts breaches within one window once', async () => {
+    await breach('burst-client');
+    now += 30 * 1000;
+
+    await expect(breach('burst-client')).resolves.toBeNull();
+    await expect(rateLimiter.getOverride('burst-client', 'escalation')).resolves.toBeNull();
+  });
+
+  it('forgets offences after offenceTtl', async () => {
+    await breach('reformed-client');
+
+    now += 2 * 60 * 60 * 1000;
+
+    await expect(breach('reformed-client')).resolves.toBeNull();
+  });
+
+  it('bans a key that keeps exceeding a limiter', async () => {
+    jest.restoreAllMocks();
+    const app = express();
+    app.get('/', rateLimiter.createLimiter({
+      name: 'escalating',
+      strategy: 'sliding-log',
+      max: 1,
+      windowMs: 60 * 1000,
+      keyGenerator: () => 'flooding-client',
+      escalation: { after: 1, durations: [60] }
+    }), (req, res) => res.json({ ok: true }));
+
+    try {
+      await request(app).get('/').expect(200);
+      await request(app).get('/').expect(429);
+      await new Promise(resolve => setImmediate(resolve));
+
+      const response = await request(app).get('/').expect(429);
+      expect(response.body).toMatchObject({ code: 'RATE_LIMIT_BANNED', retryAfter: 60 });
+    } finally {
+      rateLimiter.limiters.get('escalating').store.shutdown();
+    }
+  });
+});
@@ -0,0 +1,68 @@
+process.env.LOG_LEVEL = 'error';
+
+const express = require('express');
+const request = require('supertest');
+const ResponseHandler = require('../../utils/response');
+
+describe('ResponseHandler', () => {
+  const originalFormat = ResponseHandler.errorFormat;
+
+  afterEach(() => {
+    ResponseHandler.configure({ errorFormat: originalFormat });
+    delete process.env.ERROR_FORMAT;
+  });
+
+  describe('ERROR_FORMAT', () => {
+    it('warns about unknown formats when the module loads and uses the envelope', () => {
+      process.env.ERROR_FORMAT = 'problems';
+
+      jest.isolateModules(() => {
+        const warn = jest.spyOn(require('../../logger/logger'), 'warn');
+
+        expect(require('../../utils/response').errorFormat).toBe('envelope');
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining('Invalid ERROR_FORMAT "problems"'));
+        warn.mockRestore();
+      });
+    });
+
+    it('rejects unknown formats passed to configure', () => {
+      expect(() => ResponseHandler.configure({ errorFormat: 'problems' })).toThrow('Unknown error format "problems"');
+      expect(ResponseHandler.errorFormat).toBe(originalFormat);
+    });
+
+    it('uses a valid format from the environment', () => {
+      process.env.ERROR_FORMAT = 'negotiate';
+
+      jest.isolateModules(() => {
+        expect(require('../../utils/response').errorFormat).toBe('negotiate');
+      });
+    });
+  });
+
+  describe('sendError', () => {
+    const app = express();
+    app.get('/limited', (req, res) => ResponseHandler.sendError(res, 429, 'Slow down', null, 'RATE_LIMIT_EXCEEDED', { retryAfter: 30 }));
+
+    it('adds extensions to the envelope', async () => {
+      const response = await request(app).get('/limited').expect(429);
+
+      expect(response.body).toEqual({ success: false, message: 'Slow down', code: 'RATE_LIMIT_EXCEEDED', retryAfter: 30 });
+    });
+
+    it('adds extensions as problem members', async () => {
+      ResponseHandler.configure({ errorFormat: 'problem' });
+
+      const response = await request(app).get('/limited?x=1').expect(429).expect('Content-Type', /application\/problem\+json/);
+
+      expect(response.body).toEqual({
+        type: 'about:blank',
+        title: 'Too Many Requests',
+        status: 429,
+        detail: 'Slow down',
+        instance: '/limited',
+        code: 'RATE_LIMIT_EXCEEDED',
+        retryAfter: 30
+      });
+    });
+  });
+});
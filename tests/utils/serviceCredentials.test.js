@@ -0,0 +1,103 @@
+process.env.LOG_LEVEL = 'error';
+process.env.SERVICE_NAME = 'orders';
+process.env.SERVICE_JWT_SECRET = 'test-service-secret';
+process.env.JWT_SECRET = 'test-access-secret';
+
+const jwt = require('jsonwebtoken');
+const ServiceApiKey = require('../../models/serviceApiKey');
+const cacheManager = require('../../utils/cache');
+const serviceCredentials = require('../../utils/serviceCredentials');
+
+/**
+ * Stub the registry lookup with the given API key records
+ * @param {Array} records - ServiceApiKey records
+ */
+const mockRegistry = (records) => jest.spyOn(ServiceApiKey, 'find').mockReturnValue({
+  select: () => ({ lean: async () => records })
+});
+
+describe('serviceCredentials', () => {
+  beforeAll(async () => {
+    await cacheManager.initialize({ driver: 'memory' });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await cacheManager.clear();
+    serviceCredentials.serviceName = 'orders';
+    process.env.SERVICE_JWT_SECRET = 'test-service-secret';
+  });
+
+  afterAll(async () => {
+    await cacheManager.close();
+  });
+
+  describe('issueServiceToken', () => {
+    it('always issues tokens as SERVICE_NAME', async () => {
+      const token = serviceCredentials.issueServiceToken({ audience: 'billing', scopes: ['invoices:read'], service: 'admin' });
+
+      expect(jwt.decode(token)).toMatchObject({ sub: 'orders', iss: 'orders', aud: 'billing', scope: 'invoices:read' });
+    });
+
+    it('reports a missing SERVICE_NAME as a configuration error', () => {
+      serviceCredentials.serviceName = null;
+
+      expect(() => serviceCredentials.issueServiceToken({ audience: 'billing' }))
+        .toThrow(expect.objectContaining({ statusCode: 500, code: 'CONFIGURATION_ERROR' }));
+    });
+
+    it('does not fall back to JWT_SECRET', () => {
+      delete process.env.SERVICE_JWT_SECRET;
+
+      expect(() => serviceCredentials.issueServiceToken({ audience: 'billing' }))
+        .toThrow(expect.objectContaining({ code: 'CONFIGURATION_ERROR' }));
+    });
+  });
+
+  describe('verifyServiceToken', () => {
+    it('grants only the requested scopes the registry allows', async () => {
+      mockRegistry([{ scopes: ['orders:read'] }, { scopes: ['orders:write'] }]);
+      const token = jwt.sign(
+        { type: 'service', scope: 'orders:read orders:admin' },
+        process.env.SERVICE_JWT_SECRET,
+        { subject: 'billing', audience: 'orders' }
+      );
+
+      await expect(serviceCredentials.verifyServiceToken(token))
+        .resolves.toEqual({ name: 'billing', scopes: ['orders:read'] });
+    });
+
+    it('grants no scopes to services missing from the registry', async () => {
+      mockRegistry([]);
+      const token = jwt.sign(
+        { type: 'service', scope: '*' },
+        process.env.SERVICE_JWT_SECRET,
+        { subject: 'rogue', audience: 'orders' }
+      );
+
+      await expect(serviceCredentials.verifyServiceToken(token)).resolves.toEqual({ name: 'rogue', scopes: [] });
+    });
+
+    it('rejects tokens signed with the user token secret', async () => {
+      const token = jwt.sign({ type: 'service' }, process.env.JWT_SECRET, { subject: 'billing', audience: 'orders' });
+
+      await expect(serviceCredentials.verifyServiceToken(token)).rejects.toMatchObject({ statusCode: 401 });
+    });
+
+    it('reports a missing SERVICE_NAME as a configuration error', async () => {
+      serviceCredentials.serviceName = null;
+
+      await expect(serviceCredentials.verifyServiceToken('token'))
+        .rejects.toMatchObject({ statusCode: 500, code: 'CONFIGURATION_ERROR' });
+    });
+
+    it('caches registry grants', async () => {
+      const find = mockRegistry([{ scopes: ['orders:read'] }]);
+
+      await serviceCredentials.getGrantedScopes('billing');
+      await serviceCredentials.getGrantedScopes('billing');
+
+      expect(find).toHaveBeenCalledTimes(1);
+    });
+  });
+});
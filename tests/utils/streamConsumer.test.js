@@ -0,0 +1,233 @@
+process.env.LOG_LEVEL = 'error';
+
+const { StreamConsumer } = require('../../utils/streamConsumer');
+const { DEAD_LETTER_STREAM } = require('../../constants/streams');
+
+const STREAM = 'events:order.created';
+
+/**
+ * Compare two stream ids ("<ms>-<seq>")
+ */
+const compareIds = (a, b) => {
+  const [aMs, aSeq] = a.split('-').map(Number);
+  const [bMs, bSeq] = b.split('-').map(Number);
+  return aMs - bMs || aSeq - bSeq;
+};
+
+/**
+ * Minimal node-redis client for one stream and consumer group: entries, the
+ * pending entries list and the commands StreamConsumer uses to claim and
+ * dead-letter messages
+ */
+const createFakeRedis = () => {
+  const entries = new Map();
+  const pending = new Map();
+  const keys = new Map();
+  const deadLetters = [];
+
+  const pendingIds = () => Array.from(pending.keys()).sort(compareIds);
+
+  return {
+    entries,
+    pending,
+    keys,
+    deadLetters,
+
+    addPending(id, message, { consumer, deliveries, idleMs }) {
+      entries.set(id, { id, message });
+      pending.set(id, { consumer, deliveries, deliveredAt: Date.now() - idleMs });
+    },
+
+    async xAutoClaim(stream, group, consumer, minIdleTime, start, { COUNT }) {
+      const ids = pendingIds().filter(id => compareIds(id, start) >= 0);
+      const messages = [];
+      let nextId = '0-0';
+
+      for (const id of ids) {
+        if (messages.length === COUNT) {
+          nextId = id;
+          break;
+        }
+        const entry = pending.get(id);
+        if (Date.now() - entry.deliveredAt < minIdleTime) {
+          continue;
+        }
+        Object.assign(entry, { consumer, deliveries: entry.deliveries + 1, deliveredAt: Date.now() });
+        messages.push(entries.get(id));
+      }
+
+      return { nextId, messages, deletedMessages: [] };
+    },
+
+    async xPendingRange(stream, group, start, end, count, options = {}) {
+      return pendingIds()
+        .filter(id => (start === '-' || compareIds(id, start) >= 0) && (end === '+' || compareIds(id, end) <= 0))
+        .filter(id => !options.consumer || pending.get(id).consumer === options.consumer)
+        .slice(0, count)
+        .map(id => ({ id, owner: pending.get(id).consumer, deliveriesCounter: pending.get(id).deliveries }));
+    },
+
+    async xAck(stream, group, id) {
+      return pending.delete(id) ? 1 : 0;
+    },
+
+    async xAdd(stream, id, message) {
+      deadLetters.push({ stream, message });
+      return `${deadLetters.length}-0`;
+    },
+
+    async get(key) {
+      return keys.get(key) ?? null;
+    },
+
+    async set(key, value, options = {}) {
+      if (options.NX && keys.has(key)) {
+        return null;
+      }
+      keys.set(key, value);
+      return 'OK';
+    },
+
+    async del(key) {
+      return keys.delete(key) ? 1 : 0;
+    }
+  };
+};
+
+const message = (type = 'order.created') => ({
+  eventId: `evt-${Math.random()}`,
+  type,
+  payload: '{"orderId":1}',
+  headers: '{}'
+});
+
+describe('StreamConsumer.claimStale', () => {
+  let redisClient;
+  let consumer;
+  let handler;
+
+  beforeEach(() => {
+    redisClient = createFakeRedis();
+    handler = jest.fn().mockResolvedValue();
+    consumer = new StreamConsumer({
+      group: 'billing',
+      consumer: 'billing-1',
+      redisClient,
+      count: 1,
+      claimIdleMs: 1000,
+      maxDeliveries: 3
+    });
+    consumer.on('order.created', handler);
+    consumer.running = true;
+  });
+
+  it('handles and acknowledges reclaimed messages under the delivery limit', async () => {
+    redisClient.addPending('5-0', message(), { consumer: 'billing-2', deliveries: 1, idleMs: 5000 });
+
+    await consumer.claimStale();
+
+    expect(handler).toHaveBeenCalledWith(expect.objectContaining({ id: '5-0', payload: { orderId: 1 } }));
+    expect(redisClient.pending.has('5-0')).toBe(false);
+    expect(redisClient.deadLetters).toHaveLength(0);
+  });
+
+  it('dead-letters claimed messages over the limit while older ones are still pending', async () => {
+    // Still being handled by this consumer, so not idle enough to be claimed
+    redisClient.addPending('1-0', message(), { consumer: 'billing-1', deliveries: 1, idleMs: 0 });
+    redisClient.addPending('5-0', message(), { consumer: 'billing-2', deliveries: 3, idleMs: 5000 });
+
+    await consumer.claimStale();
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(redisClient.deadLetters).toEqual([
+      { stream: DEAD_LETTER_STREAM, message: expect.objectContaining({ stream: STREAM, group: 'billing', error: 'Too many delivery attempts' }) }
+    ]);
+    expect(redisClient.pending.has('5-0')).toBe(false);
+    expect(redisClient.pending.has('1-0')).toBe(true);
+  });
+
+  it('dead-letters poison messages in later batches', async () => {
+    redisClient.addPending('5-0', message(), { consumer: 'billing-2', deliveries: 3, idleMs: 5000 });
+    redisClient.addPending('6-0', message(), { consumer: 'billing-2', deliveries: 3, idleMs: 5000 });
+    redisClient.addPending('7-0', message(), { consumer: 'billing-2', deliveries: 0, idleMs: 5000 });
+
+    await consumer.claimStale();
+
+    expect(redisClient.deadLetters).toHaveLength(2);
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler).toHaveBeenCalledWith(expect.objectContaining({ id: '7-0' }));
+    expect(redisClient.pending.size).toBe(0);
+  });
+
+  it('leaves messages pending when the handler fails', async () => {
+    handler.mockRejectedValue(new Error('boom'));
+    redisClient.addPending('5-0', message(), { consumer: 'billing-2', deliveries: 1, idleMs: 5000 });
+
+    await consumer.claimStale();
+
+    expect(redisClient.pending.get('5-0')).toMatchObject({ consumer: 'billing-1', deliveries: 2 });
+  });
+});
+
+describe('StreamConsumer.handle', () => {
+  let redisClient;
+  let consumer;
+  let handler;
+
+  /**
+   * Deliver a message to the consumer, as a read or claim would
+   * @param {string} id - Stream id
+   * @param {Object} fields - Message fields
+   */
+  const deliver = (id, fields) => {
+    redisClient.addPending(id, fields, { consumer: 'billing-1', deliveries: 1, idleMs: 0 });
+    return consumer.handle(STREAM, { id, message: fields });
+  };
+
+  beforeEach(() => {
+    redisClient = createFakeRedis();
+    handler = jest.fn().mockResolvedValue();
+    consumer = new StreamConsumer({ group: 'billing', consumer: 'billing-1', redisClient });
+    consumer.on('order.created', handler);
+  });
+
+  it('acknowledges duplicates of a handled event without running the handler again', async () => {
+    const event = message();
+
+    await deliver('5-0', event);
+    await deliver('6-0', event);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(redisClient.pending.size).toBe(0);
+    expect(redisClient.keys.get(`stream:processed:billing:${event.eventId}`)).toBe('done');
+  });
+
+  it('claims an event before handling it so concurrent duplicates stay pending', async () => {
+    const event = message();
+    let finish;
+    handler.mockReturnValueOnce(new Promise(resolve => { finish = resolve; }));
+
+    const first = deliver('5-0', event);
+    await deliver('6-0', event);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(redisClient.pending.has('6-0')).toBe(true);
+
+    finish();
+    await first;
+    expect(redisClient.pending.has('5-0')).toBe(false);
+  });
+
+  it('releases the claim when the handler fails so the event is retried', async () => {
+    const event = message();
+    handler.mockRejectedValueOnce(new Error('boom'));
+
+    await deliver('5-0', event);
+    expect(redisClient.pending.has('5-0')).toBe(true);
+
+    await consumer.handle(STREAM, { id: '5-0', message: event });
+
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(redisClient.pending.has('5-0')).toBe(false);
+  });
+});
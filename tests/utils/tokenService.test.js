@@ -0,0 +1,221 @@
+process.env.LOG_LEVEL = 'error';
+process.env.JWT_SECRET = 'test-access-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const cacheManager = require('../../utils/cache');
+const keyStore = require('../../utils/keyStore');
+const tokenService = require('../../utils/tokenService');
+
+describe('tokenService', () => {
+  beforeAll(async () => {
+    await cacheManager.initialize({ driver: 'memory' });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await cacheManager.clear();
+  });
+
+  afterAll(async () => {
+    await cacheManager.close();
+  });
+
+  describe('rotateRefreshToken', () => {
+    it('issues a new pair in the same family', async () => {
+      const first = await tokenService.issueTokens({ id: 'u1', role: 'user' });
+      const second = await tokenService.rotateRefreshToken(first.refreshToken);
+
+      const decoded = await tokenService.verifyAccessToken(second.accessToken);
+      expect(decoded).toMatchObject({ id: 'u1', role: 'user' });
+      expect(second.refreshToken).not.toBe(first.refreshToken);
+    });
+
+    it('revokes the family when a rotated token is reused', async () => {
+      const first = await tokenService.issueTokens({ id: 'u1' });
+      const second = await tokenService.rotateRefreshToken(first.refreshToken);
+
+      await expect(tokenService.rotateRefreshToken(first.refreshToken))
+        .rejects.toMatchObject({ statusCode: 401, message: 'Refresh token reuse detected' });
+      await expect(tokenService.rotateRefreshToken(second.refreshToken))
+        .rejects.toMatchObject({ statusCode: 401, message: 'Refresh token has been revoked' });
+    });
+
+    it('lets only one of two concurrent rotations succeed', async () => {
+      const { refreshToken } = await tokenService.issueTokens({ id: 'u1' });
+
+      const results = await Promise.allSettled([
+        tokenService.rotateRefreshToken(refreshToken),
+        tokenService.rotateRefreshToken(refreshToken)
+      ]);
+
+      expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+      expect(results.filter(result => result.status === 'rejected')).toHaveLength(1);
+    });
+
+    it('rejects access tokens', async () => {
+      const { accessToken } = await tokenService.issueTokens({ id: 'u1' });
+      await expect(tokenService.rotateRefreshToken(accessToken)).rejects.toMatchObject({ statusCode: 401 });
+    });
+  });
+
+  describe('revocation', () => {
+    it('revokes a single access token by jti', async () => {
+      const { accessToken } = await tokenService.issueTokens({ id: 'u1' });
+      const decoded = await tokenService.verifyAccessToken(accessToken);
+
+      await tokenService.revokeToken(decoded.jti, decoded.exp);
+
+      await expect(tokenService.verifyAccessToken(accessToken))
+        .rejects.toMatchObject({ message: 'Token has been revoked' });
+    });
+
+    it('revokes tokens issued before revokeAllForUser but not those issued in the same second after it', async () => {
+      const now = Date.now();
+      const spy = jest.spyOn(Date, 'now').mockReturnValue(now - 5000);
+      const before = await tokenService.issueTokens({ id: 'u1' });
+
+      spy.mockReturnValue(now);
+      await tokenService.revokeAllForUser('u1');
+      const after = await tokenService.issueTokens({ id: 'u1' });
+
+      await expect(tokenService.verifyAccessToken(before.accessToken))
+        .rejects.toMatchObject({ message: 'Token has been revoked' });
+      await expect(tokenService.verifyAccessToken(after.accessToken)).resolves.toMatchObject({ id: 'u1' });
+      await expect(tokenService.rotateRefreshToken(before.refreshToken))
+        .rejects.toMatchObject({ message: 'Refresh token has been revoked' });
+    });
+
+    it('logs a session out', async () => {
+      const { accessToken, refreshToken } = await tokenService.issueTokens({ id: 'u1' });
+      const decoded = await tokenService.verifyAccessToken(accessToken);
+
+      await tokenService.logout(decoded, refreshToken);
+
+      await expect(tokenService.verifyAccessToken(accessToken)).rejects.toMatchObject({ statusCode: 401 });
+      await expect(tokenService.rotateRefreshToken(refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+    });
+  });
+
+  describe('logout', () => {
+    it('refuses refresh tokens that are not validly signed', async () => {
+      const { accessToken, refreshToken } = await tokenService.issueTokens({ id: 'u1' });
+      const decoded = await tokenService.verifyAccessToken(accessToken);
+      const { fam } = jwt.decode(refreshToken);
+      const forged = jwt.sign({ id: 'u1', fam, type: 'refresh' }, 'not-the-secret', { algorithm: 'HS256' });
+
+      await expect(tokenService.logout(decoded, forged)).rejects.toMatchObject({ statusCode: 401 });
+      await expect(tokenService.rotateRefreshToken(refreshToken)).resolves.toHaveProperty('accessToken');
+    });
+
+    it('refuses refresh tokens of another user', async () => {
+      const attacker = await tokenService.issueTokens({ id: 'u1' });
+      const victim = await tokenService.issueTokens({ id: 'u2' });
+      const decoded = await tokenService.verifyAccessToken(attacker.accessToken);
+
+      await expect(tokenService.logout(decoded, victim.refreshToken)).rejects.toMatchObject({ statusCode: 403 });
+      await expect(tokenService.rotateRefreshToken(victim.refreshToken)).resolves.toHaveProperty('accessToken');
+      await expect(tokenService.verifyAccessToken(attacker.accessToken)).resolves.toMatchObject({ id: 'u1' });
+    });
+  });
+
+  describe('token store failures', () => {
+    const previousMode = tokenService.revocationFailMode;
+
+    afterEach(() => {
+      tokenService.revocationFailMode = previousMode;
+    });
+
+    it('defaults to accepting access tokens while the denylist cannot be read', () => {
+      expect(previousMode).toBe('open');
+    });
+
+    it('accepts access tokens in fail-open mode when reads fail', async () => {
+      const { accessToken } = await tokenService.issueTokens({ id: 'u1' });
+      jest.spyOn(cacheManager.client, 'exists').mockRejectedValue(new Error('READONLY'));
+      jest.spyOn(cacheManager.client, 'get').mockRejectedValue(new Error('READONLY'));
+
+      await expect(tokenService.verifyAccessToken(accessToken)).resolves.toMatchObject({ id: 'u1' });
+    });
+
+    it('accepts access tokens in fail-open mode while the cache is down', async () => {
+      const { accessToken } = await tokenService.issueTokens({ id: 'u1' });
+      cacheManager.isConnected = false;
+
+      try {
+        await expect(tokenService.verifyAccessToken(accessToken)).resolves.toMatchObject({ id: 'u1' });
+      } finally {
+        cacheManager.isConnected = true;
+      }
+    });
+
+    it('answers 503 in fail-closed mode when reads fail', async () => {
+      tokenService.revocationFailMode = 'closed';
+      const { accessToken } = await tokenService.issueTokens({ id: 'u1' });
+      jest.spyOn(cacheManager.client, 'exists').mockRejectedValue(new Error('READONLY'));
+
+      await expect(tokenService.verifyAccessToken(accessToken)).rejects.toMatchObject({ statusCode: 503 });
+    });
+
+    it('answers 503 in fail-closed mode while the cache is down', async () => {
+      tokenService.revocationFailMode = 'closed';
+      const { accessToken } = await tokenService.issueTokens({ id: 'u1' });
+      cacheManager.isConnected = false;
+
+      try {
+        await expect(tokenService.verifyAccessToken(accessToken)).rejects.toMatchObject({ statusCode: 503 });
+      } finally {
+        cacheManager.isConnected = true;
+      }
+    });
+
+    it('refuses to rotate refresh tokens when the family state cannot be read', async () => {
+      const { refreshToken } = await tokenService.issueTokens({ id: 'u1' });
+      jest.spyOn(cacheManager.client, 'exists').mockRejectedValue(new Error('READONLY'));
+
+      await expect(tokenService.rotateRefreshToken(refreshToken)).rejects.toMatchObject({ statusCode: 503 });
+    });
+  });
+
+  describe('verifyToken', () => {
+    const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const pem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+
+    afterEach(() => {
+      keyStore.removeKey('test-es256');
+    });
+
+    it('accepts HS256 and asymmetric tokens by default', async () => {
+      const symmetric = jwt.sign({ id: 'u1' }, process.env.JWT_SECRET, { algorithm: 'HS256' });
+      await expect(tokenService.verifyToken(symmetric, process.env.JWT_SECRET)).resolves.toMatchObject({ id: 'u1' });
+
+      keyStore.addKey({ kid: 'test-es256', alg: 'ES256', privateKey: pem });
+      const asymmetric = tokenService.signToken({ id: 'u1' }, process.env.JWT_SECRET);
+      await expect(tokenService.verifyToken(asymmetric, process.env.JWT_SECRET)).resolves.toMatchObject({ id: 'u1' });
+    });
+
+    it('rejects HS256 tokens when only asymmetric algorithms are allowed', async () => {
+      const symmetric = jwt.sign({ id: 'u1' }, process.env.JWT_SECRET, { algorithm: 'HS256' });
+
+      await expect(tokenService.verifyToken(symmetric, process.env.JWT_SECRET, { allowedAlgorithms: ['RS256', 'ES256'] }))
+        .rejects.toThrow('Algorithm HS256 is not accepted');
+    });
+
+    it('reads the default allow-list from the service configuration', async () => {
+      const symmetric = jwt.sign({ id: 'u1' }, process.env.JWT_SECRET, { algorithm: 'HS256' });
+      const previous = tokenService.allowedAlgorithms;
+      tokenService.allowedAlgorithms = ['ES256'];
+
+      try {
+        await expect(tokenService.verifyAccessToken(symmetric)).rejects.toThrow('Algorithm HS256 is not accepted');
+
+        keyStore.addKey({ kid: 'test-es256', alg: 'ES256', privateKey: pem });
+        const asymmetric = tokenService.signToken({ id: 'u1' }, process.env.JWT_SECRET);
+        await expect(tokenService.verifyAccessToken(asymmetric)).resolves.toMatchObject({ id: 'u1' });
+      } finally {
+        tokenService.allowedAlgorithms = previous;
+      }
+    });
+  });
+});
@@ -0,0 +1,53 @@
+process.env.LOG_LEVEL = 'error';
+
+const express = require('express');
+const request = require('supertest');
+const Joi = require('joi');
+const logger = require('../../logger/logger');
+const { validate, validateQuery } = require('../../utils/validation');
+
+describe('validation middleware', () => {
+  const schema = Joi.object({
+    email: Joi.string().email().required(),
+    password: Joi.string().min(8).required()
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('answers 400 with the failing fields and logs only their paths and messages', async () => {
+    const warn = jest.spyOn(logger, 'warn');
+    const app = express();
+    app.use(express.json());
+    app.post('/', validate(schema), (req, res) => res.json(req.validatedBody));
+
+    const response = await request(app).post('/').send({ email: 'jane@example', password: 'hunter2-hunter2' }).expect(400);
+
+    const errors = [{ field: 'email', message: '"email" must be a valid email' }];
+    expect(response.body).toMatchObject({ code: 'VALIDATION_ERROR', errors });
+    expect(warn).toHaveBeenCalledWith('Validation error:', { errors });
+    expect(JSON.stringify(warn.mock.calls)).not.toMatch(/jane@example|hunter2/);
+  });
+
+  it('does not log rejected query values', async () => {
+    const warn = jest.spyOn(logger, 'warn');
+    const app = express();
+    app.get('/', validateQuery(Joi.object({ page: Joi.number().integer() })), (req, res) => res.json(req.validatedQuery));
+
+    await request(app).get('/?page=secret-value').expect(400);
+
+    expect(warn).toHaveBeenCalledWith('Query validation error:', { errors: [{ field: 'page', message: '"page" must be a number' }] });
+  });
+
+  it('passes the validated value on', async () => {
+    const app = express();
+    app.use(express.json());
+    app.post('/', validate(schema), (req, res) => res.json(req.validatedBody));
+
+    await request(app).post('/').send({ email: 'jane@example.com', password: 'long enough' }).expect(200, {
+      email: 'jane@example.com',
+      password: 'long enough'
+    });
+  });
+});
@@ -1,66 +1,287 @@
-const redis = require('redis');
+const crypto = require('crypto');
+const LRUCache = require('./lruCache');
+const RedisDriver = require('./cacheDrivers/redisDriver');
+const MemoryDriver = require('./cacheDrivers/memoryDriver');
 const logger = require('../logger/logger');
 
+const TAG_PREFIX = 'tag:';
+const INVALIDATION_CHANNEL = 'cache:invalidate';
+
 class CacheManager {
   constructor() {
     this.client = null;
+    this.redisDriver = null;
+    this.memoryDriver = null;
     this.isConnected = false;
+    this.isDegraded = false;
+    this.isClosing = false;
+    this.pendingLoads = new Map();
+    this.pendingTagInvalidations = new Set();
+    this.localCache = null;
+    this.localCacheFilter = null;
+    this.instanceId = crypto.randomBytes(8).toString('hex');
+    this.hits = { l1: 0, l2: 0, misses: 0 };
   }
 
   /**
-   * Initialize Redis client
+   * Initialize the cache driver.
+   *
+   * With the `redis` driver and `fallbackToMemory` (off unless
+   * CACHE_FALLBACK_TO_MEMORY is 'true'), the cache runs degraded on the
+   * in-memory driver while Redis is unreachable and switches back once Redis
+   * is ready again. Entries written while degraded are not carried over. The
+   * fallback is only visible to this process, so state other instances rely
+   * on (revocations, refresh token families, locks) is refused while
+   * `isDegraded` is set, and tag invalidations are replayed on Redis once it
+   * is back.
+   *
+   * @param {Object} options - Options
+   * @param {string} options.driver - 'redis' or 'memory' (defaults to CACHE_DRIVER, then 'redis')
+   * @param {boolean} options.fallbackToMemory - Use the in-memory driver while Redis is down
+   * @param {number} options.connectTimeout - Milliseconds to wait for Redis before falling back
+   * @param {Object} options.localCache - Enable the in-process L1 cache (see enableLocalCache)
    */
-  async initialize() {
+  async initialize(options = {}) {
+    const {
+      driver = process.env.CACHE_DRIVER || 'redis',
+      fallbackToMemory = process.env.CACHE_FALLBACK_TO_MEMORY === 'true',
+      connectTimeout = 5000,
+      localCache = null
+    } = options;
+
     try {
-      this.client = redis.createClient({
-        url: process.env.REDIS_URL || 'redis://localhost:6379',
-        password: process.env.REDIS_PASSWORD,
-        retry_strategy: (options) => {
-          if (options.error && options.error.code === 'ECONNREFUSED') {
-            logger.error('Redis server refused connection');
-            return new Error('Redis server refused connection');
-          }
-          if (options.total_retry_time > 1000 * 60 * 60) {
-            logger.error('Redis retry time exhausted');
-            return new Error('Retry time exhausted');
-          }
-          if (options.attempt > 10) {
-            logger.error('Redis max retry attempts reached');
-            return undefined;
-          }
-          return Math.min(options.attempt * 100, 3000);
-        }
-      });
+      if (driver === 'memory') {
+        this.useDriver(this.getMemoryDriver());
+      } else {
+        await this.connectRedis({ fallbackToMemory, connectTimeout });
+      }
+
+      if (localCache) {
+        await this.enableLocalCache(localCache);
+      }
+    } catch (error) {
+      logger.error('Failed to initialize Redis client:', error);
+      this.isConnected = false;
+    }
+  }
 
-      this.client.on('connect', () => {
-        logger.info('Redis client connected');
-        this.isConnected = true;
-      });
+  /**
+   * Connect the Redis driver, falling back to memory while it is unavailable
+   * @param {Object} options - See initialize()
+   */
+  async connectRedis({ fallbackToMemory, connectTimeout }) {
+    this.redisDriver = new RedisDriver();
 
-      this.client.on('error', (err) => {
-        logger.error('Redis client error:', err);
-        this.isConnected = false;
-      });
+    this.redisDriver.on('ready', () => {
+      logger.info('Redis client connected');
+      this.useDriver(this.redisDriver);
+    });
 
-      this.client.on('end', () => {
-        logger.info('Redis client disconnected');
-        this.isConnected = false;
-      });
+    this.redisDriver.on('error', (err) => {
+      logger.error('Redis client error:', err);
+      this.handleRedisUnavailable(fallbackToMemory);
+    });
 
-      await this.client.connect();
-    } catch (error) {
-      logger.error('Failed to initialize Redis client:', error);
+    this.redisDriver.on('end', () => {
+      logger.info('Redis client disconnected');
+      this.handleRedisUnavailable(fallbackToMemory);
+    });
+
+    const connecting = this.redisDriver.connect().catch(error => {
+      logger.error('Failed to connect to Redis:', error);
+    });
+
+    const timeout = new Promise(resolve => setTimeout(resolve, connectTimeout).unref());
+    await Promise.race([connecting, timeout]);
+
+    if (!this.redisDriver.isReady) {
+      logger.warn('Redis not ready after connect timeout', { connectTimeout });
+      this.handleRedisUnavailable(fallbackToMemory);
+    }
+  }
+
+  /**
+   * Switch away from Redis after a failure
+   * @param {boolean} fallbackToMemory - Whether to run on the in-memory driver
+   */
+  handleRedisUnavailable(fallbackToMemory) {
+    if (this.isClosing || (this.client && this.client !== this.redisDriver)) {
+      return;
+    }
+
+    if (fallbackToMemory) {
+      logger.warn('Cache running degraded on the in-memory driver');
+      this.useDriver(this.getMemoryDriver(), true);
+    } else {
       this.isConnected = false;
     }
   }
 
+  /**
+   * Get the in-memory driver, creating it on first use
+   */
+  getMemoryDriver() {
+    if (!this.memoryDriver) {
+      this.memoryDriver = new MemoryDriver();
+    }
+    return this.memoryDriver;
+  }
+
+  /**
+   * Make a driver the active one
+   * @param {Object} driver - RedisDriver or MemoryDriver
+   * @param {boolean} degraded - Whether this is a fallback
+   */
+  useDriver(driver, degraded = false) {
+    const switched = this.client !== driver;
+
+    this.client = driver;
+    this.isConnected = true;
+    this.isDegraded = degraded;
+
+    if (switched) {
+      // L1 entries may have come from the previous driver
+      if (this.localCache) {
+        this.localCache.clear();
+      }
+      if (driver === this.redisDriver && this.memoryDriver) {
+        this.memoryDriver.flushDb();
+      }
+      logger.info('Cache driver active', { driver: driver.name, degraded });
+      if (!degraded && this.pendingTagInvalidations.size > 0) {
+        this.replayTagInvalidations();
+      }
+    }
+  }
+
+  /**
+   * Apply tag invalidations that were only applied to the in-memory driver
+   * while the cache was degraded
+   */
+  replayTagInvalidations() {
+    const tags = Array.from(this.pendingTagInvalidations);
+    this.pendingTagInvalidations.clear();
+
+    this.invalidateTags(tags).then(deleted => {
+      if (deleted === null) {
+        tags.forEach(tag => this.pendingTagInvalidations.add(tag));
+      } else {
+        logger.info('Replayed tag invalidations from degraded mode', { tags: tags.length, deleted });
+      }
+    });
+  }
+
+  /**
+   * Enable an in-process LRU cache in front of Redis for get()/set().
+   * Instances keep their L1 copies consistent through Redis pub/sub
+   * invalidation messages.
+   * @param {Object} options - Options
+   * @param {number} options.max - Maximum number of L1 entries
+   * @param {number} options.ttl - Maximum L1 time to live in seconds
+   * @param {Array|Function} options.include - Key prefixes or predicate selecting keys kept in L1
+   */
+  async enableLocalCache(options = {}) {
+    const { max = 1000, ttl = 60, include = null } = options;
+
+    this.localCache = new LRUCache({ max, ttl });
+    if (Array.isArray(include)) {
+      this.localCacheFilter = (key) => include.some(prefix => key.startsWith(prefix));
+    } else {
+      this.localCacheFilter = include;
+    }
+
+    // Other instances only share Redis; the subscription completes whenever Redis is reachable
+    if (this.redisDriver) {
+      this.redisDriver.subscribe(INVALIDATION_CHANNEL, (message) => this.handleInvalidation(message))
+        .catch(error => {
+          logger.error('Failed to subscribe to cache invalidations:', error);
+        });
+    }
+
+    logger.info('Local cache enabled', { max, ttl });
+  }
+
+  /**
+   * Whether a key is kept in the L1 cache
+   * @param {string} key - Cache key
+   */
+  usesLocalCache(key) {
+    return !!this.localCache && (!this.localCacheFilter || this.localCacheFilter(key));
+  }
+
+  /**
+   * Drop keys from L1 and tell other instances to do the same
+   * @param {Array} keys - Keys to invalidate, or null to clear everything
+   */
+  async invalidateLocal(keys) {
+    if (!this.localCache) {
+      return;
+    }
+
+    if (keys === null) {
+      this.localCache.clear();
+    } else {
+      keys.forEach(key => this.localCache.delete(key));
+    }
+
+    if (!this.isConnected) {
+      return;
+    }
+
+    try {
+      await this.client.publish(INVALIDATION_CHANNEL, JSON.stringify({
+        origin: this.instanceId,
+        keys
+      }));
+    } catch (error) {
+      logger.error('Failed to publish cache invalidation:', error);
+    }
+  }
+
+  /**
+   * Apply an invalidation message from another instance
+   * @param {string} message - JSON invalidation message
+   */
+  handleInvalidation(message) {
+    try {
+      const { origin, keys } = JSON.parse(message);
+      if (origin === this.instanceId || !this.localCache) {
+        return;
+      }
+
+      if (keys === null) {
+        this.localCache.clear();
+      } else {
+        keys.forEach(key => this.localCache.delete(key));
+      }
+    } catch (error) {
+      logger.error('Invalid cache invalidation message:', error);
+    }
+  }
+
+  /**
+   * L1/L2 hit counters and rates for get()
+   */
+  getHitRates() {
+    const total = this.hits.l1 + this.hits.l2 + this.hits.misses;
+    return {
+      ...this.hits,
+      total,
+      l1HitRate: total > 0 ? this.hits.l1 / total : 0,
+      l2HitRate: total > 0 ? this.hits.l2 / total : 0,
+      hitRate: total > 0 ? (this.hits.l1 + this.hits.l2) / total : 0
+    };
+  }
+
   /**
    * Set a key-value pair in cache
    * @param {string} key - Cache key
    * @param {*} value - Value to cache
    * @param {number} ttl - Time to live in seconds
+   * @param {Object} options - Options
+   * @param {Array} options.tags - Tags for invalidateTags(), e.g. ['job:123', 'employer:45']
    */
-  async set(key, value, ttl = 3600) {
+  async set(key, value, ttl = 3600, options = {}) {
     if (!this.isConnected) {
       logger.warn('Redis not connected, skipping cache set');
       return false;
@@ -68,8 +289,13 @@ class CacheManager {
 
     try {
       const serializedValue = typeof value === 'string' ? value : JSON.stringify(value);
+      await this.addTags(key, options.tags, ttl);
       await this.client.setEx(key, ttl, serializedValue);
-      logger.debug('Cache set', { key, ttl });
+      if (this.usesLocalCache(key)) {
+        await this.invalidateLocal([key]);
+        this.localCache.set(key, serializedValue, ttl);
+      }
+      logger.debug('Cache set', { key, ttl, tags: options.tags });
       return true;
     } catch (error) {
       logger.error('Failed to set cache:', error);
@@ -81,17 +307,36 @@ class CacheManager {
    * Get a value from cache
    * @param {string} key - Cache key
    * @param {boolean} parseJson - Whether to parse JSON response
+   * @param {Object} options - Options
+   * @param {boolean} options.throwOnError - Rethrow command failures instead of returning null
    */
-  async get(key, parseJson = true) {
+  async get(key, parseJson = true, options = {}) {
     if (!this.isConnected) {
       logger.warn('Redis not connected, skipping cache get');
       return null;
     }
 
     try {
-      const value = await this.client.get(key);
-      if (value === null) {
-        return null;
+      const useLocal = this.usesLocalCache(key);
+      let value = useLocal ? this.localCache.get(key) : undefined;
+
+      if (value !== undefined) {
+        this.hits.l1++;
+      } else {
+        let pttl;
+        [value, pttl] = await Promise.all([
+          this.client.get(key),
+          useLocal ? this.client.pTTL(key) : null
+        ]);
+        if (value === null) {
+          this.hits.misses++;
+          return null;
+        }
+        this.hits.l2++;
+        // The L1 copy must not outlive the Redis entry (-1: no expiry)
+        if (useLocal && (pttl === -1 || pttl > 0)) {
+          this.localCache.set(key, value, pttl === -1 ? this.localCache.ttl : pttl / 1000);
+        }
       }
       
       if (parseJson) {
@@ -105,6 +350,9 @@ class CacheManager {
       return value;
     } catch (error) {
       logger.error('Failed to get from cache:', error);
+      if (options.throwOnError) {
+        throw error;
+      }
       return null;
     }
   }
@@ -121,6 +369,7 @@ class CacheManager {
 
     try {
       await this.client.del(key);
+      await this.invalidateLocal([key]);
       logger.debug('Cache deleted', { key });
       return true;
     } catch (error) {
@@ -141,6 +390,7 @@ class CacheManager {
 
     try {
       await this.client.del(keys);
+      await this.invalidateLocal(keys);
       logger.debug('Multiple cache keys deleted', { keys });
       return true;
     } catch (error) {
@@ -152,8 +402,10 @@ class CacheManager {
   /**
    * Check if a key exists in cache
    * @param {string} key - Cache key
+   * @param {Object} options - Options
+   * @param {boolean} options.throwOnError - Rethrow command failures instead of returning false
    */
-  async exists(key) {
+  async exists(key, options = {}) {
     if (!this.isConnected) {
       return false;
     }
@@ -163,6 +415,9 @@ class CacheManager {
       return result === 1;
     } catch (error) {
       logger.error('Failed to check cache existence:', error);
+      if (options.throwOnError) {
+        throw error;
+      }
       return false;
     }
   }
@@ -190,14 +445,17 @@ class CacheManager {
    * @param {string} field - Field name
    * @param {*} value - Field value
    * @param {number} ttl - Time to live in seconds
+   * @param {Object} options - Options
+   * @param {Array} options.tags - Tags for invalidateTags()
    */
-  async hset(key, field, value, ttl = 3600) {
+  async hset(key, field, value, ttl = 3600, options = {}) {
     if (!this.isConnected) {
       return false;
     }
 
     try {
       const serializedValue = typeof value === 'string' ? value : JSON.stringify(value);
+      await this.addTags(key, options.tags, ttl);
       await this.client.hSet(key, field, serializedValue);
       if (ttl > 0) {
         await this.client.expire(key, ttl);
@@ -318,6 +576,292 @@ class CacheManager {
     }
   }
 
+  /**
+   * Atomically delete a key if it still holds the expected value
+   * @param {string} key - Cache key
+   * @param {string} expected - Expected string value
+   * @returns {boolean} Whether the key held the value and was deleted
+   */
+  async compareAndDelete(key, expected) {
+    if (!this.isConnected) {
+      return false;
+    }
+
+    try {
+      const deleted = await this.client.runScript('compareAndDelete', [key], [expected]);
+      if (deleted === 1) {
+        await this.invalidateLocal([key]);
+      }
+      return deleted === 1;
+    } catch (error) {
+      logger.error('Failed to compare and delete cache key:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Cache-aside helper: return the cached value for a key or load, cache and
+   * return it.
+   *
+   * Concurrent calls for the same key within the process share one load, and a
+   * short Redis lock makes other instances wait for the value instead of
+   * calling the loader too. Once `ttl` has passed the stale value is still
+   * served for `staleWhileRevalidate` seconds while it is refreshed in the
+   * background. A loader result of `null`/`undefined` is cached as "not found"
+   * for `negativeTtl` seconds.
+   *
+   * Keys written by wrap() hold an envelope and should only be read through
+   * wrap(); `del` works as usual.
+   *
+   * @param {string} key - Cache key
+   * @param {Function} loader - Async function loading the value on a miss
+   * @param {Object} options - Options
+   * @param {number} options.ttl - Time in seconds the value is fresh
+   * @param {number} options.staleWhileRevalidate - Extra seconds a stale value may be served
+   * @param {number} options.negativeTtl - Time to live in seconds for "not found" results
+   * @param {number} options.lockTimeout - Lock expiry in milliseconds
+   * @param {number} options.lockWait - Maximum time in milliseconds to wait for another instance
+   * @param {Array} options.tags - Tags for invalidateTags()
+   */
+  async wrap(key, loader, options = {}) {
+    const {
+      ttl = 3600,
+      staleWhileRevalidate = 0,
+      negativeTtl = 60,
+      lockTimeout = 10000,
+      lockWait = 5000,
+      tags = []
+    } = options;
+    const settings = { ttl, staleWhileRevalidate, negativeTtl, lockTimeout, lockWait, tags };
+
+    if (!this.isConnected) {
+      logger.warn('Redis not connected, calling loader directly');
+      return loader();
+    }
+
+    const entry = await this.get(key);
+    if (entry && entry.__wrap) {
+      if (entry.staleAt <= Date.now()) {
+        this.load(key, loader, settings, true).catch(error => {
+          logger.error('Failed to refresh stale cache entry:', { key, error: error.message });
+        });
+      }
+      return entry.notFound ? null : entry.value;
+    }
+
+    return this.load(key, loader, settings, false);
+  }
+
+  /**
+   * Load a value for wrap(), coalescing concurrent loads of the same key
+   * @param {string} key - Cache key
+   * @param {Function} loader - Async loader
+   * @param {Object} settings - Resolved wrap() options
+   * @param {boolean} background - Whether this is a stale refresh
+   */
+  load(key, loader, settings, background) {
+    // Background refreshes may resolve without a value, so they are not shared with foreground loads
+    const pendingKey = background ? `refresh:${key}` : key;
+    if (this.pendingLoads.has(pendingKey)) {
+      return this.pendingLoads.get(pendingKey);
+    }
+
+    const promise = (async () => {
+      const lockKey = `lock:${key}`;
+      const token = crypto.randomBytes(16).toString('hex');
+      // No lock can be shared while degraded; pendingLoads still coalesces this process
+      const shared = !this.isDegraded;
+      const locked = shared && await this.acquireLock(lockKey, token, settings.lockTimeout);
+
+      if (shared && !locked) {
+        // Another instance is loading; a background refresh can just skip
+        if (background) {
+          return undefined;
+        }
+
+        const entry = await this.waitForEntry(key, settings.lockWait);
+        if (entry) {
+          return entry.notFound ? null : entry.value;
+        }
+      }
+
+      try {
+        const value = await loader();
+        await this.storeEntry(key, value, settings);
+        return value === undefined ? null : value;
+      } finally {
+        if (locked) {
+          await this.releaseLock(lockKey, token);
+        }
+      }
+    })().finally(() => {
+      this.pendingLoads.delete(pendingKey);
+    });
+
+    this.pendingLoads.set(pendingKey, promise);
+    return promise;
+  }
+
+  /**
+   * Store a wrap() envelope
+   * @param {string} key - Cache key
+   * @param {*} value - Loaded value
+   * @param {Object} settings - Resolved wrap() options
+   */
+  async storeEntry(key, value, settings) {
+    if (value === null || value === undefined) {
+      return this.set(key, {
+        __wrap: true,
+        notFound: true,
+        staleAt: Date.now() + settings.negativeTtl * 1000
+      }, settings.negativeTtl, { tags: settings.tags });
+    }
+
+    return this.set(key, {
+      __wrap: true,
+      value,
+      staleAt: Date.now() + settings.ttl * 1000
+    }, settings.ttl + settings.staleWhileRevalidate, { tags: settings.tags });
+  }
+
+  /**
+   * Poll for a fresh wrap() envelope written by another instance
+   * @param {string} key - Cache key
+   * @param {number} timeout - Maximum wait in milliseconds
+   */
+  async waitForEntry(key, timeout) {
+    const deadline = Date.now() + timeout;
+
+    while (Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+      const entry = await this.get(key);
+      if (entry && entry.__wrap && entry.staleAt > Date.now()) {
+        return entry;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Acquire a short-lived lock. Never granted while disconnected or degraded,
+   * since other instances could not see it.
+   * @param {string} key - Lock key
+   * @param {string} token - Unique lock owner token
+   * @param {number} timeout - Lock expiry in milliseconds
+   */
+  async acquireLock(key, token, timeout) {
+    if (!this.isConnected || this.isDegraded) {
+      return false;
+    }
+
+    try {
+      const result = await this.client.set(key, token, { NX: true, PX: timeout });
+      return result === 'OK';
+    } catch (error) {
+      logger.error('Failed to acquire cache lock:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Release a lock if it is still owned by the token
+   * @param {string} key - Lock key
+   * @param {string} token - Lock owner token
+   */
+  async releaseLock(key, token) {
+    try {
+      await this.client.runScript('releaseLock', [key], [token]);
+      return true;
+    } catch (error) {
+      logger.error('Failed to release cache lock:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Attach tags to a key. Tags are recorded before the value is written so a
+   * concurrent invalidateTags() never misses it.
+   * @param {string} key - Cache key
+   * @param {Array} tags - Tags
+   * @param {number} ttl - Time to live of the key in seconds
+   */
+  async addTags(key, tags, ttl) {
+    if (!tags || tags.length === 0) {
+      return;
+    }
+
+    await this.client.runScript('addTags', [key, ...tags.map(tag => `${TAG_PREFIX}${tag}`)], [ttl]);
+  }
+
+  /**
+   * Atomically delete every key carrying any of the given tags. While
+   * degraded the tags are invalidated in memory and again on Redis once it is
+   * back, and null is returned since Redis may still hold tagged keys.
+   * @param {Array} tags - Tags to invalidate
+   * @returns {number|null} Number of deleted keys, null on failure
+   */
+  async invalidateTags(tags) {
+    if (!this.isConnected) {
+      logger.warn('Redis not connected, skipping tag invalidation');
+      return null;
+    }
+
+    if (!tags || tags.length === 0) {
+      return 0;
+    }
+
+    if (this.isDegraded) {
+      tags.forEach(tag => this.pendingTagInvalidations.add(tag));
+    }
+
+    try {
+      const [deleted, ...keys] = await this.client.runScript('invalidateTags', tags.map(tag => `${TAG_PREFIX}${tag}`));
+      await this.invalidateLocal(keys);
+      logger.debug('Cache tags invalidated', { tags, deleted });
+      return this.isDegraded ? null : deleted;
+    } catch (error) {
+      logger.error('Failed to invalidate cache tags:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Iterate keys matching a pattern with SCAN, without blocking Redis
+   * @param {string} pattern - Key pattern
+   * @param {number} count - SCAN COUNT hint
+   */
+  async *scan(pattern, count = 100) {
+    if (!this.isConnected) {
+      return;
+    }
+
+    for await (const key of this.client.scanIterator({ MATCH: pattern, COUNT: count })) {
+      yield key;
+    }
+  }
+
+  /**
+   * Iterate keys matching a pattern in batches
+   * @param {string} pattern - Key pattern
+   * @param {number} batchSize - Keys per batch
+   */
+  async *scanBatches(pattern, batchSize = 500) {
+    let batch = [];
+
+    for await (const key of this.scan(pattern, batchSize)) {
+      batch.push(key);
+      if (batch.length >= batchSize) {
+        yield batch;
+        batch = [];
+      }
+    }
+
+    if (batch.length > 0) {
+      yield batch;
+    }
+  }
+
   /**
    * Set with pattern matching
    * @param {string} pattern - Key pattern
@@ -330,15 +874,17 @@ class CacheManager {
     }
 
     try {
-      const keys = await this.client.keys(pattern);
-      const pipeline = this.client.pipeline();
-      
-      for (const key of keys) {
-        const serializedValue = typeof value === 'string' ? value : JSON.stringify(value);
-        pipeline.setEx(key, ttl, serializedValue);
+      const serializedValue = typeof value === 'string' ? value : JSON.stringify(value);
+
+      for await (const keys of this.scanBatches(pattern)) {
+        const multi = this.client.multi();
+        for (const key of keys) {
+          multi.setEx(key, ttl, serializedValue);
+        }
+        await multi.exec();
+        await this.invalidateLocal(keys);
       }
-      
-      await pipeline.exec();
+
       return true;
     } catch (error) {
       logger.error('Failed to set pattern:', error);
@@ -356,9 +902,9 @@ class CacheManager {
     }
 
     try {
-      const keys = await this.client.keys(pattern);
-      if (keys.length > 0) {
+      for await (const keys of this.scanBatches(pattern)) {
         await this.client.del(keys);
+        await this.invalidateLocal(keys);
       }
       return true;
     } catch (error) {
@@ -387,7 +933,11 @@ class CacheManager {
           }
           return acc;
         }, {}),
-        memory
+        memory,
+        hits: this.getHitRates(),
+        ...(this.localCache && {
+          local: { size: this.localCache.size, max: this.localCache.max }
+        })
       };
     } catch (error) {
       logger.error('Failed to get cache stats:', error);
@@ -405,6 +955,7 @@ class CacheManager {
 
     try {
       await this.client.flushDb();
+      await this.invalidateLocal(null);
       logger.info('Cache cleared');
       return true;
     } catch (error) {
@@ -417,11 +968,21 @@ class CacheManager {
    * Close Redis connection
    */
   async close() {
-    if (this.client) {
-      await this.client.quit();
-      this.isConnected = false;
+    this.isClosing = true;
+    if (this.redisDriver) {
+      await this.redisDriver.quit();
+      this.redisDriver = null;
       logger.info('Redis connection closed');
     }
+    if (this.memoryDriver) {
+      await this.memoryDriver.quit();
+      this.memoryDriver = null;
+    }
+    this.client = null;
+    this.isConnected = false;
+    this.isDegraded = false;
+    this.pendingTagInvalidations.clear();
+    this.isClosing = false;
   }
 
   /**
@@ -0,0 +1,395 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Convert a Redis glob pattern to a regular expression
+ * @param {string} pattern - Glob pattern (`*`, `?`, `[...]`)
+ */
+const globToRegExp = (pattern) => {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\' && i + 1 < pattern.length) {
+      source += `\\${pattern[++i]}`;
+    } else if (char === '*') {
+      source += '.*';
+    } else if (char === '?') {
+      source += '.';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        source += `[${pattern.slice(i + 1, end)}]`;
+        i = end;
+      }
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+};
+
+/**
+ * In-process cache driver implementing the same interface as RedisDriver.
+ * Supports strings, hashes, sets, counters and key expiry. Used when Redis is
+ * unavailable and in tests.
+ */
+class MemoryDriver {
+  /**
+   * @param {Object} options - Driver options
+   * @param {number} options.sweepInterval - Milliseconds between expired-key sweeps
+   */
+  constructor(options = {}) {
+    const { sweepInterval = 60 * 1000 } = options;
+
+    this.name = 'memory';
+    this.store = new Map();
+    this.events = new EventEmitter();
+    this.sweepTimer = setInterval(() => this.sweep(), sweepInterval);
+    this.sweepTimer.unref();
+  }
+
+  get isReady() {
+    return true;
+  }
+
+  on(event, handler) {
+    this.events.on(event, handler);
+    return this;
+  }
+
+  async connect() {
+    this.events.emit('ready');
+  }
+
+  async quit() {
+    clearInterval(this.sweepTimer);
+    this.store.clear();
+    this.events.removeAllListeners();
+  }
+
+  /**
+   * Remove expired keys
+   */
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.store) {
+      if (entry.expiresAt !== null && entry.expiresAt <= now) {
+        this.store.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Get a live entry, dropping it if expired
+   * @param {string} key - Key
+   * @param {string} type - Expected type; a mismatch throws like Redis WRONGTYPE
+   */
+  entry(key, type = null) {
+    const entry = this.store.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.store.delete(key);
+      return null;
+    }
+    if (type && entry.type !== type) {
+      throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+    }
+    return entry;
+  }
+
+  /**
+   * Get or create an entry of a given type
+   * @param {string} key - Key
+   * @param {string} type - 'string', 'hash' or 'set'
+   */
+  entryFor(key, type) {
+    let entry = this.entry(key, type);
+    if (!entry) {
+      const value = type === 'hash' ? new Map() : type === 'set' ? new Set() : null;
+      entry = { type, value, expiresAt: null };
+      this.store.set(key, entry);
+    }
+    return entry;
+  }
+
+  async get(key) {
+    const entry = this.entry(key, 'string');
+    return entry ? entry.value : null;
+  }
+
+  async set(key, value, options = {}) {
+    const existing = this.entry(key);
+    if (options.NX && existing) {
+      return null;
+    }
+    if (options.XX && !existing) {
+      return null;
+    }
+
+    let expiresAt = null;
+    if (options.EX) {
+      expiresAt = Date.now() + options.EX * 1000;
+    } else if (options.PX) {
+      expiresAt = Date.now() + options.PX;
+    } else if (options.KEEPTTL && existing) {
+      expiresAt = existing.expiresAt;
+    }
+
+    this.store.set(key, { type: 'string', value: String(value), expiresAt });
+    return 'OK';
+  }
+
+  async setEx(key, ttl, value) {
+    return this.set(key, value, { EX: ttl });
+  }
+
+  async del(keys) {
+    let deleted = 0;
+    for (const key of [].concat(keys)) {
+      if (this.entry(key)) {
+        this.store.delete(key);
+        deleted++;
+      }
+    }
+    return deleted;
+  }
+
+  async exists(keys) {
+    return [].concat(keys).filter(key => this.entry(key)).length;
+  }
+
+  async ttl(key) {
+    const entry = this.entry(key);
+    if (!entry) {
+      return -2;
+    }
+    if (entry.expiresAt === null) {
+      return -1;
+    }
+    return Math.max(0, Math.ceil((entry.expiresAt - Date.now()) / 1000));
+  }
+
+  async pTTL(key) {
+    const entry = this.entry(key);
+    if (!entry) {
+      return -2;
+    }
+    if (entry.expiresAt === null) {
+      return -1;
+    }
+    return Math.max(0, entry.expiresAt - Date.now());
+  }
+
+  async expire(key, ttl) {
+    const entry = this.entry(key);
+    if (!entry) {
+      return false;
+    }
+    if (ttl <= 0) {
+      this.store.delete(key);
+    } else {
+      entry.expiresAt = Date.now() + ttl * 1000;
+    }
+    return true;
+  }
+
+  async persist(key) {
+    const entry = this.entry(key);
+    if (!entry || entry.expiresAt === null) {
+      return false;
+    }
+    entry.expiresAt = null;
+    return true;
+  }
+
+  async hSet(key, field, value) {
+    const hash = this.entryFor(key, 'hash').value;
+    const added = hash.has(field) ? 0 : 1;
+    hash.set(field, String(value));
+    return added;
+  }
+
+  async hGet(key, field) {
+    const entry = this.entry(key, 'hash');
+    return entry && entry.value.has(field) ? entry.value.get(field) : null;
+  }
+
+  async hGetAll(key) {
+    const entry = this.entry(key, 'hash');
+    return entry ? Object.fromEntries(entry.value) : {};
+  }
+
+  async hDel(key, field) {
+    const entry = this.entry(key, 'hash');
+    if (!entry) {
+      return 0;
+    }
+    const deleted = entry.value.delete(field) ? 1 : 0;
+    if (entry.value.size === 0) {
+      this.store.delete(key);
+    }
+    return deleted;
+  }
+
+  async incrBy(key, increment) {
+    const entry = this.entryFor(key, 'string');
+    const current = entry.value === null ? 0 : Number(entry.value);
+    if (!Number.isInteger(current)) {
+      throw new Error('ERR value is not an integer or out of range');
+    }
+    entry.value = String(current + increment);
+    return current + increment;
+  }
+
+  async sAdd(key, members) {
+    const set = this.entryFor(key, 'set').value;
+    let added = 0;
+    for (const member of [].concat(members)) {
+      if (!set.has(member)) {
+        set.add(member);
+        added++;
+      }
+    }
+    return added;
+  }
+
+  async sMembers(key) {
+    const entry = this.entry(key, 'set');
+    return entry ? Array.from(entry.value) : [];
+  }
+
+  async *scanIterator(options = {}) {
+    const matcher = options.MATCH ? globToRegExp(options.MATCH) : null;
+    for (const key of Array.from(this.store.keys())) {
+      if (this.entry(key) && (!matcher || matcher.test(key))) {
+        yield key;
+      }
+    }
+  }
+
+  /**
+   * Queue commands and run them in order on exec()
+   */
+  multi() {
+    const queue = [];
+    const transaction = new Proxy({}, {
+      get: (target, command) => {
+        // Not a thenable, so an accidental `await` does not hang
+        if (command === 'then') {
+          return undefined;
+        }
+        if (command === 'exec') {
+          return async () => {
+            const results = [];
+            for (const [name, args] of queue) {
+              results.push(await this[name](...args));
+            }
+            return results;
+          };
+        }
+        return (...args) => {
+          queue.push([command, args]);
+          return transaction;
+        };
+      }
+    });
+    return transaction;
+  }
+
+  async flushDb() {
+    this.store.clear();
+    return 'OK';
+  }
+
+  async ping() {
+    return 'PONG';
+  }
+
+  async info() {
+    return `# Server\r\ndriver:memory\r\n# Keyspace\r\nkeys:${this.store.size}\r\n`;
+  }
+
+  /**
+   * Rough size of the stored data in bytes
+   */
+  async memoryUsage() {
+    let bytes = 0;
+    for (const [key, entry] of this.store) {
+      bytes += key.length;
+      if (entry.type === 'string') {
+        bytes += entry.value.length;
+      } else {
+        for (const item of entry.value) {
+          bytes += Array.isArray(item) ? item[0].length + item[1].length : item.length;
+        }
+      }
+    }
+    return bytes;
+  }
+
+  async publish(channel, message) {
+    const receivers = this.events.listenerCount(`message:${channel}`);
+    this.events.emit(`message:${channel}`, message);
+    return receivers;
+  }
+
+  async subscribe(channel, handler) {
+    this.events.on(`message:${channel}`, handler);
+  }
+
+  /**
+   * JavaScript equivalents of the RedisDriver Lua scripts
+   * @param {string} name - Script name
+   * @param {Array} keys - Script KEYS
+   * @param {Array} args - Script ARGV
+   */
+  async runScript(name, keys, args = []) {
+    switch (name) {
+      case 'releaseLock':
+      case 'compareAndDelete': {
+        if ((await this.get(keys[0])) === String(args[0])) {
+          return this.del(keys[0]);
+        }
+        return 0;
+      }
+
+      case 'addTags': {
+        const ttl = Number(args[0]);
+        const [key, ...tagKeys] = keys;
+        for (const tagKey of tagKeys) {
+          const existed = !!this.entry(tagKey);
+          await this.sAdd(tagKey, key);
+          if (ttl <= 0) {
+            await this.persist(tagKey);
+          } else {
+            const current = await this.ttl(tagKey);
+            if (!existed || (current !== -1 && current < ttl)) {
+              await this.expire(tagKey, ttl);
+            }
+          }
+        }
+        return tagKeys.length;
+      }
+
+      case 'invalidateTags': {
+        let deleted = 0;
+        const members = [];
+        for (const tagKey of keys) {
+          const tagged = await this.sMembers(tagKey);
+          deleted += await this.del(tagged);
+          members.push(...tagged);
+          await this.del(tagKey);
+        }
+        return [deleted, ...members];
+      }
+
+      default:
+        throw new Error(`Unknown script: ${name}`);
+    }
+  }
+}
+
+module.exports = MemoryDriver;
@@ -0,0 +1,248 @@
+const redis = require('redis');
+const logger = require('../../logger/logger');
+
+/**
+ * Lua scripts run by CacheManager through runScript(). The memory driver
+ * implements the same names in JavaScript.
+ */
+const SCRIPTS = {
+  // Deletes a lock only if it is still held by the given token
+  releaseLock: `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0
+`,
+
+  // Deletes a key only if it still holds the expected value; returns 1 if it was deleted
+  compareAndDelete: `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0
+`,
+
+  // Adds KEYS[1] to each tag set in KEYS[2..n]; tag sets live as long as their longest-lived key
+  addTags: `
+local ttl = tonumber(ARGV[1])
+for i = 2, #KEYS do
+  local existed = redis.call('exists', KEYS[i])
+  redis.call('sadd', KEYS[i], KEYS[1])
+  if ttl <= 0 then
+    redis.call('persist', KEYS[i])
+  else
+    local current = redis.call('ttl', KEYS[i])
+    if existed == 0 or (current ~= -1 and current < ttl) then
+      redis.call('expire', KEYS[i], ttl)
+    end
+  end
+end
+return #KEYS - 1
+`,
+
+  // Deletes every key listed in the tag sets KEYS[1..n] and the tag sets themselves.
+  // Returns the number of deleted keys followed by the tagged key names.
+  invalidateTags: `
+local deleted = 0
+local keys = {}
+for i = 1, #KEYS do
+  local members = redis.call('smembers', KEYS[i])
+  for j = 1, #members, 500 do
+    deleted = deleted + redis.call('del', unpack(members, j, math.min(j + 499, #members)))
+  end
+  for _, member in ipairs(members) do
+    table.insert(keys, member)
+  end
+  redis.call('del', KEYS[i])
+end
+table.insert(keys, 1, deleted)
+return keys
+`
+};
+
+/**
+ * Cache driver backed by a node-redis v4 client.
+ *
+ * Drivers expose the node-redis command subset CacheManager uses (get, set,
+ * setEx, del, exists, ttl, pTTL, expire, hSet, hGet, hGetAll, hDel, incrBy,
+ * scanIterator, multi, flushDb, ping, info, memoryUsage, publish) plus
+ * runScript(name, keys, args), subscribe(channel, handler), connect() and quit().
+ */
+class RedisDriver {
+  /**
+   * @param {Object} options - Driver options
+   * @param {string} options.url - Redis URL
+   * @param {string} options.password - Redis password
+   */
+  constructor(options = {}) {
+    const {
+      url = process.env.REDIS_URL || 'redis://localhost:6379',
+      password = process.env.REDIS_PASSWORD
+    } = options;
+
+    this.name = 'redis';
+    this.subscriber = null;
+    this.client = redis.createClient({
+      url,
+      password,
+      socket: {
+        reconnectStrategy: (retries) => {
+          if (retries > 10 && retries % 10 === 0) {
+            logger.warn('Redis still unreachable', { retries });
+          }
+          return Math.min(retries * 100, 3000);
+        }
+      }
+    });
+  }
+
+  get isReady() {
+    return this.client.isReady;
+  }
+
+  on(event, handler) {
+    this.client.on(event, handler);
+    return this;
+  }
+
+  connect() {
+    return this.client.connect();
+  }
+
+  async quit() {
+    if (this.subscriber) {
+      await RedisDriver.closeClient(this.subscriber);
+      this.subscriber = null;
+    }
+    await RedisDriver.closeClient(this.client);
+  }
+
+  /**
+   * Close a node-redis client, dropping it without QUIT if it never connected
+   * @param {Object} client - node-redis client
+   */
+  static async closeClient(client) {
+    if (client.isReady) {
+      await client.quit();
+    } else if (client.isOpen) {
+      await client.disconnect();
+    }
+  }
+
+  get(key) {
+    return this.client.get(key);
+  }
+
+  set(key, value, options) {
+    return this.client.set(key, value, options);
+  }
+
+  setEx(key, ttl, value) {
+    return this.client.setEx(key, ttl, value);
+  }
+
+  del(keys) {
+    return this.client.del(keys);
+  }
+
+  exists(keys) {
+    return this.client.exists(keys);
+  }
+
+  ttl(key) {
+    return this.client.ttl(key);
+  }
+
+  pTTL(key) {
+    return this.client.pTTL(key);
+  }
+
+  expire(key, ttl) {
+    return this.client.expire(key, ttl);
+  }
+
+  hSet(key, field, value) {
+    return this.client.hSet(key, field, value);
+  }
+
+  hGet(key, field) {
+    return this.client.hGet(key, field);
+  }
+
+  hGetAll(key) {
+    return this.client.hGetAll(key);
+  }
+
+  hDel(key, field) {
+    return this.client.hDel(key, field);
+  }
+
+  incrBy(key, increment) {
+    return this.client.incrBy(key, increment);
+  }
+
+  scanIterator(options) {
+    return this.client.scanIterator(options);
+  }
+
+  multi() {
+    return this.client.multi();
+  }
+
+  flushDb() {
+    return this.client.flushDb();
+  }
+
+  ping() {
+    return this.client.ping();
+  }
+
+  info(section) {
+    return section ? this.client.info(section) : this.client.info();
+  }
+
+  /**
+   * Memory used by Redis in bytes
+   */
+  async memoryUsage() {
+    const info = await this.client.info('memory');
+    const match = info.match(/used_memory:(\d+)/);
+    return match ? parseInt(match[1], 10) : null;
+  }
+
+  publish(channel, message) {
+    return this.client.publish(channel, message);
+  }
+
+  /**
+   * Subscribe to a channel on a dedicated connection
+   * @param {string} channel - Channel name
+   * @param {Function} handler - Message handler
+   */
+  async subscribe(channel, handler) {
+    if (!this.subscriber) {
+      this.subscriber = this.client.duplicate();
+      this.subscriber.on('error', (err) => {
+        logger.error('Redis subscriber error:', err);
+      });
+      await this.subscriber.connect();
+    }
+
+    await this.subscriber.subscribe(channel, handler);
+  }
+
+  /**
+   * Run one of the named Lua scripts
+   * @param {string} name - Script name
+   * @param {Array} keys - Script KEYS
+   * @param {Array} args - Script ARGV
+   */
+  runScript(name, keys, args = []) {
+    return this.client.eval(SCRIPTS[name], {
+      keys,
+      arguments: args.map(String)
+    });
+  }
+}
+
+module.exports = RedisDriver;
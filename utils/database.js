@@ -1,32 +1,248 @@
 const mongoose = require('mongoose');
+const Joi = require('joi');
 const logger = require('../logger/logger');
+const ErrorHandler = require('./errorHandler');
+const { sessionContextPlugin, sessionStorage, getCurrentSession } = require('./plugins/sessionContext');
+const { getContext } = require('./requestContext');
+
+// mongoose.connection.readyState values
+const CONNECTION_STATES = {
+  0: 'disconnected',
+  1: 'connected',
+  2: 'connecting',
+  3: 'disconnecting'
+};
+
+const optionsSchema = Joi.object({
+  uri: Joi.string().pattern(/^mongodb(\+srv)?:\/\//).required()
+    .messages({ 'string.pattern.base': 'uri must be a mongodb:// or mongodb+srv:// connection string' }),
+  maxPoolSize: Joi.number().integer().min(1).default(10),
+  minPoolSize: Joi.number().integer().min(0).max(Joi.ref('maxPoolSize')).default(0),
+  maxIdleTimeMS: Joi.number().integer().min(0).default(0),
+  serverSelectionTimeoutMS: Joi.number().integer().min(1).default(5000),
+  connectTimeoutMS: Joi.number().integer().min(1).default(10000),
+  socketTimeoutMS: Joi.number().integer().min(0).default(45000),
+  autoIndex: Joi.boolean().default(process.env.NODE_ENV !== 'production'),
+  readPreference: Joi.string().valid('primary', 'primaryPreferred', 'secondary', 'secondaryPreferred', 'nearest'),
+  appName: Joi.string().allow(null),
+  retries: Joi.number().integer().min(0).default(5),
+  retryDelayMs: Joi.number().integer().min(0).default(1000),
+  maxRetryDelayMs: Joi.number().integer().min(Joi.ref('retryDelayMs')).default(30000)
+});
+
+/**
+ * Read connection options from the environment. Explicit options passed to
+ * connect() take precedence.
+ */
+const optionsFromEnv = () => {
+  const env = {
+    uri: process.env.MONGODB_URI,
+    maxPoolSize: process.env.MONGODB_MAX_POOL_SIZE,
+    minPoolSize: process.env.MONGODB_MIN_POOL_SIZE,
+    serverSelectionTimeoutMS: process.env.MONGODB_SERVER_SELECTION_TIMEOUT_MS,
+    connectTimeoutMS: process.env.MONGODB_CONNECT_TIMEOUT_MS,
+    socketTimeoutMS: process.env.MONGODB_SOCKET_TIMEOUT_MS,
+    retries: process.env.MONGODB_CONNECT_RETRIES,
+    appName: process.env.SERVICE_NAME
+  };
+
+  return Object.fromEntries(Object.entries(env).filter(([, value]) => value !== undefined));
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Driver and mongoose errors; anything else is a bug in the caller's code
+const isMongoError = (error) => error instanceof mongoose.mongo.MongoError || error instanceof mongoose.Error;
+
+const DEFAULT_CONNECTION = 'default';
+
+// Tenant ids become database names, so keep them to a safe character set
+const TENANT_ID_PATTERN = /^[a-zA-Z0-9_-]{1,48}$/;
 
 class Database {
   constructor() {
     this.connection = null;
+    this.options = null;
+    this.isClosing = false;
+    this.connections = new Map();
+    this.schemas = new Map();
+    this.sessionContextEnabled = false;
+  }
+
+  /**
+   * Validate connection options, applying defaults
+   * @param {Object} options - Connection options
+   * @returns {Object} Validated options
+   */
+  validateOptions(options) {
+    const { error, value } = optionsSchema.validate(options, { convert: true, abortEarly: false });
+    if (error) {
+      throw new Error(`Invalid database options: ${error.details.map(detail => detail.message).join(', ')}`);
+    }
+    return value;
+  }
+
+  /**
+   * Connect the default (global mongoose) connection, retrying with
+   * exponential backoff
+   * @param {string} uri - Connection string (defaults to MONGODB_URI)
+   * @param {Object} options - Pool, timeout and retry options (see optionsSchema)
+   */
+  async connect(uri, options = {}) {
+    this.options = this.validateOptions({
+      ...optionsFromEnv(),
+      ...options,
+      ...(uri && { uri })
+    });
+
+    this.isClosing = false;
+    const entry = this.track(DEFAULT_CONNECTION, mongoose.connection, this.options);
+
+    await this.retryConnect(DEFAULT_CONNECTION, this.options, async (connectionUri, connectionOptions) => {
+      this.connection = await mongoose.connect(connectionUri, connectionOptions);
+    });
+
+    entry.hasConnected = true;
+    return this.connection;
   }
 
-  async connect(uri) {
+  /**
+   * Open an additional named connection, e.g. a read replica or another
+   * database, available afterwards through get(name)
+   * @param {string} name - Connection name
+   * @param {string} uri - Connection string
+   * @param {Object} options - Same options as connect(), plus readPreference
+   */
+  async register(name, uri, options = {}) {
+    if (name === DEFAULT_CONNECTION) {
+      throw new Error('Use connect() for the default connection');
+    }
+    if (this.connections.has(name)) {
+      throw new Error(`Database connection ${name} is already registered`);
+    }
+
+    const validated = this.validateOptions({ ...options, uri });
+    const connection = mongoose.createConnection();
+    this.isClosing = false;
+    const entry = this.track(name, connection, validated);
+
     try {
-      this.connection = await mongoose.connect(uri, {
-        useNewUrlParser: true,
-        useUnifiedTopology: true,
+      await this.retryConnect(name, validated, (connectionUri, connectionOptions) => {
+        return connection.openUri(connectionUri, connectionOptions);
       });
-      
-      logger.info('Database connected successfully');
-      return this.connection;
     } catch (error) {
-      logger.error('Database connection failed:', error);
+      this.connections.delete(name);
       throw error;
     }
+
+    entry.hasConnected = true;
+
+    // Models registered before this connection existed are available on it too
+    for (const [modelName, { schema, collection }] of this.schemas) {
+      if (!connection.models[modelName]) {
+        connection.model(modelName, schema, collection);
+      }
+    }
+
+    return connection;
+  }
+
+  /**
+   * Connect with retries and exponential backoff
+   * @param {string} name - Connection name, for logs
+   * @param {Object} options - Validated options
+   * @param {Function} open - async (uri, mongooseOptions) => void
+   */
+  async retryConnect(name, options, open) {
+    const {
+      uri,
+      retries,
+      retryDelayMs,
+      maxRetryDelayMs,
+      appName,
+      ...connectionOptions
+    } = options;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await open(uri, { ...connectionOptions, ...(appName && { appName }) });
+        logger.info('Database connected successfully', { connection: name, attempt });
+        return;
+      } catch (error) {
+        if (attempt > retries || this.isClosing) {
+          logger.error('Database connection failed:', error);
+          throw error;
+        }
+
+        // Jitter keeps restarted instances from reconnecting in lockstep
+        const backoff = Math.min(retryDelayMs * 2 ** (attempt - 1), maxRetryDelayMs);
+        const delay = Math.round(backoff / 2 + Math.random() * backoff / 2);
+        logger.warn('Database connection failed, retrying', {
+          connection: name,
+          attempt,
+          retries,
+          delay,
+          error: error.message
+        });
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Add a connection to the registry and log its lifecycle events. Failures
+   * before the first successful connect are reported by the retry loop instead.
+   * @param {string} name - Connection name
+   * @param {Object} connection - Mongoose connection
+   * @param {Object} options - Validated options
+   */
+  track(name, connection, options) {
+    const existing = this.connections.get(name);
+    if (existing) {
+      existing.options = options;
+      return existing;
+    }
+
+    const entry = { connection, options, hasConnected: false };
+    this.connections.set(name, entry);
+
+    connection.on('disconnected', () => {
+      if (this.isClosing || !entry.hasConnected) {
+        return;
+      }
+      logger.warn('Database disconnected, waiting for the driver to reconnect', { connection: name });
+    });
+
+    connection.on('reconnected', () => {
+      logger.info('Database reconnected', { connection: name });
+    });
+
+    connection.on('error', (error) => {
+      if (!entry.hasConnected) {
+        return;
+      }
+      logger.error('Database connection error:', error);
+    });
+
+    return entry;
   }
 
   async disconnect() {
     try {
+      this.isClosing = true;
+      for (const [name, entry] of this.connections) {
+        if (name === DEFAULT_CONNECTION) {
+          entry.hasConnected = false;
+          continue;
+        }
+        await entry.connection.close();
+        this.connections.delete(name);
+      }
       if (this.connection) {
         await mongoose.disconnect();
-        logger.info('Database disconnected successfully');
+        this.connection = null;
       }
+      logger.info('Database disconnected successfully');
     } catch (error) {
       logger.error('Database disconnection failed:', error);
       throw error;
@@ -36,6 +252,297 @@ class Database {
   getConnection() {
     return this.connection;
   }
+
+  /**
+   * Get a registered connection
+   * @param {string} name - Connection name
+   * @param {Object} options - Options
+   * @param {boolean} options.forRead - Prefer the `<name>:read` connection (e.g. a replica) if registered
+   */
+  get(name = DEFAULT_CONNECTION, options = {}) {
+    const { forRead = false } = options;
+
+    if (forRead && this.connections.has(`${name}:read`)) {
+      return this.connections.get(`${name}:read`).connection;
+    }
+    if (name === DEFAULT_CONNECTION) {
+      return mongoose.connection;
+    }
+
+    const entry = this.connections.get(name);
+    if (!entry) {
+      throw new Error(`Database connection ${name} is not registered`);
+    }
+    return entry.connection;
+  }
+
+  /**
+   * Names of the registered connections
+   */
+  getConnectionNames() {
+    return Array.from(this.connections.keys());
+  }
+
+  /**
+   * Name of the registered connection a session was started on, so writes
+   * can join its transaction. Tenant databases share their connection's
+   * client, so their sessions resolve to that connection.
+   * @param {Object} session - ClientSession
+   * @returns {string|null} Connection name, or null when no connection matches
+   */
+  connectionFor(session) {
+    const names = new Set([DEFAULT_CONNECTION, ...this.connections.keys()]);
+    for (const name of names) {
+      const connection = this.get(name);
+      if (connection.getClient() === session.client) {
+        return name;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Register a model on every connection, current and future, and return the
+   * model bound to one of them
+   * @param {string} name - Model name
+   * @param {Object} schema - Mongoose schema
+   * @param {Object} options - Options
+   * @param {string} options.collection - Collection name
+   * @param {string} options.connection - Connection of the returned model
+   * @param {boolean} options.tenantScoped - Data lives in tenant databases only; getModel() without a tenant throws
+   */
+  model(name, schema, options = {}) {
+    const { collection, connection = DEFAULT_CONNECTION, tenantScoped = false } = options;
+
+    this.schemas.set(name, { schema, collection, tenantScoped });
+    for (const [connectionName, entry] of this.connections) {
+      if (connectionName !== DEFAULT_CONNECTION && !entry.connection.models[name]) {
+        entry.connection.model(name, schema, collection);
+      }
+    }
+    if (!mongoose.connection.models[name]) {
+      mongoose.model(name, schema, collection);
+    }
+
+    return this.getModel(name, { connection, tenantId: null });
+  }
+
+  /**
+   * Get a model registered with model(), bound to a connection and tenant.
+   * Inside a request handled by tenantDatabase(), the request's tenant is used.
+   * Tenant-scoped models throw instead of falling back to the shared database
+   * when no tenant is known, unless `tenantId: null` is passed explicitly.
+   * @param {string} name - Model name
+   * @param {Object} options - Options
+   * @param {string} options.connection - Connection name
+   * @param {boolean} options.forRead - Prefer the connection's read replica
+   * @param {string} options.tenantId - Tenant (defaults to the request context tenant; null for none)
+   * @param {boolean} options.requireTenant - Throw without a tenant (defaults to the model's tenantScoped option)
+   */
+  getModel(name, options = {}) {
+    const {
+      connection = DEFAULT_CONNECTION,
+      forRead = false,
+      tenantId = getContext()?.tenantId,
+      requireTenant = options.tenantId !== null && !!this.schemas.get(name)?.tenantScoped
+    } = options;
+
+    if (!tenantId && requireTenant) {
+      throw ErrorHandler.createErrorWithContext(`Model ${name} requires a tenant`, 400, 'TENANT_REQUIRED');
+    }
+
+    const target = tenantId
+      ? this.forTenant(tenantId, { connection, forRead })
+      : this.get(connection, { forRead });
+
+    if (target.models[name]) {
+      return target.models[name];
+    }
+
+    const registered = this.schemas.get(name);
+    if (!registered) {
+      throw new Error(`Model ${name} is not registered`);
+    }
+    return target.model(name, registered.schema, registered.collection);
+  }
+
+  /**
+   * Database of a tenant on a connection, sharing its connection pool
+   * @param {string} tenantId - Tenant id
+   * @param {Object} options - Options
+   * @param {string} options.connection - Connection name
+   * @param {boolean} options.forRead - Prefer the connection's read replica
+   * @param {string} options.prefix - Database name prefix (default TENANT_DB_PREFIX or 'tenant_')
+   */
+  forTenant(tenantId, options = {}) {
+    const {
+      connection = DEFAULT_CONNECTION,
+      forRead = false,
+      prefix = process.env.TENANT_DB_PREFIX || 'tenant_'
+    } = options;
+
+    if (!TENANT_ID_PATTERN.test(String(tenantId))) {
+      throw ErrorHandler.createValidationError('Invalid tenant id');
+    }
+
+    return this.get(connection, { forRead }).useDb(`${prefix}${tenantId}`, { useCache: true });
+  }
+
+  /**
+   * Register the session context plugin on every schema so queries inside
+   * withTransaction() join the transaction without passing `{ session }`.
+   * Call before models are compiled.
+   */
+  enableSessionContext() {
+    if (!this.sessionContextEnabled) {
+      mongoose.plugin(sessionContextPlugin);
+      this.sessionContextEnabled = true;
+    }
+  }
+
+  /**
+   * Session of the transaction running in the current async context, if any
+   */
+  getSession() {
+    return getCurrentSession();
+  }
+
+  /**
+   * Run a function in a transaction, retrying the whole transaction on
+   * TransientTransactionError and the commit on UnknownTransactionCommitResult.
+   *
+   * Calls made while a transaction is already running on the same connection
+   * join it. A call for another connection starts its own session and
+   * transaction, which commits independently of the outer one. Driver and
+   * mongoose errors are mapped through ErrorHandler.handleMongoError; anything
+   * else (AppErrors, TypeErrors, ...) is rethrown unchanged.
+   *
+   * @param {Function} fn - async (session) => result
+   * @param {Object} options - Options
+   * @param {Object} options.readConcern - Read concern (default snapshot)
+   * @param {Object} options.writeConcern - Write concern (default majority)
+   * @param {string} options.readPreference - Read preference (default primary)
+   * @param {number} options.maxRetries - Retries per failure kind
+   * @param {number} options.maxCommitTimeMS - Commit time limit
+   * @param {string} options.connection - Connection name
+   */
+  async withTransaction(fn, options = {}) {
+    const {
+      connection = DEFAULT_CONNECTION,
+      readConcern = { level: 'snapshot' },
+      writeConcern = { w: 'majority' },
+      readPreference = 'primary',
+      maxRetries = 3,
+      maxCommitTimeMS
+    } = options;
+
+    const target = this.get(connection);
+    const current = getCurrentSession();
+    if (current && current.inTransaction() && current.client === target.getClient()) {
+      return fn(current);
+    }
+
+    const session = await target.startSession();
+    try {
+      for (let attempt = 1; ; attempt++) {
+        session.startTransaction({
+          readConcern,
+          writeConcern,
+          readPreference,
+          ...(maxCommitTimeMS && { maxCommitTimeMS })
+        });
+
+        try {
+          const result = await sessionStorage.run(session, () => fn(session));
+          await this.commitWithRetry(session, maxRetries);
+          return result;
+        } catch (error) {
+          if (session.inTransaction()) {
+            await session.abortTransaction().catch(abortError => {
+              logger.error('Failed to abort transaction:', abortError);
+            });
+          }
+
+          if (error.hasErrorLabel?.('TransientTransactionError') && attempt <= maxRetries) {
+            logger.warn('Transient transaction error, retrying', { attempt, error: error.message });
+            await sleep(Math.min(50 * 2 ** (attempt - 1), 1000));
+            continue;
+          }
+
+          throw isMongoError(error) ? ErrorHandler.handleMongoError(error) : error;
+        }
+      }
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Commit a transaction, retrying while the outcome is unknown
+   * @param {Object} session - ClientSession
+   * @param {number} maxRetries - Maximum retries
+   */
+  async commitWithRetry(session, maxRetries) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await session.commitTransaction();
+        return;
+      } catch (error) {
+        if (error.hasErrorLabel?.('UnknownTransactionCommitResult') && attempt <= maxRetries) {
+          logger.warn('Unknown transaction commit result, retrying commit', { attempt, error: error.message });
+          continue;
+        }
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Whether a connection is open
+   * @param {string} name - Connection name
+   */
+  isConnected(name = DEFAULT_CONNECTION) {
+    return this.get(name).readyState === 1;
+  }
+
+  /**
+   * Ping the primary and report connection and replica-set state
+   * @param {string} name - Connection name
+   * @returns {Object} `{ healthy, state, latencyMs, replicaSet, error }`
+   */
+  async healthCheck(name = DEFAULT_CONNECTION) {
+    const connection = this.get(name);
+    const state = CONNECTION_STATES[connection.readyState] || 'unknown';
+
+    if (connection.readyState !== 1) {
+      return { healthy: false, state };
+    }
+
+    try {
+      const admin = connection.db.admin();
+      const start = Date.now();
+      await admin.command({ ping: 1 }, { readPreference: 'primary' });
+      const latencyMs = Date.now() - start;
+
+      const hello = await admin.command({ hello: 1 });
+
+      return {
+        healthy: true,
+        state,
+        latencyMs,
+        replicaSet: hello.setName ? {
+          name: hello.setName,
+          primary: hello.primary,
+          hosts: hello.hosts,
+          isWritablePrimary: hello.isWritablePrimary,
+          secondary: hello.secondary
+        } : null
+      };
+    } catch (error) {
+      logger.error('Database health check failed:', error);
+      return { healthy: false, state, error: error.message };
+    }
+  }
 }
 
-module.exports = new Database(); 
\ No newline at end of file
+module.exports = new Database();
@@ -23,7 +23,9 @@ class ErrorHandler {
    * @param {Array} errors - Validation errors
    */
   static createValidationError(message = 'Validation failed', errors = []) {
-    return new this.AppError(message, 400, 'VALIDATION_ERROR', true);
+    const error = new this.AppError(message, 400, 'VALIDATION_ERROR', true);
+    error.errors = errors;
+    return error;
   }
 
   /**
@@ -104,6 +106,14 @@ class ErrorHandler {
     return error;
   }
 
+  /**
+   * Create configuration error for missing or invalid service settings
+   * @param {string} message - Error message
+   */
+  static createConfigurationError(message = 'Service is misconfigured') {
+    return new this.AppError(message, 500, 'CONFIGURATION_ERROR', false);
+  }
+
   /**
    * Handle MongoDB errors
    * @param {Error} error - MongoDB error
@@ -126,6 +136,10 @@ class ErrorHandler {
       return this.createDuplicateError(`${field} already exists`);
     }
 
+    if (error.name === 'VersionError') {
+      return this.createConflictError('Resource was modified by someone else, reload and try again');
+    }
+
     if (error.name === 'MongoNetworkError') {
       return this.createServiceUnavailableError('Database connection failed');
     }
@@ -166,9 +180,10 @@ class ErrorHandler {
   }
 
   /**
-   * Global error handler middleware
+   * Global error handler middleware. Express only treats middleware with four
+   * parameters as an error handler, so `_next` stays although it is unused.
    */
-  static globalErrorHandler(err, req, res, next) {
+  static globalErrorHandler(err, req, res, _next) {
     let error = err;
 
     // Log the error
@@ -212,8 +227,11 @@ class ErrorHandler {
       originalError: error.originalError
     } : {};
 
+    // Validation errors are part of the response; other details only in development
+    const errors = error instanceof ErrorHandler.AppError && error.errors?.length > 0 ? error.errors : errorDetails;
+
     // Send error response
-    return ResponseHandler.error(res, statusCode, message, errorDetails, code);
+    return ResponseHandler.error(res, statusCode, message, errors, code);
   }
 
   /**
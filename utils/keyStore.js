@@ -0,0 +1,244 @@
+const crypto = require('crypto');
+const cacheManager = require('./cache');
+const ErrorHandler = require('./errorHandler');
+const logger = require('../logger/logger');
+
+const SUPPORTED_ALGORITHMS = ['RS256', 'ES256'];
+
+class KeyStore {
+  constructor() {
+    this.keys = new Map();
+    this.activeKid = null;
+    this.remoteKeys = new Map();
+    this.lastRemoteRefresh = 0;
+    this.loadedFromEnv = false;
+    this.jwksUrl = process.env.JWKS_URL || null;
+    this.jwksCacheTtl = parseInt(process.env.JWKS_CACHE_TTL, 10) || 60 * 60; // 1 hour
+    this.minRefreshInterval = 30 * 1000; // 30 seconds
+  }
+
+  /**
+   * Load signing keys from the environment.
+   *
+   * JWT_SIGNING_KEYS holds a JSON array of `{ kid, alg, privateKey, publicKey }`
+   * entries (PEM, `\n` escaped). Entries with only a public key are accepted for
+   * verification during rotation. JWT_ACTIVE_KID selects the signing key,
+   * defaulting to the first entry with a private key.
+   */
+  loadFromEnv() {
+    this.loadedFromEnv = true;
+
+    if (!process.env.JWT_SIGNING_KEYS) {
+      return;
+    }
+
+    let entries;
+    try {
+      entries = JSON.parse(process.env.JWT_SIGNING_KEYS);
+    } catch (error) {
+      logger.error('Failed to parse JWT_SIGNING_KEYS:', error);
+      throw ErrorHandler.createValidationError('JWT_SIGNING_KEYS must be a JSON array');
+    }
+
+    for (const entry of entries) {
+      this.addKey({
+        ...entry,
+        privateKey: entry.privateKey?.replace(/\\n/g, '\n'),
+        publicKey: entry.publicKey?.replace(/\\n/g, '\n')
+      });
+    }
+
+    if (process.env.JWT_ACTIVE_KID) {
+      this.setActiveKey(process.env.JWT_ACTIVE_KID);
+    }
+  }
+
+  /**
+   * Lazily load keys from the environment on first use
+   */
+  ensureLoaded() {
+    if (!this.loadedFromEnv) {
+      this.loadFromEnv();
+    }
+  }
+
+  /**
+   * Add a key to the key set
+   * @param {Object} key - Key definition
+   * @param {string} key.kid - Key ID
+   * @param {string} key.alg - RS256 or ES256
+   * @param {string} key.privateKey - PEM private key (omit for verify-only keys)
+   * @param {string} key.publicKey - PEM public key (derived from the private key if omitted)
+   */
+  addKey({ kid, alg = 'RS256', privateKey = null, publicKey = null }) {
+    if (!kid) {
+      throw ErrorHandler.createValidationError('Signing key requires a kid');
+    }
+    if (!SUPPORTED_ALGORITHMS.includes(alg)) {
+      throw ErrorHandler.createValidationError(`Unsupported signing algorithm: ${alg}`);
+    }
+    if (!privateKey && !publicKey) {
+      throw ErrorHandler.createValidationError(`Key ${kid} has no key material`);
+    }
+
+    const privateKeyObject = privateKey ? crypto.createPrivateKey(privateKey) : null;
+    const publicKeyObject = publicKey ? crypto.createPublicKey(publicKey) : crypto.createPublicKey(privateKeyObject);
+
+    this.keys.set(kid, { kid, alg, privateKey: privateKeyObject, publicKey: publicKeyObject });
+
+    if (!this.activeKid && privateKeyObject) {
+      this.activeKid = kid;
+    }
+
+    logger.info('Signing key added', { kid, alg, canSign: !!privateKeyObject });
+  }
+
+  /**
+   * Select the key used to sign new tokens
+   * @param {string} kid - Key ID
+   */
+  setActiveKey(kid) {
+    const key = this.keys.get(kid);
+    if (!key || !key.privateKey) {
+      throw ErrorHandler.createValidationError(`No private key available for kid ${kid}`);
+    }
+    this.activeKid = kid;
+  }
+
+  /**
+   * Remove a retired key; tokens signed with it stop verifying
+   * @param {string} kid - Key ID
+   */
+  removeKey(kid) {
+    this.keys.delete(kid);
+    if (this.activeKid === kid) {
+      const next = Array.from(this.keys.values()).find(key => key.privateKey);
+      this.activeKid = next ? next.kid : null;
+    }
+  }
+
+  /**
+   * Get the active signing key, or null when only symmetric signing is configured
+   */
+  getSigningKey() {
+    this.ensureLoaded();
+    return this.activeKid ? this.keys.get(this.activeKid) : null;
+  }
+
+  /**
+   * Whether tokens may be signed or verified with asymmetric keys
+   */
+  isEnabled() {
+    this.ensureLoaded();
+    return this.keys.size > 0 || !!this.jwksUrl;
+  }
+
+  /**
+   * Resolve the public key for a token's `kid`, from the local key set or the
+   * remote JWKS document
+   * @param {string} kid - Key ID from the token header
+   */
+  async getVerificationKey(kid) {
+    this.ensureLoaded();
+
+    const local = this.keys.get(kid);
+    if (local) {
+      return local;
+    }
+
+    if (!this.jwksUrl || !kid) {
+      return null;
+    }
+
+    if (!this.remoteKeys.has(kid)) {
+      await this.refreshRemoteKeys(kid);
+    }
+
+    return this.remoteKeys.get(kid) || null;
+  }
+
+  /**
+   * Reload the remote JWKS document. The document is shared between instances
+   * through cacheManager; the origin is only fetched when the cached copy
+   * is missing or does not contain the requested key.
+   * @param {string} kid - Key ID that must be present (optional)
+   */
+  async refreshRemoteKeys(kid = null) {
+    const cacheKey = `auth:jwks:${this.jwksUrl}`;
+
+    const cached = await cacheManager.get(cacheKey);
+    if (cached && this.applyJWKS(cached) && (!kid || this.remoteKeys.has(kid))) {
+      return;
+    }
+
+    // Unknown kids must not let callers hammer the JWKS origin
+    if (Date.now() - this.lastRemoteRefresh < this.minRefreshInterval) {
+      return;
+    }
+    this.lastRemoteRefresh = Date.now();
+
+    try {
+      const response = await fetch(this.jwksUrl);
+      if (!response.ok) {
+        throw new Error(`JWKS request failed with status ${response.status}`);
+      }
+
+      const jwks = await response.json();
+      this.applyJWKS(jwks);
+      await cacheManager.set(cacheKey, jwks, this.jwksCacheTtl);
+      logger.info('JWKS refreshed', { url: this.jwksUrl, keys: jwks.keys?.length || 0 });
+    } catch (error) {
+      logger.error('Failed to refresh JWKS:', error);
+      throw ErrorHandler.createExternalServiceError('Failed to fetch signing keys', error);
+    }
+  }
+
+  /**
+   * Replace the remote key set with the keys of a JWKS document
+   * @param {Object} jwks - JWKS document
+   * @returns {boolean} Whether the document contained usable keys
+   */
+  applyJWKS(jwks) {
+    const remoteKeys = new Map();
+
+    for (const jwk of jwks?.keys || []) {
+      if (!jwk.kid || !SUPPORTED_ALGORITHMS.includes(jwk.alg)) {
+        continue;
+      }
+      try {
+        remoteKeys.set(jwk.kid, {
+          kid: jwk.kid,
+          alg: jwk.alg,
+          privateKey: null,
+          publicKey: crypto.createPublicKey({ key: jwk, format: 'jwk' })
+        });
+      } catch (error) {
+        logger.warn('Ignoring invalid JWK', { kid: jwk.kid, error: error.message });
+      }
+    }
+
+    this.remoteKeys = remoteKeys;
+    return remoteKeys.size > 0;
+  }
+
+  /**
+   * Build the JWKS document for the local key set
+   */
+  getJWKS() {
+    this.ensureLoaded();
+
+    return {
+      keys: Array.from(this.keys.values()).map(key => ({
+        ...key.publicKey.export({ format: 'jwk' }),
+        kid: key.kid,
+        alg: key.alg,
+        use: 'sig'
+      }))
+    };
+  }
+}
+
+// Create singleton instance
+const keyStore = new KeyStore();
+
+module.exports = keyStore;
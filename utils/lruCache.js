@@ -0,0 +1,77 @@
+class LRUCache {
+  /**
+   * In-process least-recently-used cache with per-key expiry
+   * @param {Object} options - Cache options
+   * @param {number} options.max - Maximum number of entries
+   * @param {number} options.ttl - Default time to live in seconds
+   */
+  constructor(options = {}) {
+    const { max = 1000, ttl = 60 } = options;
+
+    this.max = max;
+    this.ttl = ttl;
+    this.entries = new Map();
+  }
+
+  /**
+   * Get a value, or undefined when missing or expired
+   * @param {string} key - Cache key
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    // Re-insert to mark the entry as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Set a value
+   * @param {string} key - Cache key
+   * @param {*} value - Value
+   * @param {number} ttl - Time to live in seconds (capped at the default ttl)
+   */
+  set(key, value, ttl = this.ttl) {
+    const effectiveTtl = ttl > 0 ? Math.min(ttl, this.ttl) : this.ttl;
+
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + effectiveTtl * 1000 });
+
+    while (this.entries.size > this.max) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Delete a value
+   * @param {string} key - Cache key
+   */
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  /**
+   * Remove every entry
+   */
+  clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * Number of stored entries, including expired ones not yet evicted
+   */
+  get size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = LRUCache;
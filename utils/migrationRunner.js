@@ -0,0 +1,365 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const os = require('os');
+const mongoose = require('mongoose');
+const Database = require('./database');
+const logger = require('../logger/logger');
+
+const LOCK_ID = 'migration-lock';
+
+// Migration files are named <version>-<name>.js, e.g. 20261019120000-add-user-plan.js
+const FILE_PATTERN = /^(\d+)-([\w-]+)\.js$/;
+
+const MIGRATION_TEMPLATE = `/**
+ * @param {Object} context - { db, mongoose, session, logger }
+ */
+module.exports = {
+  description: '',
+
+  async up({ db }) {
+  },
+
+  async down({ db }) {
+  }
+};
+`;
+
+/**
+ * Runs versioned up/down migrations against the Database connection.
+ *
+ * A migration file exports `up(context)` and `down(context)`, and optionally
+ * `description` and `transaction: true` to run inside Database.withTransaction.
+ * The context holds the native `db`, `mongoose`, the transaction `session`
+ * (if any) and `logger`. Applied migrations are recorded in the `migrations`
+ * collection, in the same transaction as transactional migrations; a lock
+ * document keeps concurrent instances from migrating at the same time.
+ */
+class MigrationRunner {
+  /**
+   * @param {Object} options - Runner options
+   * @param {string} options.directory - Directory of migration files
+   * @param {string} options.collection - Collection recording applied migrations
+   * @param {number} options.lockTtl - Seconds before an abandoned lock can be taken over
+   */
+  constructor(options = {}) {
+    const {
+      directory = process.env.MIGRATIONS_DIR || path.join(process.cwd(), 'migrations'),
+      collection = 'migrations',
+      lockTtl = 10 * 60
+    } = options;
+
+    this.directory = directory;
+    this.collectionName = collection;
+    this.lockTtl = lockTtl;
+    this.owner = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+  }
+
+  get db() {
+    const connection = mongoose.connection;
+    if (connection.readyState !== 1) {
+      throw new Error('Database is not connected');
+    }
+    return connection.db;
+  }
+
+  get collection() {
+    return this.db.collection(this.collectionName);
+  }
+
+  get lockCollection() {
+    return this.db.collection(`${this.collectionName}_lock`);
+  }
+
+  /**
+   * Read migration files, sorted by version
+   * @returns {Array} `{ version, name, file, checksum }`
+   */
+  loadMigrations() {
+    if (!fs.existsSync(this.directory)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.directory)
+      .map(file => {
+        const match = file.match(FILE_PATTERN);
+        if (!match) {
+          return null;
+        }
+        const fullPath = path.join(this.directory, file);
+        return {
+          version: match[1],
+          name: match[2],
+          file: fullPath,
+          checksum: crypto.createHash('sha256').update(fs.readFileSync(fullPath)).digest('hex')
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.version.localeCompare(b.version, undefined, { numeric: true }));
+  }
+
+  /**
+   * Applied and pending migrations
+   * @returns {Object} `{ applied, pending, changed }`; changed lists applied files edited since
+   */
+  async status() {
+    const migrations = this.loadMigrations();
+    const records = await this.collection.find({}).sort({ version: 1 }).toArray();
+    const applied = new Map(records.map(record => [record.version, record]));
+
+    return {
+      applied: records,
+      pending: migrations.filter(migration => !applied.has(migration.version)),
+      changed: migrations.filter(migration => applied.has(migration.version) &&
+        applied.get(migration.version).checksum !== migration.checksum)
+    };
+  }
+
+  /**
+   * Apply pending migrations
+   * @param {Object} options - Options
+   * @param {string} options.to - Stop after this version
+   * @param {boolean} options.dryRun - Report what would run without running it
+   * @param {boolean} options.syncIndexes - Create missing model indexes afterwards
+   * @param {boolean} options.dropIndexes - Also drop indexes no schema declares
+   * @returns {Object} `{ migrations, indexes }` with the versions applied (or planned)
+   */
+  async up(options = {}) {
+    const { to = null, dryRun = false, syncIndexes = true, dropIndexes = false } = options;
+
+    return this.withLock(dryRun, async () => {
+      const { pending, changed } = await this.status();
+      changed.forEach(migration => {
+        logger.warn('Applied migration file has changed', { version: migration.version, name: migration.name });
+      });
+
+      const selected = pending.filter(migration => !to || migration.version.localeCompare(to, undefined, { numeric: true }) <= 0);
+
+      for (const migration of selected) {
+        if (dryRun) {
+          logger.info('Would apply migration', { version: migration.version, name: migration.name });
+          continue;
+        }
+        await this.run(migration, 'up', session => this.collection.insertOne({
+          version: migration.version,
+          name: migration.name,
+          checksum: migration.checksum,
+          appliedAt: new Date()
+        }, { session }));
+      }
+
+      const indexes = syncIndexes ? await this.reconcileIndexes({ dryRun, drop: dropIndexes }) : [];
+      return { migrations: selected.map(({ version, name }) => ({ version, name })), indexes };
+    });
+  }
+
+  /**
+   * Roll back applied migrations, most recent first
+   * @param {Object} options - Options
+   * @param {number} options.steps - Number of migrations to roll back
+   * @param {string} options.to - Roll back every migration after this version (overrides steps)
+   * @param {boolean} options.dryRun - Report what would run without running it
+   * @returns {Object} `{ migrations }` rolled back (or planned)
+   */
+  async down(options = {}) {
+    const { steps = 1, to = null, dryRun = false } = options;
+
+    return this.withLock(dryRun, async () => {
+      const files = new Map(this.loadMigrations().map(migration => [migration.version, migration]));
+      const records = await this.collection.find({}).sort({ version: -1 }).toArray();
+      const selected = to
+        ? records.filter(record => record.version.localeCompare(to, undefined, { numeric: true }) > 0)
+        : records.slice(0, steps);
+
+      for (const record of selected) {
+        const migration = files.get(record.version);
+        if (!migration) {
+          throw new Error(`Migration file for version ${record.version} (${record.name}) not found`);
+        }
+        if (dryRun) {
+          logger.info('Would roll back migration', { version: record.version, name: record.name });
+          continue;
+        }
+        await this.run(migration, 'down', session => this.collection.deleteOne({ version: record.version }, { session }));
+      }
+
+      return { migrations: selected.map(({ version, name }) => ({ version, name })) };
+    });
+  }
+
+  /**
+   * Run one direction of a migration, then record it. A transactional
+   * migration and its record commit or roll back together.
+   * @param {Object} migration - Migration file entry
+   * @param {string} direction - 'up' or 'down'
+   * @param {Function} record - async (session) => void, updates the migrations collection
+   */
+  async run(migration, direction, record) {
+    const definition = require(migration.file);
+    if (typeof definition[direction] !== 'function') {
+      throw new Error(`Migration ${migration.version}-${migration.name} has no ${direction}()`);
+    }
+
+    const start = Date.now();
+    const execute = async (session = null) => {
+      await definition[direction]({
+        db: this.db,
+        mongoose,
+        session,
+        logger
+      });
+      await record(session || undefined);
+    };
+
+    try {
+      if (definition.transaction) {
+        await Database.withTransaction(session => execute(session));
+      } else {
+        await execute();
+      }
+    } catch (error) {
+      logger.error(`Migration ${direction} failed`, { version: migration.version, name: migration.name, error: error.message });
+      throw error;
+    }
+
+    logger.info(`Migration ${direction === 'up' ? 'applied' : 'rolled back'}`, {
+      version: migration.version,
+      name: migration.name,
+      durationMs: Date.now() - start
+    });
+  }
+
+  /**
+   * Create the indexes each registered model's schema declares. Indexes no
+   * schema declares are only reported, and dropped with `drop`, since they
+   * may have been added by hand or by another service.
+   * @param {Object} options - Options
+   * @param {Array} options.models - Model names (defaults to every registered model)
+   * @param {boolean} options.dryRun - Report the differences without applying them
+   * @param {boolean} options.drop - Drop indexes missing from the schema
+   * @returns {Array} `{ model, toCreate, toDrop, dropped }` for models whose indexes differ
+   */
+  async reconcileIndexes(options = {}) {
+    const { models = mongoose.modelNames(), dryRun = false, drop = false } = options;
+    const changes = [];
+
+    for (const name of models) {
+      const model = mongoose.model(name);
+      const { toCreate, toDrop } = await model.diffIndexes();
+      if (toCreate.length === 0 && toDrop.length === 0) {
+        continue;
+      }
+
+      const dropped = drop && !dryRun && toDrop.length > 0;
+      changes.push({ model: name, toCreate, toDrop, dropped });
+      if (dryRun) {
+        logger.info('Would reconcile indexes', { model: name, toCreate, toDrop, drop });
+        continue;
+      }
+
+      if (dropped) {
+        await model.syncIndexes();
+      } else if (toCreate.length > 0) {
+        await model.createIndexes();
+      }
+      if (toDrop.length > 0 && !dropped) {
+        logger.warn('Indexes not declared in the schema were kept', { model: name, toDrop });
+      }
+      logger.info('Indexes reconciled', { model: name, created: toCreate.length, dropped: dropped ? toDrop.length : 0 });
+    }
+
+    return changes;
+  }
+
+  /**
+   * Write a new, empty migration file
+   * @param {string} name - Migration name, e.g. 'add-user-plan'
+   * @returns {string} Path of the new file
+   */
+  create(name) {
+    const slug = String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    if (!slug) {
+      throw new Error('Migration name is required');
+    }
+
+    const version = new Date().toISOString().replace(/\D/g, '').slice(0, 14);
+    const file = path.join(this.directory, `${version}-${slug}.js`);
+
+    fs.mkdirSync(this.directory, { recursive: true });
+    fs.writeFileSync(file, MIGRATION_TEMPLATE, { flag: 'wx' });
+    logger.info('Migration created', { file });
+    return file;
+  }
+
+  /**
+   * Run a function while holding the migration lock. Dry runs only read and
+   * do not take the lock.
+   * @param {boolean} dryRun - Whether this is a dry run
+   * @param {Function} fn - async () => result
+   */
+  async withLock(dryRun, fn) {
+    if (dryRun) {
+      return fn();
+    }
+
+    await this.acquireLock();
+    const heartbeat = setInterval(() => {
+      this.lockCollection.updateOne(
+        { _id: LOCK_ID, owner: this.owner },
+        { $set: { expiresAt: new Date(Date.now() + this.lockTtl * 1000) } }
+      ).catch(error => logger.error('Failed to extend migration lock:', error));
+    }, (this.lockTtl * 1000) / 3);
+    heartbeat.unref();
+
+    try {
+      return await fn();
+    } finally {
+      clearInterval(heartbeat);
+      await this.releaseLock();
+    }
+  }
+
+  /**
+   * Take the migration lock, or take over one whose holder stopped renewing it
+   */
+  async acquireLock() {
+    const now = new Date();
+    const lock = { owner: this.owner, acquiredAt: now, expiresAt: new Date(now.getTime() + this.lockTtl * 1000) };
+
+    try {
+      await this.lockCollection.insertOne({ _id: LOCK_ID, ...lock });
+      return;
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+
+    const result = await this.lockCollection.findOneAndUpdate(
+      { _id: LOCK_ID, expiresAt: { $lt: now } },
+      { $set: lock },
+      { returnDocument: 'after' }
+    );
+
+    if (!result) {
+      const holder = await this.lockCollection.findOne({ _id: LOCK_ID });
+      throw new Error(`Migrations are locked by ${holder?.owner || 'another process'} until ${holder?.expiresAt?.toISOString()}`);
+    }
+    logger.warn('Took over an expired migration lock');
+  }
+
+  /**
+   * Release the migration lock if this runner holds it
+   */
+  async releaseLock() {
+    await this.lockCollection.deleteOne({ _id: LOCK_ID, owner: this.owner });
+  }
+}
+
+/**
+ * Create a migration runner
+ * @param {Object} options - See MigrationRunner
+ */
+const createMigrationRunner = (options = {}) => new MigrationRunner(options);
+
+module.exports = { MigrationRunner, createMigrationRunner };
@@ -0,0 +1,310 @@
+const os = require('os');
+const redis = require('redis');
+const { v4: uuidv4 } = require('uuid');
+const OutboxEvent = require('../models/outboxEvent');
+const Database = require('./database');
+const { getCurrentSession } = require('./plugins/sessionContext');
+const { getRequestId } = require('./requestContext');
+const ErrorHandler = require('./errorHandler');
+const logger = require('../logger/logger');
+const { STREAM_PREFIX, DEAD_LETTER_STREAM } = require('../constants/streams');
+
+// Registered with Database so it can be bound to named connections
+Database.model('OutboxEvent', OutboxEvent.schema, { collection: OutboxEvent.collection.collectionName });
+
+/**
+ * Record an event in the outbox. Call it inside Database.withTransaction()
+ * (or pass `session`) so the event is committed with the domain change; the
+ * relay publishes it afterwards. The event is written on the connection the
+ * session was started on, in its shared database, so it joins transactions on
+ * named and tenant connections too. Without a session it throws unless
+ * `transactional: false` is passed.
+ * @param {string} type - Event type, e.g. 'application.status-changed'
+ * @param {Object} payload - Event payload
+ * @param {Object} options - Options
+ * @param {string} options.aggregateType - Kind of entity the event is about, e.g. 'application'
+ * @param {string} options.aggregateId - Id of that entity
+ * @param {Object} options.headers - Extra metadata; the current request ID is added as `requestId`
+ * @param {Object} options.session - Session (defaults to the current transaction)
+ * @param {string} options.connection - Connection name (defaults to the session's connection)
+ * @param {boolean} options.transactional - Set to false to write without a transaction
+ * @returns {Object} The stored outbox event
+ */
+const addOutboxEvent = async (type, payload, options = {}) => {
+  const {
+    aggregateType = null,
+    aggregateId = null,
+    headers = {},
+    session = getCurrentSession(),
+    transactional = true
+  } = options;
+
+  if (!type) {
+    throw ErrorHandler.createValidationError('Outbox events need a type');
+  }
+  if (!session && transactional) {
+    throw ErrorHandler.createConfigurationError(
+      'Outbox events must be written in a transaction: use Database.withTransaction(), pass a session or set transactional: false'
+    );
+  }
+
+  const connection = options.connection || (session ? Database.connectionFor(session) : 'default');
+  if (!connection) {
+    throw ErrorHandler.createConfigurationError('Outbox event session does not belong to a registered connection');
+  }
+
+  const requestId = getRequestId();
+  const Model = Database.getModel('OutboxEvent', { connection, tenantId: null });
+
+  const [event] = await Model.create([{
+    eventId: uuidv4(),
+    type,
+    aggregateType,
+    aggregateId: aggregateId === null ? null : String(aggregateId),
+    payload,
+    headers: { ...(requestId && { requestId }), ...headers }
+  }], { session });
+
+  return event;
+};
+
+/**
+ * Publishes pending outbox events to Redis Streams.
+ *
+ * Each event goes to the stream `events:<type>`. Failed publishes are retried
+ * with exponential backoff; after `maxAttempts` the event is marked dead and
+ * copied to `events:dead-letter`. Several relays may run at once: events are
+ * claimed one at a time with a lease, so each is published by one relay, and
+ * a crashed relay's events are picked up once its lease runs out.
+ */
+class OutboxRelay {
+  /**
+   * @param {Object} options - Relay options
+   * @param {Object} options.redisClient - node-redis client (created from REDIS_URL if omitted)
+   * @param {number} options.pollInterval - Milliseconds between polls when idle
+   * @param {number} options.batchSize - Events published per poll
+   * @param {number} options.maxAttempts - Attempts before dead-lettering
+   * @param {number} options.retryDelayMs - First retry delay
+   * @param {number} options.leaseMs - How long a claimed event is reserved
+   * @param {number} options.maxStreamLength - Approximate stream length cap
+   * @param {Function} options.streamFor - (event) => stream name
+   * @param {string} options.connection - Connection whose outbox is relayed
+   */
+  constructor(options = {}) {
+    const {
+      redisClient = null,
+      pollInterval = 1000,
+      batchSize = 100,
+      maxAttempts = 10,
+      retryDelayMs = 1000,
+      leaseMs = 30 * 1000,
+      maxStreamLength = 100000,
+      streamFor = (event) => `${STREAM_PREFIX}${event.type}`,
+      connection = 'default'
+    } = options;
+
+    this.redisClient = redisClient;
+    this.ownsClient = !redisClient;
+    this.pollInterval = pollInterval;
+    this.batchSize = batchSize;
+    this.maxAttempts = maxAttempts;
+    this.retryDelayMs = retryDelayMs;
+    this.leaseMs = leaseMs;
+    this.maxStreamLength = maxStreamLength;
+    this.streamFor = streamFor;
+    this.connection = connection;
+    this.relayId = `${os.hostname()}:${process.pid}`;
+    this.timer = null;
+    this.running = false;
+    this.polling = null;
+  }
+
+  /**
+   * Connect to Redis if needed and start polling
+   */
+  async start() {
+    if (this.running) {
+      return;
+    }
+
+    if (!this.redisClient) {
+      this.redisClient = redis.createClient({
+        url: process.env.REDIS_URL || 'redis://localhost:6379',
+        password: process.env.REDIS_PASSWORD
+      });
+      this.redisClient.on('error', (error) => {
+        logger.error('Outbox relay Redis error:', error);
+      });
+      await this.redisClient.connect();
+    }
+
+    this.running = true;
+    logger.info('Outbox relay started', { relayId: this.relayId });
+    this.schedule(0);
+  }
+
+  /**
+   * Stop polling, waiting for the current batch to finish
+   */
+  async stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    await this.polling;
+
+    if (this.ownsClient && this.redisClient) {
+      await this.redisClient.quit();
+      this.redisClient = null;
+    }
+    logger.info('Outbox relay stopped', { relayId: this.relayId });
+  }
+
+  /**
+   * Run the next poll after a delay
+   * @param {number} delay - Milliseconds
+   */
+  schedule(delay) {
+    if (!this.running) {
+      return;
+    }
+
+    this.timer = setTimeout(() => {
+      this.polling = this.processBatch()
+        .catch(error => {
+          logger.error('Outbox relay poll failed:', error);
+          return 0;
+        })
+        .then(published => this.schedule(published === this.batchSize ? 0 : this.pollInterval));
+    }, delay);
+  }
+
+  /**
+   * OutboxEvent model on the relay's connection
+   */
+  getModel() {
+    return Database.getModel('OutboxEvent', { connection: this.connection, tenantId: null });
+  }
+
+  /**
+   * Claim the next due event, or one whose lease has run out
+   */
+  claimNext() {
+    const now = new Date();
+    return this.getModel().findOneAndUpdate(
+      {
+        $or: [
+          { status: 'pending', nextAttemptAt: { $lte: now } },
+          { status: 'processing', lockedUntil: { $lt: now } }
+        ]
+      },
+      {
+        $set: { status: 'processing', lockedUntil: new Date(now.getTime() + this.leaseMs) },
+        $inc: { attempts: 1 }
+      },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+  }
+
+  /**
+   * Publish up to batchSize due events
+   * @returns {number} Number of events handled
+   */
+  async processBatch() {
+    let handled = 0;
+
+    while (handled < this.batchSize && this.running) {
+      const event = await this.claimNext();
+      if (!event) {
+        break;
+      }
+      handled++;
+
+      try {
+        const streamId = await this.publish(this.streamFor(event), event);
+        await this.getModel().updateOne(
+          { _id: event._id },
+          { $set: { status: 'published', publishedAt: new Date(), streamId, lockedUntil: null, lastError: null } }
+        );
+      } catch (error) {
+        await this.handleFailure(event, error);
+      }
+    }
+
+    return handled;
+  }
+
+  /**
+   * Add an event to a stream
+   * @param {string} stream - Stream name
+   * @param {Object} event - Outbox event
+   * @param {Object} extra - Extra string fields
+   * @returns {string} Stream entry id
+   */
+  publish(stream, event, extra = {}) {
+    return this.redisClient.xAdd(stream, '*', {
+      eventId: event.eventId,
+      type: event.type,
+      aggregateType: event.aggregateType || '',
+      aggregateId: event.aggregateId || '',
+      payload: JSON.stringify(event.payload ?? {}),
+      headers: JSON.stringify(event.headers ?? {}),
+      occurredAt: event.createdAt.toISOString(),
+      ...extra
+    }, {
+      TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: this.maxStreamLength }
+    });
+  }
+
+  /**
+   * Schedule a retry, or dead-letter the event once it is out of attempts
+   * @param {Object} event - Outbox event
+   * @param {Error} error - Publish error
+   */
+  async handleFailure(event, error) {
+    if (event.attempts >= this.maxAttempts) {
+      logger.error('Outbox event dead-lettered', { eventId: event.eventId, type: event.type, attempts: event.attempts, error: error.message });
+      await this.getModel().updateOne(
+        { _id: event._id },
+        { $set: { status: 'dead', lockedUntil: null, lastError: error.message } }
+      );
+      await this.publish(DEAD_LETTER_STREAM, event, { error: error.message }).catch(deadLetterError => {
+        logger.error('Failed to copy event to the dead-letter stream:', deadLetterError);
+      });
+      return;
+    }
+
+    const delay = Math.min(this.retryDelayMs * 2 ** (event.attempts - 1), 60 * 60 * 1000);
+    logger.warn('Outbox publish failed, retrying', { eventId: event.eventId, type: event.type, attempts: event.attempts, delay, error: error.message });
+    await this.getModel().updateOne(
+      { _id: event._id },
+      { $set: { status: 'pending', nextAttemptAt: new Date(Date.now() + delay), lockedUntil: null, lastError: error.message } }
+    );
+  }
+
+  /**
+   * Put dead events back in the queue
+   * @param {Object} filter - Extra filter, e.g. `{ type }`
+   * @returns {number} Number of requeued events
+   */
+  async requeueDead(filter = {}) {
+    const result = await this.getModel().updateMany(
+      { ...filter, status: 'dead' },
+      { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date(), lastError: null } }
+    );
+    logger.info('Dead outbox events requeued', { count: result.modifiedCount });
+    return result.modifiedCount;
+  }
+}
+
+/**
+ * Create an outbox relay
+ * @param {Object} options - See OutboxRelay
+ */
+const createOutboxRelay = (options = {}) => new OutboxRelay(options);
+
+module.exports = {
+  addOutboxEvent,
+  OutboxRelay,
+  createOutboxRelay,
+  STREAM_PREFIX,
+  DEAD_LETTER_STREAM
+};
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const { getCurrentUserId } = require('../requestContext');
+
+const UPDATE_HOOKS = [
+  'findOneAndUpdate',
+  'updateMany',
+  'updateOne'
+];
+
+/**
+ * Mongoose plugin recording who created and last changed a document.
+ *
+ * Adds `createdBy`/`updatedBy`, filled from the request context (see the
+ * requestContext middleware) on save and on update queries, and enables
+ * `createdAt`/`updatedAt` timestamps if the schema does not already.
+ *
+ * @param {Object} schema - Mongoose schema
+ * @param {Object} options - Plugin options
+ * @param {*} options.userType - Schema type of the user fields (default ObjectId)
+ * @param {string} options.userRef - Model the user fields refer to
+ */
+const auditPlugin = (schema, options = {}) => {
+  const {
+    userType = mongoose.Schema.Types.ObjectId,
+    userRef = 'User'
+  } = options;
+
+  schema.add({
+    createdBy: { type: userType, ref: userRef, default: null, immutable: true },
+    updatedBy: { type: userType, ref: userRef, default: null }
+  });
+
+  if (!schema.options.timestamps) {
+    schema.set('timestamps', true);
+  }
+
+  schema.pre('save', function setAuditFields() {
+    const userId = getCurrentUserId();
+    if (!userId) {
+      return;
+    }
+    if (this.isNew && !this.createdBy) {
+      this.createdBy = userId;
+    }
+    this.updatedBy = userId;
+  });
+
+  schema.pre(UPDATE_HOOKS, function setUpdatedBy() {
+    const userId = getCurrentUserId();
+    if (!userId) {
+      return;
+    }
+
+    const update = this.getUpdate() || {};
+    // Aggregation pipeline updates are left alone
+    if (Array.isArray(update)) {
+      return;
+    }
+    this.setUpdate({
+      ...update,
+      $set: { ...update.$set, updatedBy: userId },
+      ...(this.getOptions().upsert && { $setOnInsert: { ...update.$setOnInsert, createdBy: userId } })
+    });
+  });
+};
+
+module.exports = auditPlugin;
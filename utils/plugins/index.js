@@ -0,0 +1,11 @@
+const softDeletePlugin = require('./softDelete');
+const auditPlugin = require('./audit');
+const optimisticLockingPlugin = require('./optimisticLocking');
+const { sessionContextPlugin } = require('./sessionContext');
+
+module.exports = {
+  softDeletePlugin,
+  auditPlugin,
+  optimisticLockingPlugin,
+  sessionContextPlugin
+};
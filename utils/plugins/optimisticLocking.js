@@ -0,0 +1,57 @@
+const ErrorHandler = require('../errorHandler');
+
+/**
+ * Mongoose plugin for optimistic concurrency control.
+ *
+ * Saving a document that changed in the database since it was loaded fails
+ * with ErrorHandler.createConflictError instead of overwriting the change.
+ * `Model.updateWithVersion(id, version, update)` does the same for updates
+ * that skip loading the document.
+ *
+ * @param {Object} schema - Mongoose schema
+ */
+const optimisticLockingPlugin = (schema) => {
+  const versionKey = schema.options.versionKey || '__v';
+  if (!schema.options.versionKey) {
+    schema.set('versionKey', versionKey);
+  }
+  schema.set('optimisticConcurrency', true);
+
+  schema.post('save', function mapVersionError(error, doc, next) {
+    if (error.name === 'VersionError') {
+      return next(ErrorHandler.createConflictError(
+        `${this.constructor.modelName} was modified by someone else, reload and try again`
+      ));
+    }
+    next(error);
+  });
+
+  /**
+   * Apply an update only if the document is still at the given version
+   * @param {*} id - Document id
+   * @param {number} version - Version the client last read
+   * @param {Object} update - Update document
+   * @param {Object} options - findOneAndUpdate options
+   * @returns {Object} The updated document
+   */
+  schema.statics.updateWithVersion = async function updateWithVersion(id, version, update, options = {}) {
+    const updated = await this.findOneAndUpdate(
+      { _id: id, [versionKey]: version },
+      { ...update, $inc: { ...update.$inc, [versionKey]: 1 } },
+      { new: true, runValidators: true, ...options }
+    );
+
+    if (updated) {
+      return updated;
+    }
+
+    if (await this.exists({ _id: id })) {
+      throw ErrorHandler.createConflictError(
+        `${this.modelName} was modified by someone else, reload and try again`
+      );
+    }
+    throw ErrorHandler.createNotFoundError(`${this.modelName} not found`);
+  };
+};
+
+module.exports = optimisticLockingPlugin;
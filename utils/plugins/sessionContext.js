@@ -0,0 +1,71 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Holds the ClientSession of the transaction running in the current async context
+const sessionStorage = new AsyncLocalStorage();
+
+const QUERY_HOOKS = [
+  'countDocuments',
+  'deleteMany',
+  'deleteOne',
+  'distinct',
+  'find',
+  'findOne',
+  'findOneAndDelete',
+  'findOneAndReplace',
+  'findOneAndUpdate',
+  'replaceOne',
+  'updateMany',
+  'updateOne'
+];
+
+/**
+ * Session of the transaction running in the current async context, if any
+ */
+const getCurrentSession = () => sessionStorage.getStore() || null;
+
+/**
+ * Current session, if it was started on the given connection's client.
+ * Sessions cannot be used across clients, so operations on other connections
+ * run outside the transaction.
+ * @param {Object} connection - Mongoose connection the operation runs on
+ */
+const sessionFor = (connection) => {
+  const session = getCurrentSession();
+  return session && session.client === connection.getClient() ? session : null;
+};
+
+/**
+ * Mongoose plugin attaching the current transaction session (see
+ * Database.withTransaction) to queries, aggregations and document saves that
+ * do not pass a session themselves and run on the session's connection.
+ * Model.insertMany and Model.bulkWrite still need an explicit `{ session }`.
+ * @param {Object} schema - Mongoose schema
+ */
+const sessionContextPlugin = (schema) => {
+  schema.pre(QUERY_HOOKS, function attachQuerySession() {
+    const session = sessionFor(this.model.db);
+    if (session && !this.getOptions().session) {
+      this.session(session);
+    }
+  });
+
+  schema.pre('aggregate', function attachAggregateSession() {
+    const session = sessionFor(this.model().db);
+    if (session && !this.options.session) {
+      this.session(session);
+    }
+  });
+
+  schema.pre('save', function attachDocumentSession() {
+    const session = sessionFor(this.db);
+    if (session && !this.$session()) {
+      this.$session(session);
+    }
+  });
+};
+
+module.exports = {
+  sessionContextPlugin,
+  sessionStorage,
+  getCurrentSession
+};
@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+const { getCurrentUserId } = require('../requestContext');
+
+const QUERY_HOOKS = [
+  'countDocuments',
+  'distinct',
+  'find',
+  'findOne',
+  'findOneAndDelete',
+  'findOneAndReplace',
+  'findOneAndUpdate',
+  'replaceOne',
+  'updateMany',
+  'updateOne'
+];
+
+/**
+ * Mongoose plugin replacing deletes with a `deletedAt`/`deletedBy` marker.
+ *
+ * Queries and aggregations skip deleted documents unless they filter on
+ * `deletedAt` themselves or use the `withDeleted()`/`onlyDeleted()` query
+ * helpers (`{ withDeleted: true }` for aggregate options). Documents get
+ * `softDelete()` and `restore()`; models get `softDeleteById()`,
+ * `softDeleteMany()` and `restoreMany()`. estimatedDocumentCount() counts
+ * with countDocuments(), since collection metadata includes deleted documents.
+ *
+ * Native deleteOne()/deleteMany() (on the model, queries and documents)
+ * bypass the plugin: they remove matching documents permanently, deleted or
+ * not. Use them only to purge data.
+ *
+ * @param {Object} schema - Mongoose schema
+ * @param {Object} options - Plugin options
+ * @param {*} options.userType - Schema type of deletedBy (default ObjectId)
+ * @param {string} options.userRef - Model deletedBy refers to
+ */
+const softDeletePlugin = (schema, options = {}) => {
+  const {
+    userType = mongoose.Schema.Types.ObjectId,
+    userRef = 'User'
+  } = options;
+
+  schema.add({
+    deletedAt: { type: Date, default: null, index: true },
+    deletedBy: { type: userType, ref: userRef, default: null }
+  });
+
+  schema.query.withDeleted = function withDeleted() {
+    return this.setOptions({ withDeleted: true });
+  };
+
+  schema.query.onlyDeleted = function onlyDeleted() {
+    return this.setOptions({ withDeleted: true }).where({ deletedAt: { $ne: null } });
+  };
+
+  schema.pre(QUERY_HOOKS, function excludeDeleted() {
+    if (this.getOptions().withDeleted || this.getFilter().deletedAt !== undefined) {
+      return;
+    }
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function excludeDeletedFromAggregate() {
+    if (this.options.withDeleted) {
+      return;
+    }
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+
+  /**
+   * Mark the document deleted
+   * @param {*} deletedBy - User deleting it (defaults to the request user)
+   */
+  schema.methods.softDelete = function softDelete(deletedBy = getCurrentUserId()) {
+    this.deletedAt = new Date();
+    this.deletedBy = deletedBy;
+    return this.save();
+  };
+
+  /**
+   * Undo a soft delete
+   */
+  schema.methods.restore = function restore() {
+    this.deletedAt = null;
+    this.deletedBy = null;
+    return this.save();
+  };
+
+  /**
+   * Mark the document with the given id deleted
+   * @param {*} id - Document id
+   * @param {*} deletedBy - User deleting it (defaults to the request user)
+   * @returns {Object|null} The deleted document
+   */
+  schema.statics.softDeleteById = function softDeleteById(id, deletedBy = getCurrentUserId()) {
+    return this.findOneAndUpdate(
+      { _id: id, deletedAt: null },
+      { $set: { deletedAt: new Date(), deletedBy } },
+      { new: true }
+    );
+  };
+
+  /**
+   * Mark every matching document deleted
+   * @param {Object} filter - Query filter
+   * @param {*} deletedBy - User deleting them (defaults to the request user)
+   */
+  schema.statics.softDeleteMany = function softDeleteMany(filter = {}, deletedBy = getCurrentUserId()) {
+    return this.updateMany(
+      { ...filter, deletedAt: null },
+      { $set: { deletedAt: new Date(), deletedBy } }
+    );
+  };
+
+  /**
+   * Undo the soft delete of every matching document
+   * @param {Object} filter - Query filter
+   */
+  schema.statics.restoreMany = function restoreMany(filter = {}) {
+    return this.updateMany(
+      { ...filter, deletedAt: { $ne: null } },
+      { $set: { deletedAt: null, deletedBy: null } }
+    );
+  };
+
+  /**
+   * Count documents that are not deleted
+   * @param {Object} options - countDocuments options
+   */
+  schema.statics.estimatedDocumentCount = function estimatedDocumentCount(options) {
+    return this.countDocuments({}, options);
+  };
+};
+
+module.exports = softDeletePlugin;
@@ -0,0 +1,281 @@
+const logger = require('../logger/logger');
+
+const KEY_PREFIX = 'quota';
+
+const PERIODS = ['daily', 'monthly'];
+
+/**
+ * Checks both quota counters and increments them only if neither would go
+ * over its limit. A negative limit is unlimited.
+ * KEYS: daily key, monthly key
+ * ARGV: daily limit, monthly limit, amount, daily ttl, monthly ttl
+ * Returns `{ allowed, dailyUsed, monthlyUsed }`.
+ */
+const CONSUME_SCRIPT = `
+local amount = tonumber(ARGV[3])
+local limits = { tonumber(ARGV[1]), tonumber(ARGV[2]) }
+local ttls = { tonumber(ARGV[4]), tonumber(ARGV[5]) }
+local used = {}
+local allowed = 1
+
+for i = 1, 2 do
+  used[i] = tonumber(redis.call('GET', KEYS[i]) or '0')
+  if limits[i] >= 0 and used[i] + amount > limits[i] then
+    allowed = 0
+  end
+end
+
+if allowed == 1 then
+  for i = 1, 2 do
+    used[i] = redis.call('INCRBY', KEYS[i], amount)
+    if redis.call('TTL', KEYS[i]) < 0 then
+      redis.call('EXPIRE', KEYS[i], ttls[i])
+    end
+  end
+end
+
+return { allowed, used[1], used[2] }
+`;
+
+/**
+ * Start of the current period and of the next one (UTC)
+ * @param {string} period - 'daily' or 'monthly'
+ * @param {Date} now - Current time
+ */
+const periodBounds = (period, now = new Date()) => {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+
+  if (period === 'daily') {
+    const day = now.getUTCDate();
+    return {
+      id: now.toISOString().slice(0, 10),
+      reset: new Date(Date.UTC(year, month, day + 1))
+    };
+  }
+
+  return {
+    id: now.toISOString().slice(0, 7),
+    reset: new Date(Date.UTC(year, month + 1, 1))
+  };
+};
+
+/**
+ * Daily and monthly quota counters for rate limited features.
+ *
+ * Counters live in the rate limiter's Redis client, or in process memory when
+ * it has none. A subject is whatever the limiter keys on, usually `user:<id>`.
+ */
+class QuotaManager {
+  /**
+   * @param {Object} options - Options
+   * @param {Function} options.getRedisClient - () => node-redis client or null
+   */
+  constructor(options = {}) {
+    const { getRedisClient = () => null } = options;
+
+    this.getRedisClient = getRedisClient;
+    this.memory = new Map();
+  }
+
+  /**
+   * Counter key for a subject, feature and period
+   * @param {string} subject - Quota subject
+   * @param {string} feature - Feature name
+   * @param {string} period - 'daily' or 'monthly'
+   * @param {Date} now - Current time
+   */
+  buildKey(subject, feature, period, now = new Date()) {
+    return `${KEY_PREFIX}:${feature}:${subject}:${period}:${periodBounds(period, now).id}`;
+  }
+
+  /**
+   * Seconds a counter must be kept: until its period resets, plus a day so
+   * usage can still be read just after the reset
+   * @param {string} period - 'daily' or 'monthly'
+   * @param {Date} now - Current time
+   */
+  counterTtl(period, now = new Date()) {
+    const reset = periodBounds(period, now).reset;
+    return Math.ceil((reset.getTime() - now.getTime()) / 1000) + 24 * 60 * 60;
+  }
+
+  /**
+   * Read a counter from the in-memory fallback
+   * @param {string} key - Counter key
+   */
+  readMemory(key) {
+    const entry = this.memory.get(key);
+    if (!entry) {
+      return 0;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.memory.delete(key);
+      return 0;
+    }
+    return entry.value;
+  }
+
+  /**
+   * Write a counter to the in-memory fallback
+   * @param {string} key - Counter key
+   * @param {number} value - Counter value
+   * @param {number} ttl - Time to live in seconds
+   */
+  writeMemory(key, value, ttl) {
+    const existing = this.memory.get(key);
+    const expiresAt = existing && existing.expiresAt > Date.now()
+      ? existing.expiresAt
+      : Date.now() + ttl * 1000;
+    this.memory.set(key, { value, expiresAt });
+
+    // Drop expired counters now and then so the map cannot grow unbounded
+    if (this.memory.size % 1000 === 0) {
+      const now = Date.now();
+      for (const [counterKey, entry] of this.memory) {
+        if (entry.expiresAt <= now) {
+          this.memory.delete(counterKey);
+        }
+      }
+    }
+  }
+
+  /**
+   * Consume quota for a request
+   * @param {string} subject - Quota subject
+   * @param {string} feature - Feature name
+   * @param {Object} limits - `{ daily, monthly }`; null is unlimited
+   * @param {number} amount - Units to consume
+   * @returns {Object} `{ allowed, exceeded, usage }` where exceeded is the first period over its limit
+   */
+  async consume(subject, feature, limits, amount = 1) {
+    const now = new Date();
+    const keys = PERIODS.map(period => this.buildKey(subject, feature, period, now));
+    const quotaLimits = PERIODS.map(period => (limits[period] ?? null));
+    const redisClient = this.getRedisClient();
+
+    let allowed;
+    let used;
+    if (redisClient) {
+      const result = await redisClient.eval(CONSUME_SCRIPT, {
+        keys,
+        arguments: [
+          ...quotaLimits.map(limit => (limit === null ? -1 : limit)),
+          amount,
+          ...PERIODS.map(period => this.counterTtl(period, now))
+        ].map(String)
+      });
+      allowed = result[0] === 1;
+      used = result.slice(1).map(Number);
+    } else {
+      used = keys.map(key => this.readMemory(key));
+      allowed = used.every((value, i) => quotaLimits[i] === null || value + amount <= quotaLimits[i]);
+      if (allowed) {
+        used = used.map((value, i) => {
+          this.writeMemory(keys[i], value + amount, this.counterTtl(PERIODS[i], now));
+          return value + amount;
+        });
+      }
+    }
+
+    const usage = this.formatUsage(used, quotaLimits, now);
+    const exceeded = allowed
+      ? null
+      : PERIODS.find((period, i) => quotaLimits[i] !== null && used[i] + amount > quotaLimits[i]);
+
+    return { allowed, exceeded, usage };
+  }
+
+  /**
+   * Current usage of a feature
+   * @param {string} subject - Quota subject
+   * @param {string} feature - Feature name
+   * @param {Object} limits - `{ daily, monthly }`; null is unlimited
+   */
+  async getUsage(subject, feature, limits = {}) {
+    const now = new Date();
+    const keys = PERIODS.map(period => this.buildKey(subject, feature, period, now));
+    const redisClient = this.getRedisClient();
+
+    let used;
+    if (redisClient) {
+      used = (await redisClient.mGet(keys)).map(value => Number(value) || 0);
+    } else {
+      used = keys.map(key => this.readMemory(key));
+    }
+
+    return this.formatUsage(used, PERIODS.map(period => (limits[period] ?? null)), now);
+  }
+
+  /**
+   * Add to or subtract from a feature's usage, e.g. to refund a failed
+   * request or grant extra quota. Usage never goes below zero.
+   * @param {string} subject - Quota subject
+   * @param {string} feature - Feature name
+   * @param {number} delta - Units to add (negative to subtract)
+   * @param {Array} periods - Periods to adjust
+   */
+  async adjustUsage(subject, feature, delta, periods = PERIODS) {
+    const now = new Date();
+    const redisClient = this.getRedisClient();
+
+    for (const period of periods) {
+      const key = this.buildKey(subject, feature, period, now);
+
+      if (redisClient) {
+        const value = await redisClient.incrBy(key, delta);
+        if (value < 0) {
+          await redisClient.set(key, '0', { KEEPTTL: true });
+        }
+        if ((await redisClient.ttl(key)) < 0) {
+          await redisClient.expire(key, this.counterTtl(period, now));
+        }
+      } else {
+        this.writeMemory(key, Math.max(0, this.readMemory(key) + delta), this.counterTtl(period, now));
+      }
+    }
+
+    logger.info('Quota usage adjusted', { subject, feature, delta, periods });
+  }
+
+  /**
+   * Clear a feature's usage for the current periods
+   * @param {string} subject - Quota subject
+   * @param {string} feature - Feature name
+   * @param {Array} periods - Periods to reset
+   */
+  async resetUsage(subject, feature, periods = PERIODS) {
+    const now = new Date();
+    const keys = periods.map(period => this.buildKey(subject, feature, period, now));
+    const redisClient = this.getRedisClient();
+
+    if (redisClient) {
+      await redisClient.del(keys);
+    } else {
+      keys.forEach(key => this.memory.delete(key));
+    }
+
+    logger.info('Quota usage reset', { subject, feature, periods });
+  }
+
+  /**
+   * Shape counters into `{ daily, monthly }` usage objects
+   * @param {Array} used - Used units per period
+   * @param {Array} limits - Limit per period, null for unlimited
+   * @param {Date} now - Current time
+   */
+  formatUsage(used, limits, now) {
+    return PERIODS.reduce((usage, period, i) => {
+      const limit = limits[i];
+      usage[period] = {
+        limit,
+        used: used[i],
+        remaining: limit === null ? null : Math.max(0, limit - used[i]),
+        reset: periodBounds(period, now).reset
+      };
+      return usage;
+    }, {});
+  }
+}
+
+module.exports = QuotaManager;
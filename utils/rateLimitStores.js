@@ -0,0 +1,601 @@
+const crypto = require('crypto');
+const logger = require('../logger/logger');
+
+/**
+ * Lua implementations of the rate limiting algorithms. Each script takes the
+ * limiter key as KEYS[1], reads the clock from Redis so every instance agrees
+ * on time, and returns `{ totalHits, resetTimeMs }`. A request is denied by
+ * returning a totalHits above the limit without recording it. The `*Refund`
+ * scripts give back the weight of a recorded request.
+ */
+const SCRIPTS = {
+  // ARGV: windowMs, limit, weight, member id
+  slidingLog: `
+local key = KEYS[1]
+local window = tonumber(ARGV[1])
+local limit = tonumber(ARGV[2])
+local weight = tonumber(ARGV[3])
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+
+redis.call('ZREMRANGEBYSCORE', key, '-inf', now - window)
+
+local used = 0
+for _, member in ipairs(redis.call('ZRANGE', key, 0, -1)) do
+  used = used + tonumber(string.match(member, ':([^:]+)$'))
+end
+
+local allowed = used + weight <= limit
+if allowed then
+  redis.call('ZADD', key, now, ARGV[4] .. ':' .. ARGV[3])
+  redis.call('PEXPIRE', key, window)
+end
+
+local reset = now + window
+local oldest = redis.call('ZRANGE', key, 0, 0, 'WITHSCORES')
+if oldest[2] then
+  reset = tonumber(oldest[2]) + window
+end
+
+return { tostring(used + weight), tostring(reset) }
+`,
+
+  // ARGV: windowMs, limit, weight
+  slidingCounter: `
+local key = KEYS[1]
+local window = tonumber(ARGV[1])
+local limit = tonumber(ARGV[2])
+local weight = tonumber(ARGV[3])
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+
+local current = math.floor(now / window)
+local elapsed = (now % window) / window
+local data = redis.call('HMGET', key, 'w', 'c', 'p')
+local stored = tonumber(data[1])
+local count = tonumber(data[2]) or 0
+local previous = tonumber(data[3]) or 0
+
+if stored ~= current then
+  if stored == current - 1 then
+    previous = count
+  else
+    previous = 0
+  end
+  count = 0
+end
+
+local estimate = previous * (1 - elapsed) + count
+if estimate + weight <= limit then
+  count = count + weight
+end
+
+redis.call('HSET', key, 'w', current, 'c', count, 'p', previous)
+redis.call('PEXPIRE', key, window * 2)
+
+return { tostring(math.ceil(estimate + weight)), tostring((current + 1) * window) }
+`,
+
+  // ARGV: windowMs, weight, index of the window the request was counted in (-1: latest)
+  slidingCounterRefund: `
+local key = KEYS[1]
+local weight = tonumber(ARGV[2])
+local target = tonumber(ARGV[3])
+local data = redis.call('HMGET', key, 'w', 'c', 'p')
+local stored = tonumber(data[1])
+if not stored then
+  return 0
+end
+if target < 0 then
+  target = stored
+end
+
+if target == stored then
+  redis.call('HSET', key, 'c', tostring(math.max(0, tonumber(data[2]) - weight)))
+elseif target == stored - 1 then
+  redis.call('HSET', key, 'p', tostring(math.max(0, tonumber(data[3]) - weight)))
+end
+return 1
+`,
+
+  // ARGV: capacity, refill rate in tokens per ms, weight
+  tokenBucket: `
+local key = KEYS[1]
+local capacity = tonumber(ARGV[1])
+local rate = tonumber(ARGV[2])
+local weight = tonumber(ARGV[3])
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+
+local data = redis.call('HMGET', key, 't', 'ts')
+local tokens = tonumber(data[1]) or capacity
+local updated = tonumber(data[2]) or now
+tokens = math.min(capacity, tokens + (now - updated) * rate)
+
+local used
+local reset
+if tokens >= weight then
+  tokens = tokens - weight
+  used = math.ceil(capacity - tokens)
+  reset = now + math.ceil((capacity - tokens) / rate)
+else
+  used = capacity + weight
+  reset = now + math.ceil((weight - tokens) / rate)
+end
+
+redis.call('HSET', key, 't', tostring(tokens), 'ts', now)
+redis.call('PEXPIRE', key, math.ceil(capacity / rate))
+
+return { tostring(used), tostring(reset) }
+`,
+
+  // ARGV: capacity, refill rate in tokens per ms, weight
+  tokenBucketRefund: `
+local key = KEYS[1]
+local capacity = tonumber(ARGV[1])
+local rate = tonumber(ARGV[2])
+local weight = tonumber(ARGV[3])
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+
+local data = redis.call('HMGET', key, 't', 'ts')
+if not data[1] then
+  return 0
+end
+local tokens = math.min(capacity, tonumber(data[1]) + (now - tonumber(data[2])) * rate + weight)
+
+redis.call('HSET', key, 't', tostring(tokens), 'ts', now)
+return 1
+`
+};
+
+/**
+ * Base class for express-rate-limit stores running an algorithm atomically in
+ * Redis, or in process memory when no Redis client is available.
+ *
+ * Subclasses provide `script`, `scriptArguments(weight)`,
+ * `hitMemory(key, weight, now)`, `get(key)` and `refund(key, weight, resetTime)`.
+ */
+class AlgorithmStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {Object} options.redisClient - node-redis client, or null for in-memory
+   * @param {string} options.prefix - Key prefix
+   * @param {number} options.windowMs - Window length in milliseconds
+   * @param {number} options.limit - Requests allowed per window
+   */
+  constructor(options = {}) {
+    const {
+      redisClient = null,
+      prefix = 'rl:',
+      windowMs = null,
+      limit = null
+    } = options;
+
+    this.redisClient = redisClient;
+    this.prefix = prefix;
+    this.windowMs = windowMs;
+    this.limit = limit;
+    this.localKeys = !redisClient;
+    this.memory = new Map();
+    this.deniedHits = new Map();
+    this.refundsDenied = false;
+    this.cleanupTimer = null;
+  }
+
+  /**
+   * Most a key may use at once; hits above it were denied
+   */
+  get capacity() {
+    return this.limit;
+  }
+
+  /**
+   * Called by express-rate-limit with the limiter options
+   * @param {Object} options - Limiter options
+   */
+  init(options) {
+    this.windowMs = this.windowMs || options.windowMs;
+    if (this.limit === null && typeof options.limit === 'number') {
+      this.limit = options.limit;
+    }
+    // With skipFailedRequests, express-rate-limit calls decrement() for 429s too
+    this.refundsDenied = this.refundsDenied || !!options.skipFailedRequests;
+
+    if (!this.redisClient && !this.cleanupTimer) {
+      this.cleanupTimer = setInterval(() => this.cleanup(), this.windowMs);
+      this.cleanupTimer.unref();
+    }
+  }
+
+  /**
+   * Record one request
+   * @param {string} key - Client key
+   */
+  async increment(key) {
+    const result = await this.hit(key, 1);
+    if (this.refundsDenied && result.totalHits > this.capacity) {
+      this.deniedHits.set(key, (this.deniedHits.get(key) || 0) + 1);
+    }
+    return result;
+  }
+
+  /**
+   * Undo one request counted by increment(). Denied requests were never
+   * recorded, so the decrement express-rate-limit sends for their 429 is
+   * dropped instead of refunding an allowed request.
+   * @param {string} key - Client key
+   */
+  async decrement(key) {
+    const denied = this.deniedHits.get(key);
+    if (denied) {
+      if (denied === 1) {
+        this.deniedHits.delete(key);
+      } else {
+        this.deniedHits.set(key, denied - 1);
+      }
+      return;
+    }
+    await this.refund(key, 1);
+  }
+
+  /**
+   * Record a request of a given weight
+   * @param {string} key - Client key
+   * @param {number} weight - Request weight
+   * @returns {Object} `{ totalHits, resetTime }`
+   */
+  async hit(key, weight) {
+    if (!this.redisClient) {
+      return this.hitMemory(key, weight, Date.now());
+    }
+
+    try {
+      const [totalHits, resetTime] = await this.redisClient.eval(this.script, {
+        keys: [`${this.prefix}${key}`],
+        arguments: this.scriptArguments(weight).map(String)
+      });
+      return { totalHits: Number(totalHits), resetTime: new Date(Number(resetTime)) };
+    } catch (error) {
+      logger.error('Rate limit store error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reset a client key
+   * @param {string} key - Client key
+   */
+  async resetKey(key) {
+    this.deniedHits.delete(key);
+    if (!this.redisClient) {
+      this.memory.delete(key);
+      return;
+    }
+    await this.redisClient.del(`${this.prefix}${key}`);
+  }
+
+  /**
+   * Remove in-memory state that can no longer affect a decision
+   */
+  cleanup() {
+    const now = Date.now();
+    for (const [key, state] of this.memory) {
+      if (state.expiresAt <= now) {
+        this.memory.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Stop the in-memory cleanup timer
+   */
+  shutdown() {
+    if (this.cleanupTimer) {
+      clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
+    }
+  }
+}
+
+/**
+ * Sliding-window log: exact count of the requests in the last window
+ */
+class SlidingWindowLogStore extends AlgorithmStore {
+  get script() {
+    return SCRIPTS.slidingLog;
+  }
+
+  scriptArguments(weight) {
+    return [this.windowMs, this.limit, weight, crypto.randomBytes(8).toString('hex')];
+  }
+
+  hitMemory(key, weight, now) {
+    const state = this.memory.get(key) || { entries: [], expiresAt: 0 };
+    state.entries = state.entries.filter(entry => entry.timestamp > now - this.windowMs);
+
+    const used = state.entries.reduce((sum, entry) => sum + entry.weight, 0);
+    if (used + weight <= this.limit) {
+      state.entries.push({ timestamp: now, weight });
+      state.expiresAt = now + this.windowMs;
+    }
+    this.memory.set(key, state);
+
+    const oldest = state.entries[0];
+    return {
+      totalHits: used + weight,
+      resetTime: new Date((oldest ? oldest.timestamp : now) + this.windowMs)
+    };
+  }
+
+  /**
+   * Current usage of a key without recording a request
+   * @param {string} key - Client key
+   */
+  async get(key) {
+    const now = Date.now();
+    let entries;
+    if (!this.redisClient) {
+      entries = this.memory.get(key)?.entries || [];
+    } else {
+      const members = await this.redisClient.zRangeWithScores(`${this.prefix}${key}`, 0, -1);
+      entries = members.map(({ value, score }) => ({
+        timestamp: score,
+        weight: Number(value.slice(value.lastIndexOf(':') + 1))
+      }));
+    }
+
+    entries = entries.filter(entry => entry.timestamp > now - this.windowMs);
+    if (entries.length === 0) {
+      return undefined;
+    }
+
+    return {
+      totalHits: entries.reduce((sum, entry) => sum + entry.weight, 0),
+      resetTime: new Date(entries[0].timestamp + this.windowMs)
+    };
+  }
+
+  /**
+   * Give back an allowed request. Removes the latest request, whatever its weight.
+   * @param {string} key - Client key
+   */
+  async refund(key) {
+    if (!this.redisClient) {
+      this.memory.get(key)?.entries.pop();
+      return;
+    }
+    await this.redisClient.zPopMax(`${this.prefix}${key}`);
+  }
+}
+
+/**
+ * Sliding-window counter: the previous window's count weighted by its overlap
+ * with the sliding window, plus the current window's count
+ */
+class SlidingWindowCounterStore extends AlgorithmStore {
+  get script() {
+    return SCRIPTS.slidingCounter;
+  }
+
+  scriptArguments(weight) {
+    return [this.windowMs, this.limit, weight];
+  }
+
+  hitMemory(key, weight, now) {
+    const current = Math.floor(now / this.windowMs);
+    const elapsed = (now % this.windowMs) / this.windowMs;
+    const state = this.memory.get(key) || { window: current, count: 0, previous: 0 };
+
+    if (state.window !== current) {
+      state.previous = state.window === current - 1 ? state.count : 0;
+      state.count = 0;
+      state.window = current;
+    }
+
+    const estimate = state.previous * (1 - elapsed) + state.count;
+    if (estimate + weight <= this.limit) {
+      state.count += weight;
+    }
+    state.expiresAt = (current + 2) * this.windowMs;
+    this.memory.set(key, state);
+
+    return {
+      totalHits: Math.ceil(estimate + weight),
+      resetTime: new Date((current + 1) * this.windowMs)
+    };
+  }
+
+  /**
+   * Current usage of a key without recording a request
+   * @param {string} key - Client key
+   */
+  async get(key) {
+    let state = this.memory.get(key);
+    if (this.redisClient) {
+      const [window, count, previous] = await this.redisClient.hmGet(`${this.prefix}${key}`, ['w', 'c', 'p']);
+      state = window === null ? null : { window: Number(window), count: Number(count), previous: Number(previous) };
+    }
+
+    const now = Date.now();
+    const current = Math.floor(now / this.windowMs);
+    if (!state || state.window < current - 1) {
+      return undefined;
+    }
+
+    const elapsed = (now % this.windowMs) / this.windowMs;
+    const estimate = state.window === current
+      ? state.previous * (1 - elapsed) + state.count
+      : state.count * (1 - elapsed);
+
+    return {
+      totalHits: Math.ceil(estimate),
+      resetTime: new Date((current + 1) * this.windowMs)
+    };
+  }
+
+  /**
+   * Give back the weight of an allowed request to the window it was counted
+   * in, never going below zero. Requests older than the previous window no
+   * longer count and are not refunded.
+   * @param {string} key - Client key
+   * @param {number} weight - Request weight
+   * @param {Date} resetTime - resetTime returned by hit(), or null for the latest window
+   */
+  async refund(key, weight = 1, resetTime = null) {
+    const target = resetTime ? Math.round(resetTime.getTime() / this.windowMs) - 1 : -1;
+
+    if (!this.redisClient) {
+      const state = this.memory.get(key);
+      if (!state) {
+        return;
+      }
+      const window = target < 0 ? state.window : target;
+      if (window === state.window) {
+        state.count = Math.max(0, state.count - weight);
+      } else if (window === state.window - 1) {
+        state.previous = Math.max(0, state.previous - weight);
+      }
+      return;
+    }
+
+    await this.redisClient.eval(SCRIPTS.slidingCounterRefund, {
+      keys: [`${this.prefix}${key}`],
+      arguments: [this.windowMs, weight, target].map(String)
+    });
+  }
+}
+
+/**
+ * Token bucket: `limit` tokens refill evenly over each window, and up to
+ * `burst` tokens can be spent at once
+ */
+class TokenBucketStore extends AlgorithmStore {
+  /**
+   * @param {Object} options - See AlgorithmStore, plus:
+   * @param {number} options.burst - Bucket capacity (defaults to limit)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.burst = options.burst || null;
+  }
+
+  init(options) {
+    super.init(options);
+    this.burst = this.burst || this.limit;
+  }
+
+  get capacity() {
+    return this.burst;
+  }
+
+  /**
+   * Tokens added per millisecond
+   */
+  get refillRate() {
+    return this.limit / this.windowMs;
+  }
+
+  get script() {
+    return SCRIPTS.tokenBucket;
+  }
+
+  scriptArguments(weight) {
+    return [this.burst, this.refillRate, weight];
+  }
+
+  hitMemory(key, weight, now) {
+    const state = this.memory.get(key) || { tokens: this.burst, updatedAt: now };
+    state.tokens = Math.min(this.burst, state.tokens + (now - state.updatedAt) * this.refillRate);
+    state.updatedAt = now;
+
+    let totalHits;
+    let resetTime;
+    if (state.tokens >= weight) {
+      state.tokens -= weight;
+      totalHits = Math.ceil(this.burst - state.tokens);
+      resetTime = now + Math.ceil((this.burst - state.tokens) / this.refillRate);
+    } else {
+      totalHits = this.burst + weight;
+      resetTime = now + Math.ceil((weight - state.tokens) / this.refillRate);
+    }
+
+    state.expiresAt = now + Math.ceil(this.burst / this.refillRate);
+    this.memory.set(key, state);
+
+    return { totalHits, resetTime: new Date(resetTime) };
+  }
+
+  /**
+   * Current usage of a key without spending a token. totalHits is the
+   * number of tokens missing from the bucket.
+   * @param {string} key - Client key
+   */
+  async get(key) {
+    let state = this.memory.get(key);
+    if (this.redisClient) {
+      const [tokens, updatedAt] = await this.redisClient.hmGet(`${this.prefix}${key}`, ['t', 'ts']);
+      state = tokens === null ? null : { tokens: Number(tokens), updatedAt: Number(updatedAt) };
+    }
+    if (!state) {
+      return undefined;
+    }
+
+    const now = Date.now();
+    const tokens = Math.min(this.burst, state.tokens + (now - state.updatedAt) * this.refillRate);
+    return {
+      totalHits: Math.ceil(this.burst - tokens),
+      resetTime: new Date(now + Math.ceil((this.burst - tokens) / this.refillRate))
+    };
+  }
+
+  /**
+   * Put the tokens of an allowed request back, never above burst
+   * @param {string} key - Client key
+   * @param {number} weight - Request weight
+   */
+  async refund(key, weight = 1) {
+    if (!this.redisClient) {
+      const state = this.memory.get(key);
+      if (state) {
+        const now = Date.now();
+        state.tokens = Math.min(this.burst, state.tokens + (now - state.updatedAt) * this.refillRate + weight);
+        state.updatedAt = now;
+      }
+      return;
+    }
+
+    await this.redisClient.eval(SCRIPTS.tokenBucketRefund, {
+      keys: [`${this.prefix}${key}`],
+      arguments: [this.burst, this.refillRate, weight].map(String)
+    });
+  }
+}
+
+const STRATEGY_STORES = {
+  'sliding-log': SlidingWindowLogStore,
+  'sliding-window': SlidingWindowCounterStore,
+  'token-bucket': TokenBucketStore
+};
+
+/**
+ * Create a store for a rate limiting strategy
+ * @param {string} strategy - 'sliding-log', 'sliding-window' or 'token-bucket'
+ * @param {Object} options - Store options
+ */
+const createStore = (strategy, options) => {
+  const Store = STRATEGY_STORES[strategy];
+  if (!Store) {
+    throw new Error(`Unknown rate limit strategy: ${strategy}`);
+  }
+  return new Store(options);
+};
+
+module.exports = {
+  AlgorithmStore,
+  SlidingWindowLogStore,
+  SlidingWindowCounterStore,
+  TokenBucketStore,
+  createStore,
+  STRATEGIES: ['fixed-window', ...Object.keys(STRATEGY_STORES)]
+};
@@ -1,12 +1,21 @@
 const rateLimit = require('express-rate-limit');
+const { MemoryStore } = require('express-rate-limit');
+const { slowDown } = require('express-slow-down');
 const RedisStore = require('rate-limit-redis');
 const redis = require('redis');
+const { createStore, STRATEGIES } = require('./rateLimitStores');
+const QuotaManager = require('./quotaManager');
+const ResponseHandler = require('./response');
+const { PLANS, PLAN_LIMITS, DEFAULT_ROLE_PLANS } = require('../constants/plans');
 const logger = require('../logger/logger');
 
 class RateLimiter {
   constructor() {
     this.redisClient = null;
     this.limiters = new Map();
+    this.overrides = new Map();
+    this.offences = new Map();
+    this.quotaManager = new QuotaManager({ getRedisClient: () => this.redisClient });
   }
 
   /**
@@ -30,55 +39,386 @@ class RateLimiter {
 
   /**
    * Create a rate limiter
+   *
+   * Strategies:
+   * - 'fixed-window' (default): counter reset at the end of each window
+   * - 'sliding-log': exact count of the requests in the last windowMs
+   * - 'sliding-window': weighted previous + current window counter
+   * - 'token-bucket': `max` tokens refilled per window, up to `burst` at once
+   *
+   * `max` may also be a function of the request (fixed-window only).
+   *
+   * With `slowDown`, requests past `delayAfter` in a window are delayed by
+   * `delayMs` more for each extra request (up to `maxDelayMs`) before the
+   * hard limit applies. With `escalation`, every window in which a key hits
+   * the limit counts as an offence; from the `after`-th offence within
+   * `offenceTtl` seconds the key is banned for the next of `durations`.
+   *
+   * With `cost`, each request spends that many units of `max` instead of one,
+   * e.g. `cost: (req) => req.validatedQuery?.limit || 1`. Weighted limiters
+   * need a sliding or token-bucket strategy.
+   *
    * @param {Object} options - Rate limiter options
+   * @param {Object} options.slowDown - `{ delayAfter, delayMs, maxDelayMs }`
+   * @param {Object} options.escalation - `{ after, durations, offenceTtl }`
+   * @param {number|Function} options.cost - Units per request, or (req) => units
+   * @param {boolean} options.register - Record the limiter for getRateLimitInfo(), resetRateLimit() and describeLimiters()
    */
   createLimiter(options = {}) {
     const {
       windowMs = 15 * 60 * 1000, // 15 minutes
       max = 100, // limit each IP to 100 requests per windowMs
+      strategy = 'fixed-window',
+      burst = null,
       message = 'Too many requests from this IP, please try again later',
       standardHeaders = true,
       legacyHeaders = false,
       keyGenerator = null,
       skipSuccessfulRequests = false,
       skipFailedRequests = false,
-      name = 'default'
+      name = 'default',
+      slowDown: slowDownOptions = null,
+      escalation = null,
+      cost = null,
+      store: sharedStore = null,
+      register = true
     } = options;
 
-    const limiter = rateLimit({
+    if (!STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown rate limit strategy: ${strategy}`);
+    }
+    if (typeof max === 'function' && strategy !== 'fixed-window') {
+      throw new Error(`Rate limit strategy ${strategy} requires a numeric max`);
+    }
+    if (cost !== null && strategy === 'fixed-window') {
+      throw new Error('Cost-weighted limiters need a sliding-log, sliding-window or token-bucket strategy');
+    }
+
+    const store = sharedStore || this.createStore(strategy, { name, windowMs, max, burst });
+    const generateKey = keyGenerator || this.defaultKeyGenerator;
+    const speedLimiter = slowDownOptions ? this.createSlowDown(name, {
+      ...slowDownOptions,
       windowMs,
-      max,
-      message: {
-        success: false,
-        message,
-        code: 'RATE_LIMIT_EXCEEDED'
-      },
+      keyGenerator: generateKey,
+      skipSuccessfulRequests,
+      skipFailedRequests
+    }) : null;
+
+    const limit = strategy === 'token-bucket' && burst ? burst : max;
+    const handler = (req, res) => {
+      logger.warn('Rate limit exceeded', {
+        ip: req.ip,
+        userAgent: req.get('User-Agent'),
+        url: req.url,
+        method: req.method
+      });
+
+      if (escalation) {
+        Promise.resolve(generateKey(req, res))
+          .then(key => this.recordOffence(key, name, escalation, req.rateLimit?.resetTime))
+          .catch(error => logger.error('Failed to record rate limit offence:', error));
+      }
+
+      ResponseHandler.sendError(res, 429, message, null, 'RATE_LIMIT_EXCEEDED', {
+        retryAfter: req.rateLimit?.resetTime
+          ? Math.max(1, Math.ceil((req.rateLimit.resetTime.getTime() - Date.now()) / 1000))
+          : Math.ceil(windowMs / 1000)
+      });
+    };
+
+    const limiter = cost === null ? rateLimit({
+      windowMs,
+      max: limit,
       standardHeaders,
       legacyHeaders,
-      store: this.redisClient ? new RedisStore({
-        sendCommand: (...args) => this.redisClient.sendCommand(args)
-      }) : undefined,
-      keyGenerator: keyGenerator || this.defaultKeyGenerator,
+      store,
+      keyGenerator: generateKey,
       skipSuccessfulRequests,
       skipFailedRequests,
-      handler: (req, res) => {
-        logger.warn('Rate limit exceeded', {
-          ip: req.ip,
-          userAgent: req.get('User-Agent'),
-          url: req.url,
-          method: req.method
-        });
-        res.status(429).json({
-          success: false,
-          message,
-          code: 'RATE_LIMIT_EXCEEDED',
-          retryAfter: Math.ceil(windowMs / 1000)
+      handler
+    }) : this.createWeightedLimiter({
+      store,
+      cost,
+      windowMs,
+      limit,
+      keyGenerator: generateKey,
+      standardHeaders,
+      legacyHeaders,
+      skipSuccessfulRequests,
+      skipFailedRequests,
+      handler
+    });
+
+    // Allowlisted keys skip the limiter and banned keys are rejected outright
+    const middleware = async (req, res, next) => {
+      let override = null;
+      try {
+        override = await this.getOverride(await generateKey(req, res), name);
+      } catch (error) {
+        logger.error('Failed to read rate limit override:', error);
+      }
+
+      if (override?.type === 'allow') {
+        return next();
+      }
+      if (override?.type === 'ban') {
+        logger.warn('Banned key rejected', { name, ip: req.ip, url: req.url, method: req.method });
+        return ResponseHandler.sendError(res, 429, message, null, 'RATE_LIMIT_BANNED', {
+          retryAfter: override.expiresAt
+            ? Math.max(1, Math.ceil((new Date(override.expiresAt).getTime() - Date.now()) / 1000))
+            : null
         });
       }
+
+      if (!speedLimiter) {
+        return limiter(req, res, next);
+      }
+      speedLimiter(req, res, (error) => {
+        if (error) {
+          return next(error);
+        }
+        limiter(req, res, next);
+      });
+    };
+
+    if (register) {
+      this.limiters.set(name, {
+        middleware,
+        store,
+        options: { name, strategy, windowMs, max, burst, cost, slowDown: slowDownOptions, escalation }
+      });
+    }
+    return middleware;
+  }
+
+  /**
+   * Create a limiter middleware that charges each request its cost against
+   * the store, in place of express-rate-limit's one-per-request counting.
+   * Sets `req.rateLimit` and the same headers as express-rate-limit.
+   * @param {Object} options - store, cost, windowMs, limit, keyGenerator, header and skip flags, handler
+   */
+  createWeightedLimiter(options) {
+    const {
+      store,
+      cost,
+      windowMs,
+      limit,
+      keyGenerator,
+      standardHeaders,
+      legacyHeaders,
+      skipSuccessfulRequests,
+      skipFailedRequests,
+      handler
+    } = options;
+
+    store.init({ windowMs, limit });
+
+    return async (req, res, next) => {
+      try {
+        const weight = typeof cost === 'function' ? await cost(req, res) : cost;
+        if (!(weight > 0)) {
+          return next();
+        }
+
+        const key = await keyGenerator(req, res);
+        const { totalHits, resetTime } = await store.hit(key, weight);
+        const remaining = Math.max(0, limit - totalHits);
+        const resetSeconds = Math.max(0, Math.ceil((resetTime.getTime() - Date.now()) / 1000));
+
+        req.rateLimit = { limit, used: totalHits, remaining, resetTime, cost: weight };
+
+        if (standardHeaders) {
+          res.set('RateLimit-Policy', `${limit};w=${Math.ceil(windowMs / 1000)}`);
+          res.set('RateLimit-Limit', String(limit));
+          res.set('RateLimit-Remaining', String(remaining));
+          res.set('RateLimit-Reset', String(resetSeconds));
+        }
+        if (legacyHeaders) {
+          res.set('X-RateLimit-Limit', String(limit));
+          res.set('X-RateLimit-Remaining', String(remaining));
+          res.set('X-RateLimit-Reset', String(Math.ceil(resetTime.getTime() / 1000)));
+        }
+
+        if (totalHits > limit) {
+          res.set('Retry-After', String(Math.max(1, resetSeconds)));
+          return handler(req, res, next);
+        }
+
+        if (skipSuccessfulRequests || skipFailedRequests) {
+          res.on('finish', () => {
+            const failed = res.statusCode >= 400;
+            if ((failed && skipFailedRequests) || (!failed && skipSuccessfulRequests)) {
+              store.refund(key, weight, resetTime).catch(error => {
+                logger.error('Failed to refund rate limit cost:', error);
+              });
+            }
+          });
+        }
+
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+
+  /**
+   * Create a budget shared by several routes. Every route charges the same
+   * per-key allowance, so a user's whole API budget is enforced in one place.
+   *
+   *   const budget = rateLimiter.createBudget({ name: 'api', max: 1000 });
+   *   router.get('/profile', budget(1), ...);
+   *   router.get('/export', budget((req) => 50 + req.validatedQuery.limit), ...);
+   *
+   * @param {Object} options - createLimiter options; strategy defaults to 'sliding-window'
+   * @returns {Function} (cost) => middleware
+   */
+  createBudget(options = {}) {
+    const {
+      name = 'budget',
+      strategy = 'sliding-window',
+      windowMs = 15 * 60 * 1000,
+      max = 1000,
+      burst = null
+    } = options;
+
+    const store = this.createStore(strategy, { name, windowMs, max, burst });
+
+    // Routes share the store, so the budget is registered once rather than per route
+    this.limiters.set(name, {
+      middleware: null,
+      store,
+      options: { name, strategy, windowMs, max, burst, cost: 'per-route', slowDown: options.slowDown || null, escalation: options.escalation || null }
+    });
+
+    return (cost = 1) => this.createLimiter({
+      message: 'API budget exceeded, please try again later',
+      ...options,
+      name,
+      strategy,
+      windowMs,
+      max,
+      burst,
+      cost,
+      store,
+      register: false
+    });
+  }
+
+  /**
+   * Create the store backing a limiter
+   * @param {string} strategy - Rate limiting strategy
+   * @param {Object} options - Limiter name, windowMs, max and burst
+   */
+  createStore(strategy, { name, windowMs, max, burst }) {
+    if (strategy === 'fixed-window') {
+      return this.redisClient ? new RedisStore({
+        sendCommand: (...args) => this.redisClient.sendCommand(args),
+        prefix: `rl:${name}:`
+      }) : new MemoryStore();
+    }
+
+    return createStore(strategy, {
+      redisClient: this.redisClient,
+      prefix: `rl:${strategy}:${name}:`,
+      windowMs,
+      limit: max,
+      burst
+    });
+  }
+
+  /**
+   * Create the slow-down stage of a limiter
+   * @param {string} name - Limiter name
+   * @param {Object} options - delayAfter, delayMs, maxDelayMs, windowMs, keyGenerator, skip flags
+   */
+  createSlowDown(name, options) {
+    const {
+      delayAfter,
+      delayMs = 500,
+      maxDelayMs = 10 * 1000,
+      ...rest
+    } = options;
+
+    return slowDown({
+      ...rest,
+      delayAfter,
+      // Grows by delayMs for every request past delayAfter
+      delayMs: (used, req) => (used - req.slowDown.limit) * delayMs,
+      maxDelayMs,
+      store: this.redisClient ? new RedisStore({
+        sendCommand: (...args) => this.redisClient.sendCommand(args),
+        prefix: `sd:${name}:`
+      }) : new MemoryStore()
     });
+  }
+
+  /**
+   * Count a limit breach and ban the key once breaches repeat. Breaches in
+   * the same window count once.
+   * @param {string} key - Rate limit key
+   * @param {string} limiterName - Name of the limiter
+   * @param {Object} escalation - Escalation options
+   * @param {number} escalation.after - Offences before the first ban
+   * @param {Array} escalation.durations - Ban lengths in seconds; the last repeats
+   * @param {number} escalation.offenceTtl - Seconds an offence is remembered
+   * @param {Date} resetTime - End of the breached window
+   * @returns {Object|null} The ban, if one was set
+   */
+  async recordOffence(key, limiterName, escalation, resetTime) {
+    const {
+      after = 2,
+      durations = [5 * 60, 30 * 60, 2 * 60 * 60, 24 * 60 * 60],
+      offenceTtl = 24 * 60 * 60
+    } = escalation;
+
+    const windowMs = Math.max(1000, (resetTime ? resetTime.getTime() : 0) - Date.now());
+    const offenceKey = `rl:offences:${limiterName}:${key}`;
+    const windowKey = `rl:offence-window:${limiterName}:${key}`;
 
-    this.limiters.set(name, limiter);
-    return limiter;
+    let offences;
+    if (this.redisClient) {
+      if (!(await this.redisClient.set(windowKey, '1', { NX: true, PX: windowMs }))) {
+        return null;
+      }
+      [offences] = await this.redisClient.multi()
+        .incr(offenceKey)
+        .expire(offenceKey, offenceTtl)
+        .exec();
+    } else {
+      const now = Date.now();
+      const entry = this.offences.get(offenceKey);
+      const state = entry && entry.expiresAt > now ? entry : { count: 0, windowEndsAt: 0 };
+      if (state.windowEndsAt > now) {
+        return null;
+      }
+      state.count++;
+      state.windowEndsAt = now + windowMs;
+      state.expiresAt = now + offenceTtl * 1000;
+      this.offences.set(offenceKey, state);
+      offences = state.count;
+
+      if (this.offences.size % 1000 === 0) {
+        for (const [storedKey, stored] of this.offences) {
+          if (stored.expiresAt <= now) {
+            this.offences.delete(storedKey);
+          }
+        }
+      }
+    }
+
+    logger.warn('Rate limit offence recorded', { key, limiter: limiterName, offences });
+
+    if (offences < after) {
+      return null;
+    }
+
+    const ttl = durations[Math.min(offences - after, durations.length - 1)];
+    return this.banKey(key, {
+      limiter: limiterName,
+      ttl,
+      reason: `Rate limit exceeded ${offences} times`
+    });
   }
 
   /**
@@ -86,13 +426,145 @@ class RateLimiter {
    * @param {Object} req - Express request object
    */
   defaultKeyGenerator(req) {
-    // Use user ID if authenticated, otherwise use IP
+    // Use service name for service-to-service calls, user ID if authenticated, otherwise IP
+    if (req.service && req.service.name) {
+      return `service:${req.service.name}`;
+    }
     if (req.user && req.user.id) {
       return `user:${req.user.id}`;
     }
     return req.ip;
   }
 
+  /**
+   * Resolve the plan of a user from their `plan` claim, falling back to the
+   * default plan of their role and then to the free plan
+   * @param {Object} user - Authenticated user (token claims)
+   */
+  resolvePlan(user) {
+    if (user && PLAN_LIMITS[user.plan]) {
+      return user.plan;
+    }
+    return (user && DEFAULT_ROLE_PLANS[user.role]) || PLANS.FREE;
+  }
+
+  /**
+   * Limits of a feature on a plan
+   * @param {string} plan - Plan name
+   * @param {string} feature - Feature name
+   * @param {Object} planLimits - Plan -> feature -> limits map
+   */
+  getPlanLimits(plan, feature, planLimits = PLAN_LIMITS) {
+    const limits = (planLimits[plan] || planLimits[PLANS.FREE] || {})[feature];
+    if (!limits) {
+      throw new Error(`No ${feature} limits defined for plan ${plan}`);
+    }
+    return limits;
+  }
+
+  /**
+   * Create a rate limiter whose limits depend on the user's plan.
+   *
+   * Each request is limited to the plan's `max` per window and counted against
+   * its daily and monthly quotas. Quota state is returned in
+   * `X-Quota-{Daily,Monthly}-{Limit,Remaining,Reset}` headers and exhausted
+   * quotas are answered with 429 `QUOTA_EXCEEDED`.
+   *
+   * @param {string} feature - Feature name in the plan limits
+   * @param {Object} options - Options
+   * @param {number} options.windowMs - Rate limit window
+   * @param {string} options.message - Rate limit message
+   * @param {Function} options.getPlan - (req) => plan name, defaults to resolvePlan(req.user)
+   * @param {Object} options.planLimits - Plan -> feature -> limits map
+   * @param {Function} options.keyGenerator - Rate limit and quota subject
+   * @param {boolean} options.skipFailedRequests - Do not count 4xx/5xx responses
+   */
+  createPlanLimiter(feature, options = {}) {
+    const {
+      windowMs = 15 * 60 * 1000,
+      message = 'Too many requests, please try again later',
+      getPlan = (req) => this.resolvePlan(req.user),
+      planLimits = PLAN_LIMITS,
+      keyGenerator = null,
+      skipFailedRequests = false
+    } = options;
+
+    const generateKey = keyGenerator || this.defaultKeyGenerator;
+    const limitsFor = (req) => this.getPlanLimits(getPlan(req), feature, planLimits);
+
+    const windowLimiter = this.createLimiter({
+      windowMs,
+      max: (req) => limitsFor(req).max,
+      message,
+      name: feature,
+      keyGenerator: generateKey,
+      skipFailedRequests
+    });
+
+    const quotaLimiter = async (req, res, next) => {
+      const subject = generateKey(req);
+      const plan = getPlan(req);
+
+      try {
+        const limits = this.getPlanLimits(plan, feature, planLimits);
+        const { allowed, exceeded, usage } = await this.quotaManager.consume(subject, feature, limits);
+
+        this.setQuotaHeaders(res, usage);
+        req.quota = { feature, plan, ...usage };
+
+        if (!allowed) {
+          logger.warn('Quota exceeded', { subject, feature, plan, period: exceeded });
+          return ResponseHandler.sendError(res, 429, `Your ${exceeded} ${feature} quota is used up`, null, 'QUOTA_EXCEEDED', {
+            plan,
+            period: exceeded,
+            retryAfter: Math.max(1, Math.ceil((usage[exceeded].reset.getTime() - Date.now()) / 1000))
+          });
+        }
+
+        if (skipFailedRequests) {
+          res.on('finish', () => {
+            if (res.statusCode >= 400) {
+              this.quotaManager.adjustUsage(subject, feature, -1).catch(error => {
+                logger.error('Failed to refund quota:', error);
+              });
+            }
+          });
+        }
+      } catch (error) {
+        // Quota storage problems should not take the feature down
+        logger.error('Quota check failed:', error);
+      }
+
+      next();
+    };
+
+    return (req, res, next) => {
+      windowLimiter(req, res, (error) => {
+        if (error) {
+          return next(error);
+        }
+        quotaLimiter(req, res, next);
+      });
+    };
+  }
+
+  /**
+   * Set remaining-quota response headers
+   * @param {Object} res - Express response object
+   * @param {Object} usage - Usage from QuotaManager
+   */
+  setQuotaHeaders(res, usage) {
+    for (const [period, { limit, remaining, reset }] of Object.entries(usage)) {
+      if (limit === null) {
+        continue;
+      }
+      const name = period.charAt(0).toUpperCase() + period.slice(1);
+      res.set(`X-Quota-${name}-Limit`, String(limit));
+      res.set(`X-Quota-${name}-Remaining`, String(remaining));
+      res.set(`X-Quota-${name}-Reset`, String(Math.ceil(reset.getTime() / 1000)));
+    }
+  }
+
   /**
    * Create authentication rate limiter
    */
@@ -100,9 +572,12 @@ class RateLimiter {
     return this.createLimiter({
       windowMs: 15 * 60 * 1000, // 15 minutes
       max: 5, // limit each IP to 5 requests per windowMs
+      strategy: 'sliding-log',
       message: 'Too many authentication attempts, please try again later',
       name: 'auth',
-      skipSuccessfulRequests: true
+      skipSuccessfulRequests: true,
+      slowDown: { delayAfter: 3, delayMs: 1000 }, // slow down failed attempts after the 3rd
+      escalation: { after: 2 } // ban from the 2nd lockout in 24 hours, 5 minutes growing to 24 hours
     });
   }
 
@@ -161,26 +636,39 @@ class RateLimiter {
   }
 
   /**
-   * Create search rate limiter
+   * Create search rate limiter (limits per plan, see PLAN_LIMITS)
    */
   createSearchLimiter() {
-    return this.createLimiter({
+    return this.createPlanLimiter('search', {
       windowMs: 5 * 60 * 1000, // 5 minutes
-      max: 50, // limit each IP to 50 searches per 5 minutes
-      message: 'Too many search requests, please try again later',
-      name: 'search'
+      message: 'Too many search requests, please try again later'
     });
   }
 
   /**
-   * Create recommendation rate limiter
+   * Create recommendation rate limiter (limits per plan, see PLAN_LIMITS)
    */
   createRecommendationLimiter() {
-    return this.createLimiter({
+    return this.createPlanLimiter('recommendation', {
       windowMs: 10 * 60 * 1000, // 10 minutes
-      max: 20, // limit each user to 20 recommendation requests per 10 minutes
       message: 'Too many recommendation requests, please try again later',
-      name: 'recommendation',
+      keyGenerator: (req) => {
+        if (!req.user || !req.user.id) {
+          return req.ip;
+        }
+        return `user:${req.user.id}`;
+      }
+    });
+  }
+
+  /**
+   * Create job posting rate limiter (limits per plan, see PLAN_LIMITS)
+   */
+  createJobPostingLimiter() {
+    return this.createPlanLimiter('job-posting', {
+      windowMs: 60 * 60 * 1000, // 1 hour
+      message: 'Too many job postings, please try again later',
+      skipFailedRequests: true,
       keyGenerator: (req) => {
         if (!req.user || !req.user.id) {
           return req.ip;
@@ -197,8 +685,11 @@ class RateLimiter {
     return this.createLimiter({
       windowMs: 60 * 60 * 1000, // 1 hour
       max: 10, // limit each user to 10 payment attempts per hour
+      strategy: 'sliding-log',
       message: 'Too many payment attempts, please try again later',
       name: 'payment',
+      slowDown: { delayAfter: 5, delayMs: 500 },
+      escalation: { after: 2 },
       keyGenerator: (req) => {
         if (!req.user || !req.user.id) {
           return req.ip;
@@ -251,32 +742,39 @@ class RateLimiter {
   }
 
   /**
-   * Get rate limit info for a key
-   * @param {string} key - Rate limit key
+   * Get rate limit info for a key, read from the limiter's store
+   * @param {string} key - Rate limit key, as produced by the limiter's keyGenerator
    * @param {string} limiterName - Name of the limiter
+   * @returns {Object|null} Usage, limit, reset time and blocked state, or null for an unknown limiter
    */
   async getRateLimitInfo(key, limiterName = 'default') {
-    if (!this.redisClient) {
+    const limiter = this.limiters.get(limiterName);
+    if (!limiter) {
       return null;
     }
 
     try {
-      const limiter = this.limiters.get(limiterName);
-      if (!limiter) {
-        return null;
-      }
+      const { store, options } = limiter;
+      const [state, override] = await Promise.all([
+        store.get ? store.get(key) : undefined,
+        this.getOverride(key, limiterName)
+      ]);
 
-      const windowMs = limiter.windowMs;
-      const max = limiter.max;
-      const current = await this.redisClient.get(`${limiterName}:${key}`);
-      const remaining = Math.max(0, max - (current || 0));
-      const resetTime = new Date(Date.now() + windowMs);
+      const limit = typeof options.max === 'number'
+        ? (options.strategy === 'token-bucket' && options.burst ? options.burst : options.max)
+        : null;
+      const count = state ? state.totalHits : 0;
 
       return {
-        limit: max,
-        remaining,
-        reset: resetTime,
-        resetTime: Math.ceil(resetTime.getTime() / 1000)
+        limiter: limiterName,
+        key,
+        strategy: options.strategy,
+        limit,
+        count,
+        remaining: limit === null ? null : Math.max(0, limit - count),
+        resetTime: state?.resetTime || null,
+        override,
+        blocked: override?.type === 'ban' || (override?.type !== 'allow' && limit !== null && count >= limit)
       };
     } catch (error) {
       logger.error('Failed to get rate limit info:', error);
@@ -290,12 +788,13 @@ class RateLimiter {
    * @param {string} limiterName - Name of the limiter
    */
   async resetRateLimit(key, limiterName = 'default') {
-    if (!this.redisClient) {
+    const limiter = this.limiters.get(limiterName);
+    if (!limiter) {
       return false;
     }
 
     try {
-      await this.redisClient.del(`${limiterName}:${key}`);
+      await limiter.store.resetKey(key);
       logger.info('Rate limit reset', { key, limiterName });
       return true;
     } catch (error) {
@@ -304,6 +803,143 @@ class RateLimiter {
     }
   }
 
+  /**
+   * Storage key of an allowlist/ban override
+   * @param {string} key - Rate limit key
+   * @param {string} limiterName - Name of the limiter, or '*' for every limiter
+   */
+  overrideKey(key, limiterName) {
+    return `rl:override:${limiterName}:${key}`;
+  }
+
+  /**
+   * Get the override applying to a key, preferring one set for the limiter
+   * over one set for every limiter
+   * @param {string} key - Rate limit key
+   * @param {string} limiterName - Name of the limiter
+   * @returns {Object|null} `{ type, reason, expiresAt, limiter }`
+   */
+  async getOverride(key, limiterName) {
+    const keys = [this.overrideKey(key, limiterName), this.overrideKey(key, '*')];
+
+    let values;
+    if (this.redisClient) {
+      values = await this.redisClient.mGet(keys);
+    } else {
+      values = keys.map(overrideKey => {
+        const entry = this.overrides.get(overrideKey);
+        if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+          this.overrides.delete(overrideKey);
+          return null;
+        }
+        return entry ? entry.value : null;
+      });
+    }
+
+    const value = values.find(Boolean);
+    return value ? JSON.parse(value) : null;
+  }
+
+  /**
+   * Allowlist or ban a key
+   * @param {string} type - 'allow' or 'ban'
+   * @param {string} key - Rate limit key
+   * @param {Object} options - Options
+   * @param {string} options.limiter - Limiter name, or '*' for every limiter
+   * @param {number} options.ttl - Seconds until the override lapses; 0 keeps it until removed
+   * @param {string} options.reason - Reason, for the logs and admin API
+   */
+  async setOverride(type, key, options = {}) {
+    const { limiter = '*', ttl = 60 * 60, reason = null } = options;
+
+    if (type !== 'allow' && type !== 'ban') {
+      throw new Error(`Unknown rate limit override: ${type}`);
+    }
+
+    const expiresAt = ttl > 0 ? new Date(Date.now() + ttl * 1000) : null;
+    const value = JSON.stringify({ type, limiter, reason, expiresAt });
+    const overrideKey = this.overrideKey(key, limiter);
+
+    if (this.redisClient) {
+      await this.redisClient.set(overrideKey, value, ttl > 0 ? { EX: ttl } : {});
+    } else {
+      this.overrides.set(overrideKey, { value, expiresAt: expiresAt ? expiresAt.getTime() : null });
+    }
+
+    logger.info('Rate limit override set', { type, key, limiter, ttl, reason });
+    return JSON.parse(value);
+  }
+
+  /**
+   * Let a key bypass a limiter
+   * @param {string} key - Rate limit key
+   * @param {Object} options - See setOverride
+   */
+  async allowKey(key, options = {}) {
+    return this.setOverride('allow', key, options);
+  }
+
+  /**
+   * Reject every request from a key
+   * @param {string} key - Rate limit key
+   * @param {Object} options - See setOverride
+   */
+  async banKey(key, options = {}) {
+    return this.setOverride('ban', key, options);
+  }
+
+  /**
+   * Remove an allowlist entry or ban
+   * @param {string} key - Rate limit key
+   * @param {string} limiterName - Limiter name, or '*' for every limiter
+   */
+  async clearOverride(key, limiterName = '*') {
+    const overrideKey = this.overrideKey(key, limiterName);
+
+    if (this.redisClient) {
+      await this.redisClient.del(overrideKey);
+    } else {
+      this.overrides.delete(overrideKey);
+    }
+
+    logger.info('Rate limit override cleared', { key, limiter: limiterName });
+  }
+
+  /**
+   * Get a user's quota usage for a feature
+   * @param {Object} user - User with `id` and optionally `plan`/`role`
+   * @param {string} feature - Feature name
+   */
+  async getQuotaUsage(user, feature) {
+    const plan = this.resolvePlan(user);
+    const limits = this.getPlanLimits(plan, feature);
+    const usage = await this.quotaManager.getUsage(`user:${user.id}`, feature, limits);
+    return { feature, plan, ...usage };
+  }
+
+  /**
+   * Adjust a user's quota usage for a feature, e.g. to grant extra requests
+   * @param {Object} user - User with `id`
+   * @param {string} feature - Feature name
+   * @param {number} delta - Units to add (negative to give quota back)
+   * @param {Array} periods - 'daily' and/or 'monthly'
+   */
+  async adjustQuotaUsage(user, feature, delta, periods) {
+    await this.quotaManager.adjustUsage(`user:${user.id}`, feature, delta, periods);
+    return this.getQuotaUsage(user, feature);
+  }
+
+  /**
+   * Reset a user's quota usage for a feature
+   * @param {Object} user - User with `id`
+   * @param {string} feature - Feature name
+   * @param {Array} periods - 'daily' and/or 'monthly'
+   */
+  async resetQuotaUsage(user, feature, periods) {
+    await this.quotaManager.resetUsage(`user:${user.id}`, feature, periods);
+    return this.getQuotaUsage(user, feature);
+  }
+
   /**
    * Get all active limiters
    */
@@ -311,6 +947,18 @@ class RateLimiter {
     return Array.from(this.limiters.keys());
   }
 
+  /**
+   * Describe the registered limiters
+   * @returns {Array} Limiter options (name, strategy, windowMs, max, burst)
+   */
+  describeLimiters() {
+    return Array.from(this.limiters.values()).map(({ options }) => ({
+      ...options,
+      max: typeof options.max === 'function' ? 'dynamic' : options.max,
+      cost: typeof options.cost === 'function' ? 'dynamic' : options.cost
+    }));
+  }
+
   /**
    * Close Redis connection
    */
@@ -0,0 +1,41 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Per-request context, set up by the requestContext middleware
+const storage = new AsyncLocalStorage();
+
+/**
+ * Context of the current request or job, or null outside of one
+ */
+const getContext = () => storage.getStore() || null;
+
+/**
+ * Run a function with a context, e.g. `{ userId }` for a background job
+ * @param {Object} context - Context values
+ * @param {Function} fn - Function to run
+ */
+const runWithContext = (context, fn) => storage.run(context, fn);
+
+/**
+ * ID of the user the current request or job acts for. Reads `req.user`
+ * lazily, so it is available once auth has run.
+ */
+const getCurrentUserId = () => {
+  const context = getContext();
+  if (!context) {
+    return null;
+  }
+  return context.userId || context.req?.user?.id || null;
+};
+
+/**
+ * ID of the current request (see the requestContext middleware), or null
+ */
+const getRequestId = () => getContext()?.requestId || null;
+
+module.exports = {
+  storage,
+  getContext,
+  runWithContext,
+  getCurrentUserId,
+  getRequestId
+};
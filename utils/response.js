@@ -1,7 +1,53 @@
+const http = require('http');
 const { STATUS_CODES, MESSAGES } = require('../constants/statusCodes');
+const { getRequestId } = require('./requestContext');
 const logger = require('../logger/logger');
 
+const ERROR_FORMATS = ['envelope', 'problem', 'negotiate'];
+const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+/**
+ * Read ERROR_FORMAT. Requiring the module must not throw, so an unknown value
+ * is reported and the envelope used; configure() rejects unknown formats.
+ */
+const errorFormatFromEnv = () => {
+  const format = process.env.ERROR_FORMAT || 'envelope';
+  if (!ERROR_FORMATS.includes(format)) {
+    logger.warn(`Invalid ERROR_FORMAT "${format}", using envelope; expected one of ${ERROR_FORMATS.join(', ')}`);
+    return 'envelope';
+  }
+  return format;
+};
+
 class ResponseHandler {
+  // How error bodies are written: 'envelope' ({ success, message, errors, code }),
+  // 'problem' (RFC 7807 application/problem+json) or 'negotiate' (problem+json
+  // for clients that ask for it in Accept, the envelope otherwise)
+  static errorFormat = errorFormatFromEnv();
+
+  // Base URL of the problem type documentation, e.g. https://errors.example.com;
+  // problem types are then <base>/<code>, otherwise 'about:blank'
+  static problemTypeBase = process.env.PROBLEM_TYPE_BASE_URL || null;
+
+  /**
+   * Configure error responses for this service. Throws on an unknown format,
+   * so passing `{ errorFormat: process.env.ERROR_FORMAT }` at startup fails
+   * fast where the module-level default only warns.
+   * @param {Object} options - Options
+   * @param {string} options.errorFormat - 'envelope', 'problem' or 'negotiate'
+   * @param {string} options.problemTypeBase - Base URL of problem types
+   */
+  static configure(options = {}) {
+    const { errorFormat = this.errorFormat, problemTypeBase = this.problemTypeBase } = options;
+
+    if (!ERROR_FORMATS.includes(errorFormat)) {
+      throw new Error(`Unknown error format "${errorFormat}"; expected one of ${ERROR_FORMATS.join(', ')}`);
+    }
+
+    this.errorFormat = errorFormat;
+    this.problemTypeBase = problemTypeBase;
+  }
+
   /**
    * Send success response
    * @param {Object} res - Express response object
@@ -37,13 +83,6 @@ class ResponseHandler {
    * @param {string} code - Error code
    */
   static error(res, statusCode = STATUS_CODES.INTERNAL_SERVER_ERROR, message = MESSAGES.INTERNAL_ERROR, errors = null, code = null) {
-    const response = {
-      success: false,
-      message,
-      ...(errors && { errors }),
-      ...(code && { code })
-    };
-
     logger.error('API Error Response', {
       statusCode,
       message,
@@ -51,9 +90,83 @@ class ResponseHandler {
       code
     });
 
+    return this.sendError(res, statusCode, message, errors, code);
+  }
+
+  /**
+   * Write an error body in the configured format, without logging it
+   * @param {Object} res - Express response object
+   * @param {number} statusCode - HTTP status code
+   * @param {string} message - Error message
+   * @param {*} errors - Error details
+   * @param {string} code - Error code
+   * @param {Object} extensions - Extra top-level members, e.g. `{ retryAfter }`
+   */
+  static sendError(res, statusCode = STATUS_CODES.INTERNAL_SERVER_ERROR, message = MESSAGES.INTERNAL_ERROR, errors = null, code = null, extensions = {}) {
+    if (this.errorFormat === 'negotiate') {
+      res.vary('Accept');
+    }
+
+    if (this.prefersProblem(res)) {
+      return this.problem(res, statusCode, message, errors, code, extensions);
+    }
+
+    const response = {
+      success: false,
+      message,
+      ...(errors && { errors }),
+      ...(code && { code }),
+      ...extensions
+    };
+
     return res.status(statusCode).json(response);
   }
 
+  /**
+   * Whether the error should be written as problem+json
+   * @param {Object} res - Express response object
+   */
+  static prefersProblem(res) {
+    if (this.errorFormat === 'problem') {
+      return true;
+    }
+    if (this.errorFormat !== 'negotiate' || !res.req) {
+      return false;
+    }
+    return res.req.accepts(['application/json', PROBLEM_CONTENT_TYPE]) === PROBLEM_CONTENT_TYPE;
+  }
+
+  /**
+   * Send an RFC 7807 problem details response. The error code, validation
+   * errors and request ID are added as extension members.
+   * @param {Object} res - Express response object
+   * @param {number} statusCode - HTTP status code
+   * @param {string} detail - Explanation of this occurrence
+   * @param {*} errors - Error details, e.g. `[{ field, message }]`
+   * @param {string} code - Error code, e.g. 'VALIDATION_ERROR'
+   * @param {Object} extensions - Extra extension members, e.g. `{ retryAfter }`
+   */
+  static problem(res, statusCode = STATUS_CODES.INTERNAL_SERVER_ERROR, detail = MESSAGES.INTERNAL_ERROR, errors = null, code = null, extensions = {}) {
+    const hasErrors = Array.isArray(errors) ? errors.length > 0 : Boolean(errors && Object.keys(errors).length > 0);
+    const requestId = getRequestId() || res.req?.id;
+
+    const response = {
+      type: this.problemTypeBase && code
+        ? `${this.problemTypeBase.replace(/\/$/, '')}/${code.toLowerCase().replace(/_/g, '-')}`
+        : 'about:blank',
+      title: http.STATUS_CODES[statusCode] || 'Error',
+      status: statusCode,
+      detail,
+      ...(res.req && { instance: res.req.originalUrl.split('?')[0] }),
+      ...(code && { code }),
+      ...(hasErrors && { errors }),
+      ...(requestId && { requestId }),
+      ...extensions
+    };
+
+    return res.status(statusCode).type(PROBLEM_CONTENT_TYPE).json(response);
+  }
+
   /**
    * Send created response
    * @param {Object} res - Express response object
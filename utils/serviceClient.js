@@ -0,0 +1,143 @@
+const serviceCredentials = require('./serviceCredentials');
+const ErrorHandler = require('./errorHandler');
+const { getRequestId } = require('./requestContext');
+const logger = require('../logger/logger');
+
+class ServiceClient {
+  /**
+   * HTTP client for calling another internal service
+   * @param {Object} options - Client options
+   * @param {string} options.baseUrl - Base URL of the target service
+   * @param {string} options.audience - Name of the target service (token `aud`)
+   * @param {Array} options.scopes - Scopes requested in service tokens
+   * @param {string} options.apiKey - Use this API key instead of service tokens
+   * @param {number} options.timeout - Request timeout in milliseconds
+   */
+  constructor(options = {}) {
+    const {
+      baseUrl,
+      audience,
+      scopes = [],
+      apiKey = null,
+      timeout = 10000
+    } = options;
+
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.audience = audience;
+    this.scopes = scopes;
+    this.apiKey = apiKey;
+    this.timeout = timeout;
+    this.token = null;
+    this.tokenExpiresAt = 0;
+  }
+
+  /**
+   * Build the authentication headers, reusing a service token until shortly
+   * before it expires
+   */
+  getAuthHeaders() {
+    if (this.apiKey) {
+      return { 'X-API-Key': this.apiKey };
+    }
+
+    if (!this.token || Date.now() >= this.tokenExpiresAt) {
+      this.token = serviceCredentials.issueServiceToken({ audience: this.audience, scopes: this.scopes });
+      // Renew 30 seconds early so in-flight requests never carry an expired token
+      this.tokenExpiresAt = Date.now() + (serviceCredentials.tokenTtl - 30) * 1000;
+    }
+
+    return { Authorization: `Bearer ${this.token}` };
+  }
+
+  /**
+   * Send a request to the target service
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path
+   * @param {Object} options - Request options
+   * @param {*} options.body - JSON body
+   * @param {Object} options.headers - Extra headers
+   */
+  async request(method, path, options = {}) {
+    const { body, headers = {} } = options;
+    const requestId = getRequestId();
+
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}${path}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          ...this.getAuthHeaders(),
+          ...(requestId && { 'X-Request-Id': requestId }),
+          ...headers
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(this.timeout)
+      });
+    } catch (error) {
+      logger.error('Service request failed:', { audience: this.audience, method, path, error: error.message });
+      throw ErrorHandler.createExternalServiceError(`Request to ${this.audience} failed`, error);
+    }
+
+    const text = await response.text();
+    let data = text;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch {
+      // Keep non-JSON bodies as text
+    }
+
+    if (!response.ok) {
+      logger.warn('Service request returned an error', { audience: this.audience, method, path, status: response.status });
+      const error = ErrorHandler.createExternalServiceError(`Request to ${this.audience} returned ${response.status}`);
+      error.status = response.status;
+      error.response = data;
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Send a GET request
+   */
+  get(path, options) {
+    return this.request('GET', path, options);
+  }
+
+  /**
+   * Send a POST request
+   */
+  post(path, body, options = {}) {
+    return this.request('POST', path, { ...options, body });
+  }
+
+  /**
+   * Send a PUT request
+   */
+  put(path, body, options = {}) {
+    return this.request('PUT', path, { ...options, body });
+  }
+
+  /**
+   * Send a PATCH request
+   */
+  patch(path, body, options = {}) {
+    return this.request('PATCH', path, { ...options, body });
+  }
+
+  /**
+   * Send a DELETE request
+   */
+  delete(path, options) {
+    return this.request('DELETE', path, options);
+  }
+}
+
+/**
+ * Create a client for calling another internal service
+ * @param {Object} options - See ServiceClient constructor
+ */
+const createServiceClient = (options) => new ServiceClient(options);
+
+module.exports = { ServiceClient, createServiceClient };
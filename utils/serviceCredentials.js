@@ -0,0 +1,220 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const ServiceApiKey = require('../models/serviceApiKey');
+const cacheManager = require('./cache');
+const keyStore = require('./keyStore');
+const tokenService = require('./tokenService');
+const ErrorHandler = require('./errorHandler');
+const logger = require('../logger/logger');
+
+const SERVICE_TOKEN_TYPE = 'service';
+const API_KEY_PREFIX = 'sk';
+
+class ServiceCredentials {
+  constructor() {
+    this.serviceName = process.env.SERVICE_NAME || null;
+    this.tokenTtl = parseInt(process.env.SERVICE_TOKEN_TTL, 10) || 5 * 60; // 5 minutes
+    this.apiKeyCacheTtl = 60; // seconds a verified key or scope grant is trusted without a Mongo lookup
+  }
+
+  /**
+   * Secret used for service tokens when no asymmetric signing key is configured.
+   * There is deliberately no fallback to JWT_SECRET: anyone holding the user
+   * token secret must not be able to mint service tokens.
+   */
+  getSecret() {
+    return process.env.SERVICE_JWT_SECRET || null;
+  }
+
+  /**
+   * Name of this service, required to issue and verify service tokens
+   */
+  requireServiceName() {
+    if (!this.serviceName) {
+      throw ErrorHandler.createConfigurationError('SERVICE_NAME must be set to use service tokens');
+    }
+    return this.serviceName;
+  }
+
+  /**
+   * Scopes granted to a service by its active API key records. This registry,
+   * not the token, is the authority on what a service may do.
+   * @param {string} service - Service name
+   */
+  async getGrantedScopes(service) {
+    const cacheKey = `service:scopes:${service}`;
+
+    const cached = await cacheManager.get(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    const records = await ServiceApiKey.find({
+      service,
+      active: true,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    }).select('scopes').lean();
+
+    const scopes = Array.from(new Set(records.flatMap(record => record.scopes)));
+    await cacheManager.set(cacheKey, scopes, this.apiKeyCacheTtl);
+    return scopes;
+  }
+
+  /**
+   * Hash an API key for storage and lookup
+   * @param {string} apiKey - Plaintext API key
+   */
+  hashApiKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+  }
+
+  /**
+   * Create an API key for a service. The plaintext key is only returned here;
+   * Mongo stores its hash.
+   * @param {string} service - Name of the calling service
+   * @param {Array} scopes - Granted scopes
+   * @param {Object} options - Options
+   * @param {Date} options.expiresAt - Expiry date (optional)
+   */
+  async createApiKey(service, scopes = [], options = {}) {
+    const keyId = uuidv4().replace(/-/g, '').slice(0, 16);
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const apiKey = `${API_KEY_PREFIX}_${keyId}_${secret}`;
+
+    await ServiceApiKey.create({
+      keyId,
+      keyHash: this.hashApiKey(apiKey),
+      service,
+      scopes,
+      expiresAt: options.expiresAt || null
+    });
+
+    await cacheManager.del(`service:scopes:${service}`);
+    logger.info('Service API key created', { keyId, service, scopes });
+    return { keyId, apiKey, service, scopes };
+  }
+
+  /**
+   * Revoke an API key
+   * @param {string} keyId - Key ID
+   */
+  async revokeApiKey(keyId) {
+    const record = await ServiceApiKey.findOneAndUpdate({ keyId }, { active: false });
+    if (!record) {
+      throw ErrorHandler.createNotFoundError('API key not found');
+    }
+
+    await cacheManager.delMultiple([`service:apikey:${record.keyHash}`, `service:scopes:${record.service}`]);
+    logger.info('Service API key revoked', { keyId, service: record.service });
+    return true;
+  }
+
+  /**
+   * Verify an API key
+   * @param {string} apiKey - Plaintext API key from the request
+   * @returns {Object} Service identity `{ name, scopes, keyId }`
+   */
+  async verifyApiKey(apiKey) {
+    const [prefix, keyId] = (apiKey || '').split('_');
+    if (prefix !== API_KEY_PREFIX || !keyId) {
+      throw ErrorHandler.createUnauthorizedError('Invalid API key');
+    }
+
+    const keyHash = this.hashApiKey(apiKey);
+    const cacheKey = `service:apikey:${keyHash}`;
+
+    const cached = await cacheManager.get(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    const record = await ServiceApiKey.findOne({ keyId }).lean();
+    const matches = record && crypto.timingSafeEqual(Buffer.from(record.keyHash), Buffer.from(keyHash));
+
+    if (!matches || !record.active || (record.expiresAt && record.expiresAt < new Date())) {
+      throw ErrorHandler.createUnauthorizedError('Invalid API key');
+    }
+
+    const identity = { name: record.service, scopes: record.scopes, keyId };
+    await cacheManager.set(cacheKey, identity, this.apiKeyCacheTtl);
+
+    ServiceApiKey.updateOne({ keyId }, { lastUsedAt: new Date() }).catch(error => {
+      logger.warn('Failed to record API key usage', { keyId, error: error.message });
+    });
+
+    return identity;
+  }
+
+  /**
+   * Issue a signed service token for calling another service. The token is
+   * always issued as SERVICE_NAME; the scopes it carries are only a request,
+   * the receiving service grants the subset its registry allows.
+   * @param {Object} options - Token options
+   * @param {string} options.audience - Name of the target service
+   * @param {Array} options.scopes - Requested scopes
+   */
+  issueServiceToken({ audience, scopes = [] } = {}) {
+    const service = this.requireServiceName();
+    if (!audience) {
+      throw ErrorHandler.createValidationError('Service tokens require an audience');
+    }
+    if (!keyStore.getSigningKey() && !this.getSecret()) {
+      throw ErrorHandler.createConfigurationError('SERVICE_JWT_SECRET or a signing key is required to issue service tokens');
+    }
+
+    return tokenService.signToken(
+      { type: SERVICE_TOKEN_TYPE, scope: scopes.join(' ') },
+      this.getSecret(),
+      {
+        subject: service,
+        issuer: service,
+        audience,
+        expiresIn: this.tokenTtl,
+        jwtid: uuidv4()
+      }
+    );
+  }
+
+  /**
+   * Verify a service token addressed to this service. The identity holds the
+   * requested scopes the calling service is granted in the registry.
+   * @param {string} token - Service token
+   * @param {string} audience - Expected audience (defaults to SERVICE_NAME)
+   * @returns {Object} Service identity `{ name, scopes }`
+   */
+  async verifyServiceToken(token, audience = this.serviceName) {
+    if (!audience) {
+      this.requireServiceName();
+    }
+
+    let decoded;
+    try {
+      decoded = await tokenService.verifyToken(token, this.getSecret(), { audience });
+    } catch (error) {
+      throw ErrorHandler.handleJWTError(error);
+    }
+
+    if (decoded.type !== SERVICE_TOKEN_TYPE || !decoded.sub) {
+      throw ErrorHandler.createUnauthorizedError('Invalid service token');
+    }
+
+    const requested = decoded.scope ? decoded.scope.split(' ') : [];
+    const granted = await this.getGrantedScopes(decoded.sub);
+    const scopes = granted.includes('*') ? requested : requested.filter(scope => granted.includes(scope));
+
+    if (scopes.length < requested.length) {
+      logger.warn('Service token requested ungranted scopes', {
+        service: decoded.sub,
+        requested,
+        granted
+      });
+    }
+
+    return { name: decoded.sub, scopes };
+  }
+}
+
+// Create singleton instance
+const serviceCredentials = new ServiceCredentials();
+
+module.exports = serviceCredentials;
@@ -0,0 +1,327 @@
+const os = require('os');
+const redis = require('redis');
+const logger = require('../logger/logger');
+const { STREAM_PREFIX, DEAD_LETTER_STREAM } = require('../constants/streams');
+
+// Values of the idempotency key of an event
+const PROCESSING = 'processing';
+const PROCESSED = 'done';
+
+/**
+ * Reads events published by the outbox relay from Redis Streams using a
+ * consumer group.
+ *
+ * Handlers are keyed by event type and receive the decoded event
+ * `{ id, eventId, type, aggregateType, aggregateId, payload, headers, occurredAt }`.
+ * A message is acknowledged once its handler resolves. Handlers are
+ * idempotent by default: a consumer claims the event id (SET NX) before
+ * running the handler, so a duplicate is skipped while another consumer
+ * handles it and acknowledged once that one succeeded. Messages left pending
+ * by a crashed consumer are reclaimed after `claimIdleMs`; after
+ * `maxDeliveries` they go to the dead-letter stream.
+ *
+ * Delivery is still at-least-once: if a consumer dies after its handler
+ * succeeded but before recording that, the event is handled again once the
+ * claim lapses. Handlers with external side effects should tolerate repeats.
+ */
+class StreamConsumer {
+  /**
+   * @param {Object} options - Consumer options
+   * @param {string} options.group - Consumer group, usually the service name
+   * @param {string} options.consumer - Consumer name within the group
+   * @param {Array} options.streams - Stream names to read
+   * @param {Object} options.redisClient - node-redis client (created from REDIS_URL if omitted)
+   * @param {number} options.count - Messages read per call
+   * @param {number} options.blockMs - How long a read waits for new messages
+   * @param {number} options.claimIdleMs - Idle time before a pending message is reclaimed
+   * @param {number} options.maxDeliveries - Deliveries before dead-lettering
+   * @param {boolean} options.idempotent - Skip events that were already handled
+   * @param {number} options.idempotencyTtl - Seconds handled event ids are remembered
+   */
+  constructor(options = {}) {
+    const {
+      group = process.env.SERVICE_NAME,
+      consumer = `${os.hostname()}:${process.pid}`,
+      streams = [],
+      redisClient = null,
+      count = 10,
+      blockMs = 5000,
+      claimIdleMs = 60 * 1000,
+      maxDeliveries = 5,
+      idempotent = true,
+      idempotencyTtl = 7 * 24 * 60 * 60
+    } = options;
+
+    if (!group) {
+      throw new Error('Stream consumer group is required');
+    }
+
+    this.group = group;
+    this.consumer = consumer;
+    this.streams = [...streams];
+    this.redisClient = redisClient;
+    this.ownsClient = !redisClient;
+    this.readClient = null;
+    this.count = count;
+    this.blockMs = blockMs;
+    this.claimIdleMs = claimIdleMs;
+    this.maxDeliveries = maxDeliveries;
+    this.idempotent = idempotent;
+    this.idempotencyTtl = idempotencyTtl;
+    this.handlers = new Map();
+    this.running = false;
+    this.loop = null;
+    this.lastClaim = 0;
+  }
+
+  /**
+   * Register a handler for an event type, reading its stream
+   * @param {string} type - Event type, or '*' for every event on the streams
+   * @param {Function} handler - async (event) => void
+   * @param {string} stream - Stream to read (defaults to `events:<type>`)
+   * @returns {StreamConsumer} this, for chaining
+   */
+  on(type, handler, stream = type === '*' ? null : `${STREAM_PREFIX}${type}`) {
+    this.handlers.set(type, handler);
+    if (stream && !this.streams.includes(stream)) {
+      this.streams.push(stream);
+    }
+    return this;
+  }
+
+  /**
+   * Create the consumer groups and start reading
+   */
+  async start() {
+    if (this.running) {
+      return;
+    }
+    if (this.streams.length === 0) {
+      throw new Error('Stream consumer has no streams to read');
+    }
+
+    if (!this.redisClient) {
+      this.redisClient = redis.createClient({
+        url: process.env.REDIS_URL || 'redis://localhost:6379',
+        password: process.env.REDIS_PASSWORD
+      });
+      this.redisClient.on('error', (error) => {
+        logger.error('Stream consumer Redis error:', error);
+      });
+      await this.redisClient.connect();
+    }
+
+    // Blocking reads hold their connection, so they get one of their own
+    this.readClient = this.redisClient.duplicate();
+    this.readClient.on('error', (error) => {
+      logger.error('Stream consumer Redis error:', error);
+    });
+    await this.readClient.connect();
+
+    for (const stream of this.streams) {
+      await this.ensureGroup(stream);
+    }
+
+    this.running = true;
+    logger.info('Stream consumer started', { group: this.group, consumer: this.consumer, streams: this.streams });
+    this.loop = this.run();
+  }
+
+  /**
+   * Stop reading once the current batch is handled
+   */
+  async stop() {
+    this.running = false;
+    await this.loop;
+
+    if (this.readClient) {
+      await this.readClient.quit();
+      this.readClient = null;
+    }
+    if (this.ownsClient && this.redisClient) {
+      await this.redisClient.quit();
+      this.redisClient = null;
+    }
+    logger.info('Stream consumer stopped', { group: this.group, consumer: this.consumer });
+  }
+
+  /**
+   * Create the consumer group for a stream, starting at new messages
+   * @param {string} stream - Stream name
+   */
+  async ensureGroup(stream) {
+    try {
+      await this.redisClient.xGroupCreate(stream, this.group, '$', { MKSTREAM: true });
+    } catch (error) {
+      if (!String(error.message).includes('BUSYGROUP')) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Read and handle messages until stopped
+   */
+  async run() {
+    while (this.running) {
+      try {
+        if (Date.now() - this.lastClaim >= this.claimIdleMs) {
+          this.lastClaim = Date.now();
+          await this.claimStale();
+        }
+
+        const response = await this.readClient.xReadGroup(
+          this.group,
+          this.consumer,
+          this.streams.map(key => ({ key, id: '>' })),
+          { COUNT: this.count, BLOCK: this.blockMs }
+        );
+
+        for (const { name, messages } of response || []) {
+          for (const message of messages) {
+            await this.handle(name, message);
+          }
+        }
+      } catch (error) {
+        if (!this.running) {
+          break;
+        }
+        logger.error('Stream consumer read failed:', error);
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+    }
+  }
+
+  /**
+   * Take over messages other consumers left pending, dead-lettering those
+   * delivered too many times
+   */
+  async claimStale() {
+    for (const stream of this.streams) {
+      let cursor = '0-0';
+      do {
+        const result = await this.redisClient.xAutoClaim(
+          stream, this.group, this.consumer, this.claimIdleMs, cursor, { COUNT: this.count }
+        );
+        cursor = result.nextId;
+
+        const claimed = result.messages.filter(Boolean);
+        if (claimed.length === 0) {
+          continue;
+        }
+
+        // Delivery counts of exactly the claimed ids: XAUTOCLAIM returns them
+        // in id order, and older entries this consumer still holds must not
+        // take their place
+        const pending = await this.redisClient.xPendingRange(
+          stream, this.group, claimed[0].id, claimed[claimed.length - 1].id, claimed.length, { consumer: this.consumer }
+        );
+        const deliveries = new Map(pending.map(entry => [entry.id, entry.deliveriesCounter]));
+
+        for (const message of claimed) {
+          if ((deliveries.get(message.id) || 0) > this.maxDeliveries) {
+            await this.deadLetter(stream, message, 'Too many delivery attempts');
+            continue;
+          }
+          await this.handle(stream, message);
+        }
+      } while (cursor !== '0-0' && this.running);
+    }
+  }
+
+  /**
+   * Run the handler for a message and acknowledge it on success. Failed
+   * messages stay pending and are retried when reclaimed.
+   * @param {string} stream - Stream name
+   * @param {Object} message - `{ id, message }` from Redis
+   */
+  async handle(stream, message) {
+    const event = this.decode(message);
+    const handler = this.handlers.get(event.type) || this.handlers.get('*');
+
+    if (!handler) {
+      logger.warn('No handler for stream event', { stream, type: event.type, id: message.id });
+      await this.redisClient.xAck(stream, this.group, message.id);
+      return;
+    }
+
+    const processedKey = `stream:processed:${this.group}:${event.eventId || message.id}`;
+    if (this.idempotent) {
+      // The claim lapses by the time a crashed consumer's message is reclaimed
+      const claimed = await this.redisClient.set(processedKey, PROCESSING, { NX: true, PX: this.claimIdleMs });
+      if (!claimed) {
+        if (await this.redisClient.get(processedKey) === PROCESSING) {
+          // Another consumer is handling it; stay pending in case it fails
+          return;
+        }
+        await this.redisClient.xAck(stream, this.group, message.id);
+        return;
+      }
+    }
+
+    try {
+      await handler(event);
+    } catch (error) {
+      logger.error('Stream event handler failed', { stream, type: event.type, eventId: event.eventId, error: error.message });
+      if (this.idempotent) {
+        await this.redisClient.del(processedKey);
+      }
+      return;
+    }
+
+    if (this.idempotent) {
+      await this.redisClient.set(processedKey, PROCESSED, { EX: this.idempotencyTtl });
+    }
+    await this.redisClient.xAck(stream, this.group, message.id);
+  }
+
+  /**
+   * Copy a message to the dead-letter stream and acknowledge it
+   * @param {string} stream - Stream name
+   * @param {Object} message - `{ id, message }` from Redis
+   * @param {string} reason - Why it was dead-lettered
+   */
+  async deadLetter(stream, message, reason) {
+    logger.error('Stream event dead-lettered', { stream, group: this.group, id: message.id, reason });
+    await this.redisClient.xAdd(DEAD_LETTER_STREAM, '*', {
+      ...message.message,
+      stream,
+      group: this.group,
+      error: reason
+    });
+    await this.redisClient.xAck(stream, this.group, message.id);
+  }
+
+  /**
+   * Turn a stream message into an event object
+   * @param {Object} message - `{ id, message }` from Redis
+   */
+  decode({ id, message }) {
+    const parse = (value) => {
+      try {
+        return value ? JSON.parse(value) : {};
+      } catch {
+        return value;
+      }
+    };
+
+    return {
+      id,
+      eventId: message.eventId,
+      type: message.type,
+      aggregateType: message.aggregateType || null,
+      aggregateId: message.aggregateId || null,
+      payload: parse(message.payload),
+      headers: parse(message.headers),
+      occurredAt: message.occurredAt ? new Date(message.occurredAt) : null
+    };
+  }
+}
+
+/**
+ * Create a stream consumer
+ * @param {Object} options - See StreamConsumer
+ */
+const createStreamConsumer = (options = {}) => new StreamConsumer(options);
+
+module.exports = { StreamConsumer, createStreamConsumer };
@@ -0,0 +1,370 @@
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const cacheManager = require('./cache');
+const keyStore = require('./keyStore');
+const ErrorHandler = require('./errorHandler');
+const logger = require('../logger/logger');
+
+const KEY_PREFIX = 'auth';
+const REFRESH_TOKEN_TYPE = 'refresh';
+const SERVICE_TOKEN_TYPE = 'service';
+const DEFAULT_ALGORITHMS = ['HS256', 'RS256', 'ES256'];
+const FAIL_MODES = ['open', 'closed'];
+
+/**
+ * Parse `JWT_ALLOWED_ALGORITHMS`, e.g. "RS256,ES256"
+ * @param {string} value - Environment value
+ */
+const parseAlgorithms = (value) => (value
+  ? value.split(',').map(alg => alg.trim()).filter(Boolean)
+  : DEFAULT_ALGORITHMS);
+
+class TokenService {
+  constructor() {
+    this.accessTokenTtl = parseInt(process.env.ACCESS_TOKEN_TTL, 10) || 15 * 60; // 15 minutes
+    this.refreshTokenTtl = parseInt(process.env.REFRESH_TOKEN_TTL, 10) || 7 * 24 * 60 * 60; // 7 days
+    // Drop HS256 once every issuer signs with asymmetric keys, so a leaked
+    // shared secret can no longer mint accepted tokens
+    this.allowedAlgorithms = parseAlgorithms(process.env.JWT_ALLOWED_ALGORITHMS);
+    // What access token checks do while the denylist cannot be read: 'open'
+    // accepts the token (auth keeps working without Redis, revocations are
+    // not enforced), 'closed' answers 503
+    this.revocationFailMode = FAIL_MODES.includes(process.env.TOKEN_REVOCATION_FAIL_MODE)
+      ? process.env.TOKEN_REVOCATION_FAIL_MODE
+      : 'open';
+  }
+
+  /**
+   * Throw unless revocations and refresh token families can be shared with
+   * every instance. The in-memory fallback of a degraded cache cannot, so
+   * token state fails closed instead of silently going local.
+   */
+  assertTokenStore() {
+    if (!cacheManager.isConnected || cacheManager.isDegraded) {
+      throw ErrorHandler.createServiceUnavailableError('Token store unavailable');
+    }
+  }
+
+  /**
+   * Read token state, turning cache command failures into a 503 instead of
+   * reading them as "not revoked"
+   * @param {Function} read - async () => value
+   */
+  async readTokenStore(read) {
+    try {
+      return await read();
+    } catch {
+      throw ErrorHandler.createServiceUnavailableError('Token store unavailable');
+    }
+  }
+
+  /**
+   * Secret used for access tokens
+   */
+  getAccessSecret() {
+    return process.env.JWT_SECRET;
+  }
+
+  /**
+   * Secret used for refresh tokens
+   */
+  getRefreshSecret() {
+    return process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
+  }
+
+  /**
+   * Sign a token with the active asymmetric key, or with a shared secret when
+   * no signing key is configured
+   * @param {Object} payload - Token payload
+   * @param {string} secret - Shared secret fallback
+   * @param {Object} options - jsonwebtoken sign options
+   */
+  signToken(payload, secret, options = {}) {
+    const signingKey = keyStore.getSigningKey();
+
+    if (signingKey) {
+      return jwt.sign(payload, signingKey.privateKey, {
+        ...options,
+        algorithm: signingKey.alg,
+        keyid: signingKey.kid
+      });
+    }
+
+    return jwt.sign(payload, secret, { ...options, algorithm: 'HS256' });
+  }
+
+  /**
+   * Verify a token signature. Asymmetric tokens are checked against the key
+   * selected by their `kid`; HS256 tokens against the shared secret. Tokens
+   * signed with an algorithm outside `allowedAlgorithms` are rejected.
+   * @param {string} token - JWT
+   * @param {string} secret - Shared secret for HS256 tokens
+   * @param {Object} options - Extra jsonwebtoken verify options (audience, issuer)
+   * @param {Array} options.allowedAlgorithms - Accepted algorithms (defaults to JWT_ALLOWED_ALGORITHMS)
+   */
+  async verifyToken(token, secret, options = {}) {
+    const { allowedAlgorithms = this.allowedAlgorithms, ...verifyOptions } = options;
+
+    const complete = jwt.decode(token, { complete: true });
+    if (!complete) {
+      throw new jwt.JsonWebTokenError('jwt malformed');
+    }
+
+    const { alg, kid } = complete.header;
+
+    if (!allowedAlgorithms.includes(alg)) {
+      throw new jwt.JsonWebTokenError(`Algorithm ${alg} is not accepted`);
+    }
+
+    if (alg === 'HS256') {
+      if (!secret) {
+        throw new jwt.JsonWebTokenError('Symmetric tokens are not accepted');
+      }
+      return jwt.verify(token, secret, { ...verifyOptions, algorithms: ['HS256'] });
+    }
+
+    const key = await keyStore.getVerificationKey(kid);
+    if (!key) {
+      throw new jwt.JsonWebTokenError('Unknown signing key');
+    }
+
+    return jwt.verify(token, key.publicKey, { ...verifyOptions, algorithms: [key.alg] });
+  }
+
+  /**
+   * Issue an access token and a refresh token for a user
+   * @param {Object} user - Token claims, must contain `id`
+   * @param {string} family - Refresh token family to continue (used on rotation)
+   */
+  async issueTokens(user, family = null) {
+    if (!user || !user.id) {
+      throw ErrorHandler.createValidationError('User id is required to issue tokens');
+    }
+    this.assertTokenStore();
+
+    const claims = { ...user };
+    delete claims.iat;
+    delete claims.exp;
+    delete claims.jti;
+
+    const accessToken = this.signToken(claims, this.getAccessSecret(), {
+      expiresIn: this.accessTokenTtl,
+      jwtid: uuidv4()
+    });
+
+    const refreshJti = uuidv4();
+    const tokenFamily = family || uuidv4();
+    const refreshToken = this.signToken(
+      { id: user.id, fam: tokenFamily, type: REFRESH_TOKEN_TYPE },
+      this.getRefreshSecret(),
+      { expiresIn: this.refreshTokenTtl, jwtid: refreshJti }
+    );
+
+    await cacheManager.set(`${KEY_PREFIX}:refresh:${refreshJti}`, { userId: user.id, family: tokenFamily, claims }, this.refreshTokenTtl);
+    await cacheManager.set(`${KEY_PREFIX}:family:${tokenFamily}`, refreshJti, this.refreshTokenTtl);
+
+    return {
+      accessToken,
+      refreshToken,
+      tokenType: 'Bearer',
+      expiresIn: this.accessTokenTtl
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair. Presenting a refresh token
+   * that was already rotated revokes the whole token family.
+   * @param {string} refreshToken - Refresh token
+   * @param {Function} loadClaims - Optional async (userId) => fresh token claims
+   */
+  async rotateRefreshToken(refreshToken, loadClaims = null) {
+    this.assertTokenStore();
+
+    const decoded = await this.verifyRefreshToken(refreshToken);
+
+    const [familyRevoked, userRevoked] = await Promise.all([
+      this.readTokenStore(() => cacheManager.exists(`${KEY_PREFIX}:revoked-family:${decoded.fam}`, { throwOnError: true })),
+      this.isRevokedForUser(decoded.id, decoded.iat)
+    ]);
+
+    if (familyRevoked || userRevoked) {
+      throw ErrorHandler.createUnauthorizedError('Refresh token has been revoked');
+    }
+
+    // Claiming the family's current jti is a single atomic step, so of two
+    // concurrent rotations of the same token only one can succeed
+    const claimed = await cacheManager.compareAndDelete(`${KEY_PREFIX}:family:${decoded.fam}`, decoded.jti);
+    if (!claimed) {
+      logger.warn('Refresh token reuse detected', { userId: decoded.id, family: decoded.fam });
+      await this.revokeFamily(decoded.fam);
+      throw ErrorHandler.createUnauthorizedError('Refresh token reuse detected');
+    }
+
+    const record = await cacheManager.get(`${KEY_PREFIX}:refresh:${decoded.jti}`);
+    await cacheManager.del(`${KEY_PREFIX}:refresh:${decoded.jti}`);
+
+    const claims = loadClaims ? await loadClaims(decoded.id) : record?.claims;
+    if (!claims) {
+      throw ErrorHandler.createUnauthorizedError('Invalid refresh token');
+    }
+
+    return this.issueTokens({ ...claims, id: decoded.id }, decoded.fam);
+  }
+
+  /**
+   * Verify the signature and type of a refresh token
+   * @param {string} refreshToken - Refresh token
+   * @param {Object} options - Extra jsonwebtoken verify options
+   * @returns {Object} Decoded refresh token
+   */
+  async verifyRefreshToken(refreshToken, options = {}) {
+    let decoded;
+    try {
+      decoded = await this.verifyToken(refreshToken, this.getRefreshSecret(), options);
+    } catch (error) {
+      throw ErrorHandler.handleJWTError(error);
+    }
+
+    if (decoded.type !== REFRESH_TOKEN_TYPE) {
+      throw ErrorHandler.createUnauthorizedError('Invalid refresh token');
+    }
+
+    return decoded;
+  }
+
+  /**
+   * Verify an access token and make sure it has not been revoked
+   * @param {string} token - Access token
+   */
+  async verifyAccessToken(token) {
+    const decoded = await this.verifyToken(token, this.getAccessSecret());
+
+    if (decoded.type === REFRESH_TOKEN_TYPE || decoded.type === SERVICE_TOKEN_TYPE) {
+      throw ErrorHandler.createUnauthorizedError('Invalid token');
+    }
+
+    if (await this.isRevoked(decoded)) {
+      throw ErrorHandler.createUnauthorizedError('Token has been revoked');
+    }
+
+    return decoded;
+  }
+
+  /**
+   * Check whether a decoded token has been revoked. When the denylist cannot
+   * be read, `revocationFailMode` decides: 'closed' throws a 503 error so
+   * revoked tokens are never let through, 'open' logs and reports the token
+   * as not revoked.
+   * @param {Object} payload - Decoded token payload
+   */
+  async isRevoked(payload) {
+    try {
+      this.assertTokenStore();
+
+      const [jtiRevoked, userRevoked] = await Promise.all([
+        payload.jti
+          ? this.readTokenStore(() => cacheManager.exists(`${KEY_PREFIX}:revoked:${payload.jti}`, { throwOnError: true }))
+          : false,
+        this.isRevokedForUser(payload.id, payload.iat)
+      ]);
+
+      return jtiRevoked || userRevoked;
+    } catch (error) {
+      if (this.revocationFailMode === 'closed') {
+        throw error;
+      }
+      logger.warn('Token store unavailable, revocation not checked', { userId: payload.id, jti: payload.jti });
+      return false;
+    }
+  }
+
+  /**
+   * Check whether all tokens of a user issued before a point in time were revoked.
+   * Tokens issued in the same second as the revocation stay valid, so a token
+   * issued right after a password change is not rejected.
+   * @param {string} userId - User ID
+   * @param {number} issuedAt - Token `iat` claim in seconds
+   */
+  async isRevokedForUser(userId, issuedAt) {
+    if (!userId) {
+      return false;
+    }
+
+    const revokedAt = await this.readTokenStore(() => cacheManager.get(`${KEY_PREFIX}:revoked-user:${userId}`, true, { throwOnError: true }));
+    return revokedAt !== null && issuedAt < revokedAt;
+  }
+
+  /**
+   * Add a single token to the denylist until it expires
+   * @param {string} jti - Token ID
+   * @param {number} exp - Token `exp` claim in seconds
+   */
+  async revokeToken(jti, exp = null) {
+    const ttl = exp ? exp - Math.floor(Date.now() / 1000) : this.accessTokenTtl;
+    if (!jti || ttl <= 0) {
+      return false;
+    }
+    this.assertTokenStore();
+
+    logger.info('Token revoked', { jti });
+    return cacheManager.set(`${KEY_PREFIX}:revoked:${jti}`, '1', ttl);
+  }
+
+  /**
+   * Revoke a refresh token family
+   * @param {string} family - Refresh token family ID
+   */
+  async revokeFamily(family) {
+    this.assertTokenStore();
+    logger.info('Refresh token family revoked', { family });
+    await cacheManager.del(`${KEY_PREFIX}:family:${family}`);
+    return cacheManager.set(`${KEY_PREFIX}:revoked-family:${family}`, '1', this.refreshTokenTtl);
+  }
+
+  /**
+   * Revoke every token issued to a user so far (password change, admin ban)
+   * @param {string} userId - User ID
+   */
+  async revokeAllForUser(userId) {
+    this.assertTokenStore();
+    logger.info('All tokens revoked for user', { userId });
+    return cacheManager.set(
+      `${KEY_PREFIX}:revoked-user:${userId}`,
+      Math.floor(Date.now() / 1000),
+      Math.max(this.accessTokenTtl, this.refreshTokenTtl)
+    );
+  }
+
+  /**
+   * Log out a session: revoke the access token and its refresh token family.
+   * The refresh token must be validly signed and belong to the same user;
+   * expired ones are accepted so their family can still be closed.
+   * @param {Object} accessPayload - Decoded access token (`req.user`)
+   * @param {string} refreshToken - Refresh token of the session (optional)
+   */
+  async logout(accessPayload, refreshToken = null) {
+    let family = null;
+    if (refreshToken) {
+      const decoded = await this.verifyRefreshToken(refreshToken, { ignoreExpiration: true });
+      if (!accessPayload?.id || String(decoded.id) !== String(accessPayload.id)) {
+        logger.warn('Logout with another user\'s refresh token refused', { userId: accessPayload?.id });
+        throw ErrorHandler.createForbiddenError('Refresh token belongs to another user');
+      }
+      family = decoded.fam;
+    }
+
+    if (accessPayload?.jti) {
+      await this.revokeToken(accessPayload.jti, accessPayload.exp);
+    }
+    if (family) {
+      await this.revokeFamily(family);
+    }
+
+    return true;
+  }
+}
+
+// Create singleton instance
+const tokenService = new TokenService();
+
+module.exports = tokenService;
@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const ResponseHandler = require('./response');
 const logger = require('../logger/logger');
 
 // Common validation schemas
@@ -360,21 +361,22 @@ const querySchemas = {
   })
 };
 
+// Field errors for responses and logs; Joi details also carry the rejected
+// values, which must not end up in logs
+const formatDetails = (error) => error.details.map(detail => ({
+  field: detail.path.join('.'),
+  message: detail.message
+}));
+
 // Validation middleware
 const validate = (schema) => {
   return (req, res, next) => {
     const { error, value } = schema.validate(req.body);
     
     if (error) {
-      logger.warn('Validation error:', { error: error.details, body: req.body });
-      return res.status(400).json({
-        success: false,
-        message: 'Validation error',
-        errors: error.details.map(detail => ({
-          field: detail.path.join('.'),
-          message: detail.message
-        }))
-      });
+      const errors = formatDetails(error);
+      logger.warn('Validation error:', { errors });
+      return ResponseHandler.sendError(res, 400, 'Validation error', errors, 'VALIDATION_ERROR');
     }
     
     req.validatedBody = value;
@@ -388,15 +390,9 @@ const validateQuery = (schema) => {
     const { error, value } = schema.validate(req.query);
     
     if (error) {
-      logger.warn('Query validation error:', { error: error.details, query: req.query });
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid query parameters',
-        errors: error.details.map(detail => ({
-          field: detail.path.join('.'),
-          message: detail.message
-        }))
-      });
+      const errors = formatDetails(error);
+      logger.warn('Query validation error:', { errors });
+      return ResponseHandler.sendError(res, 400, 'Invalid query parameters', errors, 'VALIDATION_ERROR');
     }
     
     req.validatedQuery = value;
@@ -410,15 +406,9 @@ const validateParams = (schema) => {
     const { error, value } = schema.validate(req.params);
     
     if (error) {
-      logger.warn('Params validation error:', { error: error.details, params: req.params });
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid parameters',
-        errors: error.details.map(detail => ({
-          field: detail.path.join('.'),
-          message: detail.message
-        }))
-      });
+      const errors = formatDetails(error);
+      logger.warn('Params validation error:', { errors });
+      return ResponseHandler.sendError(res, 400, 'Invalid parameters', errors, 'VALIDATION_ERROR');
     }
     
     req.validatedParams = value;